@@ -7,127 +7,834 @@
 
 const fs = require('fs');
 const path = require('path');
-const core = require('./core');
+const crypto = require('crypto');
+const core = require('../src/core/core');
+const { generateStaticSite } = require('../src/core/site');
+const { createHttpFetcher, createReleaseResolver } = require('../src/node/release-resolver');
+const { createConfigURLs } = require('../src/node/signing');
+const { CONFIG_FILES, findConfigFile, loadConfigFile } = require('../src/node/config-loader');
+const { createHttpClient, checkConfigURLs } = require('../src/node/url-checker');
+const { parseArgs } = require('../src/node/cli-args');
 
 const CONFIG_FILE = 'install-bridge.json';
-const BADGE_FILE = 'install-badge.svg';
+const BADGE_FORMATS = ['svg', 'png'];
+const SNIPPET_FORMATS = core.listSnippetFormats();
+const DEFAULT_SNIPPET_FORMATS = ['markdown', 'html'];
+
+const EXIT = {
+  OK: 0,
+  FAILED: 1, // invalid config, failed check or verification, I/O error
+  USAGE: 2 // unknown command or option, missing or malformed argument
+};
+
+// How the running command prints, from --json and --quiet
+const output = { json: false, quiet: false };
+
+const resolver = createReleaseResolver({
+  fetcher: createHttpFetcher({ token: process.env.GITHUB_TOKEN })
+});
 
 // ============================================================================
 // UTILITIES
 // ============================================================================
 
-function fail(message) {
-  console.error(`❌ ${message}`);
-  process.exit(1);
+/**
+ * Stop the command
+ * Thrown rather than exiting, so main() can print the error as text or
+ * JSON. `details` go into the JSON error; its `errors` are config issues
+ * as from loadConfigFile(), listed under the message.
+ */
+function fail(message, exitCode = EXIT.FAILED, details = {}) {
+  const err = new Error(message);
+  err.exitCode = exitCode;
+  err.details = details;
+  throw err;
 }
 
+function usage(message) {
+  fail(message, EXIT.USAGE);
+}
+
+// With --json, stdout carries only the result
 function log(message) {
-  console.log(`✔ ${message}`);
+  if (output.quiet) return;
+  (output.json ? console.error : console.log)(`✔ ${message}`);
+}
+
+function warn(message) {
+  if (!output.quiet) console.warn(`⚠ ${message}`);
+}
+
+// Snippets, URLs and other text that --json returns in the result instead
+function print(text) {
+  if (!output.json && !output.quiet) console.log(text);
+}
+
+function isDirectory(target) {
+  return fs.existsSync(target) && fs.statSync(target).isDirectory();
 }
 
-function readConfig() {
-  const configPath = path.resolve(process.cwd(), CONFIG_FILE);
+/**
+ * A path as printed and reported: relative to --cwd
+ */
+function display(options, file) {
+  return path.relative(options.cwd, file) || '.';
+}
+
+/**
+ * Split `--format` into a badge format and snippet formats
+ * e.g. `png,rst,asciidoc`; `all` picks every snippet format.
+ *
+ * Returns: { badge, snippets }, `badge` being null when none is named
+ */
+function parseFormats(value) {
+  const ids = SNIPPET_FORMATS.map(f => f.id);
+  const formats = { badge: null, snippets: [] };
+
+  String(value || '').split(',').map(f => f.trim().toLowerCase()).filter(Boolean).forEach(format => {
+    if (BADGE_FORMATS.includes(format)) {
+      if (formats.badge && formats.badge !== format) usage('Pick one badge format: svg or png');
+      formats.badge = format;
+    } else if (format === 'all') {
+      formats.snippets.push(...ids);
+    } else if (ids.includes(format)) {
+      formats.snippets.push(format);
+    } else {
+      usage(`Unknown format: ${format} (use ${[...BADGE_FORMATS, ...ids, 'all'].join(', ')})`);
+    }
+  });
+
+  formats.snippets = formats.snippets.length
+    ? ids.filter(id => formats.snippets.includes(id))
+    : DEFAULT_SNIPPET_FORMATS;
+
+  return formats;
+}
 
-  if (!fs.existsSync(configPath)) {
-    fail(`Missing ${CONFIG_FILE} in current directory`);
+/**
+ * --scale for PNG badges: a whole number from 1 to 4
+ */
+function parseScale(value) {
+  if (value === null) return 1;
+
+  const scale = Number(value);
+  if (!/^\d+$/.test(value) || scale < 1 || scale > 4) {
+    usage(`--scale must be 1, 2, 3 or 4: ${value}`);
   }
+  return scale;
+}
 
-  const content = fs.readFileSync(configPath, 'utf8');
-  const result = core.parseConfig(content);
+/**
+ * Read the config named by --config (a file, or a directory to look in)
+ * or found in --cwd, resolve `extends` and validate it
+ *
+ * Returns: { file, config, warnings }
+ */
+function readConfig(options) {
+  const target = path.resolve(options.cwd, options.config || '.');
+  let file = target;
+
+  if (!fs.existsSync(target)) {
+    fail(`Config not found: ${options.config}`);
+  }
+
+  if (isDirectory(target)) {
+    try {
+      file = findConfigFile(target);
+    } catch (err) {
+      fail(err.message);
+    }
+
+    if (!file) {
+      const where = target === options.cwd ? 'current directory' : display(options, target);
+      fail(
+        `No config in ${where}: add ${CONFIG_FILES.join(', ')} ` +
+        'or an "installBridge" key to package.json'
+      );
+    }
+  }
+
+  const result = loadConfigFile(file, { cwd: options.cwd });
+
+  result.warnings.forEach(issue => warn(core.formatIssue(issue)));
 
   if (!result.success) {
-    fail(`Invalid config:\n- ${result.errors.join('\n- ')}`);
+    fail('Invalid config', EXIT.FAILED, { errors: result.errors, warnings: result.warnings });
   }
 
-  return result.config;
+  return { file, config: result.config, warnings: result.warnings };
 }
 
-function writeBadge(svg) {
-  fs.writeFileSync(BADGE_FILE, svg, 'utf8');
-  log(`Generated ${BADGE_FILE}`);
+function writeBadge(options, content, file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+  log(`Generated ${display(options, file)}`);
+  return display(options, file);
 }
 
-function printSnippets(snippets) {
-  console.log('\n--- Markdown ---\n');
-  console.log(snippets.markdown);
+/**
+ * Render a badge in the requested format: SVG text or PNG bytes
+ */
+function renderBadge(config, format, scale) {
+  return format === 'png'
+    ? Buffer.from(core.generateBadgePNG(config, { scale }))
+    : core.generateBadge(config);
+}
 
-  console.log('\n--- HTML ---\n');
-  console.log(snippets.html);
+/**
+ * Print the chosen snippet formats, one section each
+ * With `copyAll`, everything goes into a single block instead.
+ */
+function printSnippets(snippets, formats = DEFAULT_SNIPPET_FORMATS, copyAll = false) {
+  const channels = snippets.channels ? Object.values(snippets.channels) : [];
+  const sections = [];
+
+  formats.forEach(format => {
+    const name = SNIPPET_FORMATS.find(f => f.id === format).name;
+    sections.push([name, snippets[format]]);
+
+    if (channels.length) {
+      sections.push([
+        `${name} (all channels)`,
+        core.joinSnippets(format, channels.map(s => s[format]))
+      ]);
+    }
+  });
+
+  if (snippets.installation && formats.includes('markdown')) {
+    sections.push(['Installation (Markdown)', snippets.installation]);
+  }
+
+  if (copyAll) {
+    print(`\n--- Copy all (${formats.join(', ')}) ---\n`);
+    print(sections.map(([, text]) => text).join('\n\n'));
+    return;
+  }
+
+  sections.forEach(([title, text]) => {
+    print(`\n--- ${title} ---\n`);
+    print(text);
+  });
+}
+
+/**
+ * The chosen snippet formats for --json: { format: text }, with
+ * `installation` and `channels` when printSnippets() would print them
+ */
+function pickSnippets(snippets, formats) {
+  const pick = source => formats.reduce((picked, format) => ({ ...picked, [format]: source[format] }), {});
+  const picked = pick(snippets);
+
+  if (snippets.installation && formats.includes('markdown')) {
+    picked.installation = snippets.installation;
+  }
+
+  if (snippets.channels) {
+    picked.channels = {};
+    Object.keys(snippets.channels).forEach(channel => {
+      picked.channels[channel] = pick(snippets.channels[channel]);
+    });
+  }
+
+  return picked;
 }
 
 // ============================================================================
 // COMMANDS
 // ============================================================================
 
-function cmdInit() {
-  const appName = process.argv[3] || 'MyApp';
-  const template = core.createTemplate(appName);
+/**
+ * Create a config: --config (default: install-bridge.json in --cwd)
+ * Refuses to overwrite a config without --force, and never writes a
+ * second config next to an existing one.
+ */
+function cmdInit(options, args) {
+  const template = core.createTemplate(args[0] || 'MyApp');
+  const target = path.resolve(options.cwd, options.config || '.');
+  const file = isDirectory(target) ? path.join(target, CONFIG_FILE) : target;
+
+  if (path.basename(file) === 'package.json' || path.extname(file).toLowerCase() !== '.json') {
+    usage('init writes JSON: pass --config a .json file other than package.json');
+  }
+
+  let existing = fs.existsSync(file) ? file : null;
+
+  if (!existing && CONFIG_FILES.includes(path.basename(file))) {
+    try {
+      existing = findConfigFile(path.dirname(file));
+    } catch (err) {
+      fail(err.message);
+    }
+  }
+
+  if (existing === file && !options.force) {
+    fail(`${display(options, file)} already exists; pass --force to overwrite it`);
+  }
 
-  if (fs.existsSync(CONFIG_FILE)) {
-    fail(`${CONFIG_FILE} already exists`);
+  if (existing && existing !== file) {
+    fail(`${display(options, existing)} already holds a config`);
   }
 
+  fs.mkdirSync(path.dirname(file), { recursive: true });
   fs.writeFileSync(
-    CONFIG_FILE,
+    file,
     JSON.stringify(template, null, 2),
     'utf8'
   );
 
-  log(`Created ${CONFIG_FILE}`);
+  log(`${existing ? 'Overwrote' : 'Created'} ${display(options, file)}`);
+  return { file: display(options, file) };
 }
 
-function cmdGenerate() {
-  const config = readConfig();
+async function resolveSource(config) {
+  if (!config.source) return config;
+
+  try {
+    const result = await resolver.resolve(config);
 
-  const svg = core.generateBadge(config);
-  writeBadge(svg);
+    log(`Resolved installers from ${config.source.repo}@${result.tag || 'latest'}`);
+    result.missing.forEach(path => {
+      warn(`No release asset matched ${path}`);
+    });
 
-  const snippets = core.generateSnippets(config);
-  printSnippets(snippets);
+    return result.config;
+  } catch (err) {
+    fail(`Could not resolve release: ${err.message}`);
+  }
 }
 
-function cmdValidate() {
-  const config = readConfig();
-  const result = core.validateConfig(config);
+async function resolveChannels(config) {
+  const resolved = await resolveSource(config);
+  const channels = {};
 
-  if (!result.valid) {
-    fail(`Config invalid:\n- ${result.errors.join('\n- ')}`);
+  for (const name of core.listChannels(resolved)) {
+    channels[name] = await resolveSource(resolved.channels[name]);
   }
 
+  return core.listChannels(resolved).length
+    ? { ...resolved, channels }
+    : resolved;
+}
+
+/**
+ * Where snippets link a local badge: relative to --cwd, as from a README
+ * next to the config
+ */
+function badgeLink(options, file) {
+  const link = path.relative(options.cwd, file).split(path.sep).join('/');
+  return link.startsWith('../') ? link : `./${link}`;
+}
+
+async function cmdGenerate(options) {
+  const server = options.server;
+  // INSTALL_BRIDGE_SECRET only signs server URLs; an explicit --key needs --server
+  const key = options.key || (server && process.env.INSTALL_BRIDGE_SECRET) || null;
+
+  const formats = parseFormats(options.format);
+  const scale = parseScale(options.scale);
+  const out = options.out ? path.resolve(options.cwd, options.out) : null;
+
+  // --out badge.png picks PNG unless --format says otherwise
+  const outFormat = out ? path.extname(out).slice(1).toLowerCase() : null;
+  if (formats.badge && BADGE_FORMATS.includes(outFormat) && outFormat !== formats.badge) {
+    usage(`--out ${options.out} does not match --format ${formats.badge}`);
+  }
+  const format = formats.badge || (BADGE_FORMATS.includes(outFormat) ? outFormat : 'svg');
+  const badgeFile = out || path.join(options.cwd, `install-badge.${format}`);
+
+  if (options.key && !server) {
+    usage('Signing needs a server: pass --server <url>');
+  }
+
+  const rawConfig = readConfig(options).config;
+  const config = await resolveChannels(rawConfig);
+
+  const files = [
+    writeBadge(options, renderBadge(core.selectChannel(config), format, scale), badgeFile)
+  ];
+
+  core.listChannels(config).forEach(channel => {
+    files.push(writeBadge(
+      options,
+      renderBadge(core.selectChannel(config, channel), format, scale),
+      core.withChannel(badgeFile, channel)
+    ));
+  });
+
+  // Server URLs carry the config as written, so the server resolves
+  // release sources itself
+  const urls = server ? createConfigURLs(rawConfig, server, key, format) : null;
+
+  if (urls) {
+    print(`\n--- ${key ? 'Signed URLs' : 'URLs'} ---\n`);
+    print(`Badge:   ${urls.badge}`);
+    print(`Install: ${urls.install}`);
+  }
+
+  const snippets = urls
+    ? core.generateSnippets(config, urls.badge, urls.install)
+    : core.generateSnippets(config, badgeLink(options, badgeFile));
+  printSnippets(snippets, formats.snippets, options['copy-all']);
+
+  return { files, urls, snippets: pickSnippets(snippets, formats.snippets) };
+}
+
+async function cmdExport(options, args) {
+  if (args[0] && options.out) {
+    usage('Name the export directory once: <dir> or --out <dir>');
+  }
+
+  if (!args[0] && !options.out) {
+    usage('export needs a directory: install-bridge export <dir>');
+  }
+
+  const dir = path.resolve(options.cwd, args[0] || options.out);
+  const channel = options.channel;
+  const siteURL = options.url;
+  const formats = parseFormats(options.format);
+
+  if (formats.badge === 'png') {
+    usage('export writes SVG badges; --format only picks snippet formats here');
+  }
+
+  if (siteURL && !core.safeURL(siteURL, null)) {
+    usage(`--url must be an HTTP(S) URL: ${siteURL}`);
+  }
+
+  const config = core.selectChannel(await resolveChannels(readConfig(options).config), channel);
+
+  if (!config) {
+    fail(`Unknown channel: ${channel}`);
+  }
+
+  const files = generateStaticSite(config);
+
+  Object.keys(files).forEach(file => {
+    const target = path.join(dir, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, files[file]);
+  });
+
+  log(`Exported ${Object.keys(files).length} files to ${display(options, dir)}`);
+
+  const result = { dir: display(options, dir), files: Object.keys(files) };
+
+  if (siteURL) {
+    const base = siteURL.replace(/\/+$/, '');
+    const snippets = core.generateSnippets(config, `${base}/install-badge.svg`, `${base}/install/`);
+    printSnippets(snippets, formats.snippets, options['copy-all']);
+    result.snippets = pickSnippets(snippets, formats.snippets);
+  }
+
+  return result;
+}
+
+function sha256File(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(file)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+function localTarget() {
+  const arch = ['x64', 'arm64'].includes(process.arch) ? process.arch : 'unknown';
+  return { platform: process.platform, arch };
+}
+
+function describeInstaller(d) {
+  return [d.platform, d.arch, d.format].filter(Boolean).join('/');
+}
+
+async function cmdVerify(options, args) {
+  if (!args[0]) {
+    usage('verify needs a file: install-bridge verify <file>');
+  }
+
+  const file = path.resolve(options.cwd, args[0]);
+
+  if (!fs.existsSync(file)) {
+    fail(`File not found: ${args[0]}`);
+  }
+
+  const config = core.selectChannel(await resolveChannels(readConfig(options).config), options.channel);
+
+  if (!config) {
+    fail(`Unknown channel: ${options.channel}`);
+  }
+
+  const { platform, arch } = localTarget();
+
+  const candidates = core.listInstallers(config.installers).filter(d =>
+    d.platform === platform &&
+    d.sha256 &&
+    (arch === 'unknown' || d.arch === arch || d.arch === 'universal')
+  );
+
+  if (candidates.length === 0) {
+    fail(`No sha256 listed for ${platform}/${arch} in the config`);
+  }
+
+  // Prefer the installer whose URL ends in the same file name
+  const name = path.basename(file);
+  const named = candidates.filter(d =>
+    path.posix.basename(new URL(d.url).pathname) === name
+  );
+  const expected = named.length ? named : candidates;
+
+  const actual = await sha256File(file);
+  const match = expected.find(d => d.sha256.toLowerCase() === actual);
+
+  if (!match) {
+    fail(
+      `${name} does not match the config\n` +
+      `  expected: ${expected.map(d => d.sha256.toLowerCase()).join(' or ')}\n` +
+      `  actual:   ${actual}`
+    );
+  }
+
+  if (match.size && fs.statSync(file).size !== match.size) {
+    fail(`${name} matches the sha256 but not the size listed for ${describeInstaller(match)}`);
+  }
+
+  log(`${name} matches the sha256 for ${describeInstaller(match)}`);
+
+  return {
+    file: display(options, file),
+    sha256: actual,
+    installer: {
+      platform: match.platform,
+      arch: match.arch,
+      format: match.format || null,
+      url: match.url
+    }
+  };
+}
+
+/**
+ * One result of `check`: status line, then redirects, content and warnings
+ */
+function printCheckResult(result) {
+  const label = result.kind === 'installer' ? describeInstaller(result) : result.kind;
+  const channels = result.channels.length ? ` [${result.channels.join(', ')}]` : '';
+  const status = result.error ? `error: ${result.error}` : result.status;
+  const icon = !result.ok ? '❌' : result.warnings.length ? '⚠' : '✔';
+
+  console.log(`${icon} ${label}${channels}  ${status}  ${result.url}`);
+
+  if (result.redirects) {
+    console.log(`    → ${result.finalURL} (${result.redirects} ${result.redirects === 1 ? 'redirect' : 'redirects'})`);
+  }
+
+  const content = [
+    result.contentType,
+    result.contentLength !== null ? core.formatSize(result.contentLength) : null
+  ].filter(Boolean);
+  if (result.ok && content.length) {
+    console.log(`    ${content.join(' · ')}`);
+  }
+
+  result.warnings.forEach(warning => console.log(`    ⚠ ${warning}`));
+}
+
+async function cmdCheck(options) {
+  const timeout = options.timeout === null ? undefined : Number(options.timeout);
+
+  if (timeout !== undefined && !(timeout > 0)) {
+    usage(`--timeout must be a number of milliseconds: ${options.timeout}`);
+  }
+
+  const config = await resolveChannels(readConfig(options).config);
+  const report = await checkConfigURLs(config, { client: createHttpClient({ timeout }) });
+
+  // --quiet still lists the URLs that failed
+  if (!output.json) {
+    report.results.filter(result => !result.ok || !output.quiet).forEach(printCheckResult);
+    print(
+      `\nChecked ${report.checked} URLs: ${report.failed} failed, ` +
+      `${report.warnings} ${report.warnings === 1 ? 'warning' : 'warnings'}`
+    );
+  }
+
+  return report;
+}
+
+function cmdValidate(options) {
+  const { file, warnings } = readConfig(options);
+
   log('Config is valid');
+  return { file: display(options, file), warnings };
 }
 
 // ============================================================================
 // ENTRY
 // ============================================================================
 
-const command = process.argv[2];
-
-switch (command) {
-  case 'init':
-    cmdInit();
-    break;
-
-  case 'generate':
-    cmdGenerate();
-    break;
+/**
+ * Options every command takes
+ * `value` names the argument of string options in help; `help` is one
+ * line or a list of lines.
+ */
+const GLOBAL_OPTIONS = {
+  config: { type: 'string', short: 'c', value: '<path>', help: 'Config file, or a directory to find it in' },
+  cwd: { type: 'string', value: '<dir>', help: 'Run as if started in <dir>' },
+  json: { type: 'boolean', help: 'Print the result as JSON on stdout' },
+  quiet: { type: 'boolean', short: 'q', help: 'Only print errors' },
+  help: { type: 'boolean', short: 'h', help: 'Show help' }
+};
+
+const FORMAT_HELP = [
+  'Badge and snippet formats, comma-separated:',
+  'svg or png (default: svg), and any of',
+  SNIPPET_FORMATS.map(f => f.id).join(', '),
+  'or all (default: markdown,html)'
+];
+
+/**
+ * Commands: `usage` and `summary` for help, `positionals` allowed, the
+ * command's own `options`, and `run(options, positionals)`, which returns
+ * the JSON result
+ */
+const COMMANDS = {
+  init: {
+    usage: 'init [AppName]',
+    summary: 'Create install-bridge.json',
+    positionals: 1,
+    options: {
+      config: { type: 'string', short: 'c', value: '<path>', help: 'File to create (default: install-bridge.json)' },
+      force: { type: 'boolean', short: 'f', help: 'Overwrite an existing config file' }
+    },
+    run: cmdInit
+  },
+
+  validate: {
+    usage: 'validate',
+    summary: 'Validate config',
+    run: cmdValidate
+  },
+
+  generate: {
+    usage: 'generate',
+    summary: 'Generate badge and snippets',
+    options: {
+      out: { type: 'string', short: 'o', value: '<path>', help: 'Badge file (default: install-badge.svg)' },
+      server: { type: 'string', value: '<url>', help: 'Use badge and install URLs on a server' },
+      key: { type: 'string', value: '<secret>', help: 'Sign those URLs (or INSTALL_BRIDGE_SECRET)' },
+      format: { type: 'string', value: '<list>', help: FORMAT_HELP },
+      scale: { type: 'string', value: '<1-4>', help: 'Pixel density for PNG badges' },
+      'copy-all': { type: 'boolean', help: 'Print all snippets as one block' }
+    },
+    run: cmdGenerate
+  },
+
+  verify: {
+    usage: 'verify <file>',
+    summary: 'Check a download against its sha256',
+    positionals: 1,
+    options: {
+      channel: { type: 'string', value: '<name>', help: 'Check against a channel (default: the default)' }
+    },
+    run: cmdVerify
+  },
+
+  check: {
+    usage: 'check',
+    summary: ['Check that installer, homepage and', 'fallback URLs respond (HEAD requests)'],
+    options: {
+      timeout: { type: 'string', value: '<ms>', help: 'Per-request timeout (default: 10000)' }
+    },
+    run: cmdCheck
+  },
+
+  export: {
+    usage: 'export <dir>',
+    summary: 'Write a static install site',
+    positionals: 1,
+    options: {
+      out: { type: 'string', short: 'o', value: '<dir>', help: 'Directory to write, instead of <dir>' },
+      channel: { type: 'string', value: '<name>', help: 'Export one channel (default: the default)' },
+      url: { type: 'string', value: '<site-url>', help: 'Print snippets for the hosted site' },
+      format: { type: 'string', value: '<list>', help: 'Snippet formats to print, as for generate' },
+      'copy-all': { type: 'boolean', help: 'Print all snippets as one block' }
+    },
+    run: cmdExport
+  }
+};
+
+/**
+ * Two-column help rows; the second column may wrap onto more lines
+ */
+function formatRows(rows) {
+  return rows.map(([left, right]) =>
+    `  ${left.padEnd(30)}  ${[].concat(right).join(`\n${' '.repeat(34)}`)}`
+  ).join('\n');
+}
 
-  case 'validate':
-    cmdValidate();
-    break;
+function formatOptions(options) {
+  return formatRows(Object.keys(options).map(name => {
+    const option = options[name];
+    const flag = `${option.short ? `-${option.short}, ` : ''}--${name}${option.value ? ` ${option.value}` : ''}`;
+    return [flag, option.help];
+  }));
+}
 
-  default:
-    console.log(`
+function formatHelp() {
+  return `
 Install Bridge CLI
 
 Usage:
-  install-bridge init [AppName]   Create install-bridge.json
-  install-bridge validate         Validate config
-  install-bridge generate         Generate badge and snippets
+  install-bridge <command> [options]
+
+Commands:
+${formatRows(Object.keys(COMMANDS).map(name => [COMMANDS[name].usage, COMMANDS[name].summary]))}
+
+Options:
+${formatOptions(GLOBAL_OPTIONS)}
+
+Run install-bridge <command> --help for the options of a command.
+
+Exit codes:
+  0  Success
+  1  Failure: invalid config, failed check or verification
+  2  Usage error: unknown command or option, missing argument
 
 Files:
-  - install-bridge.json
-  - install-badge.svg
-`);
-    process.exit(0);
+  - install-bridge.json, .yaml, .yml or .toml, or "installBridge"
+    in package.json; "extends" merges shared base configs
+  - install-badge.svg (or .png)
+`;
+}
+
+function formatCommandHelp(name) {
+  const command = COMMANDS[name];
+  const own = command.options || {};
+  const global = {};
+
+  // A command's own option replaces the global one of the same name
+  Object.keys(GLOBAL_OPTIONS).forEach(key => {
+    if (!hasOwn(own, key)) global[key] = GLOBAL_OPTIONS[key];
+  });
+
+  const sections = [
+    `Usage:\n  install-bridge ${command.usage} [options]`,
+    [].concat(command.summary).join(' ')
+  ];
+  if (Object.keys(own).length) sections.push(`Options:\n${formatOptions(own)}`);
+  sections.push(`Global options:\n${formatOptions(global)}`);
+
+  return `\n${sections.join('\n\n')}\n`;
+}
+
+/**
+ * Print an error as text, or as `{ ok: false, error, ...details }` with
+ * --json
+ */
+function report(err) {
+  const details = err.details || {};
+  const issues = details.errors || [];
+
+  if (output.json) {
+    console.log(JSON.stringify({ ok: false, error: err.message, ...details }, null, 2));
+  } else if (issues.length) {
+    console.error(`❌ ${err.message}:\n- ${issues.map(core.formatIssue).join('\n- ')}`);
+  } else {
+    console.error(`❌ ${err.message}`);
+  }
+
+  process.exitCode = err.exitCode || EXIT.FAILED;
+}
+
+/**
+ * Take the command out of the arguments
+ * Global options may come first, e.g. `--cwd packages/app generate`.
+ *
+ * Returns: { name, rest }, `name` being null when there is no command
+ */
+function splitCommand(argv) {
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('-')) {
+      return { name: arg, rest: argv.slice(0, i).concat(argv.slice(i + 1)) };
+    }
+
+    // Skip the value of a string option
+    const option = Object.keys(GLOBAL_OPTIONS).find(key =>
+      arg === `--${key}` || (GLOBAL_OPTIONS[key].short && arg === `-${GLOBAL_OPTIONS[key].short}`)
+    );
+    if (option && GLOBAL_OPTIONS[option].type === 'string') i++;
+  }
+
+  return { name: null, rest: argv };
+}
+
+async function main(argv) {
+  const { name, rest } = splitCommand(argv);
+
+  output.json = rest.includes('--json');
+
+  if (!name) {
+    if (rest.length && !rest.includes('--help') && !rest.includes('-h')) {
+      usage('Missing command (see install-bridge --help)');
+    }
+    console.log(formatHelp());
+    return;
+  }
+
+  if (name === 'help') {
+    if (rest[0] && !hasOwn(COMMANDS, rest[0])) {
+      usage(`Unknown command: ${rest[0]} (see install-bridge --help)`);
+    }
+    console.log(rest[0] ? formatCommandHelp(rest[0]) : formatHelp());
+    return;
+  }
+
+  if (!hasOwn(COMMANDS, name)) {
+    usage(`Unknown command: ${name} (see install-bridge --help)`);
+  }
+
+  const command = COMMANDS[name];
+  let parsed;
+
+  try {
+    parsed = parseArgs(rest, {
+      options: { ...GLOBAL_OPTIONS, ...command.options },
+      positionals: command.positionals
+    });
+  } catch (err) {
+    usage(`${err.message} (see install-bridge ${name} --help)`);
+  }
+
+  const { options, positionals } = parsed;
+  output.quiet = options.quiet;
+
+  if (options.help) {
+    console.log(formatCommandHelp(name));
+    return;
+  }
+
+  options.cwd = path.resolve(options.cwd || '.');
+
+  if (!isDirectory(options.cwd)) {
+    fail(`Not a directory: ${options.cwd}`);
+  }
+
+  const result = await command.run(options, positionals);
+
+  if (output.json) {
+    console.log(JSON.stringify({ ok: true, ...result }, null, 2));
+  }
+
+  // Commands return ok: false for failures that still produce a report
+  if (result && result.ok === false) {
+    process.exitCode = EXIT.FAILED;
+  }
 }
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+main(process.argv.slice(2)).catch(report);
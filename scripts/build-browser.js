@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+
+// ============================================================================
+// INSTALL BRIDGE - BROWSER BUILD
+// Bundles src/core/core.js and the modules it requires into single files:
+//   dist/install-bridge.js    UMD (script tag, AMD, CommonJS)
+//   dist/install-bridge.mjs   ES module
+// Zero dependencies: the core only requires its own sibling modules
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+
+const CORE_DIR = path.join(__dirname, '..', 'src', 'core');
+const ENTRY = './core';
+const REQUIRE = /require\((['"])([^'"]+)\1\)/g;
+const SIBLING = /^\.\/[\w-]+$|^\.\/[\w.-]+\.json$/;
+
+/**
+ * Collect the entry module and everything it requires
+ * Only sibling modules (`./name`) and JSON files (`./name.json`) are
+ * allowed, which keeps the core browser-safe: a Node built-in or package
+ * would fail the build.
+ *
+ * Returns: [{ id, source }] in discovery order
+ */
+function collectModules(dir = CORE_DIR) {
+  const modules = [];
+  const seen = new Set();
+
+  function visit(id) {
+    if (seen.has(id)) return;
+    seen.add(id);
+
+    if (id.endsWith('.json')) {
+      const data = JSON.parse(fs.readFileSync(path.join(dir, id), 'utf8'));
+      modules.push({ id, source: `module.exports = ${JSON.stringify(data)};` });
+      return;
+    }
+
+    const file = path.join(dir, `${id}.js`);
+    const source = fs.readFileSync(file, 'utf8');
+    modules.push({ id, source });
+
+    let match;
+    REQUIRE.lastIndex = 0;
+    const requires = [];
+    while ((match = REQUIRE.exec(source))) requires.push(match[2]);
+
+    requires.forEach(request => {
+      if (!SIBLING.test(request)) {
+        throw new Error(`${id}.js requires "${request}"; the browser build only bundles ./sibling modules`);
+      }
+      visit(request);
+    });
+  }
+
+  visit(ENTRY);
+  return modules;
+}
+
+/**
+ * Module table plus a minimal CommonJS loader; evaluates to the core
+ */
+function bundleBody(modules) {
+  const table = modules.map(({ id, source }) =>
+    `${JSON.stringify(id)}: function (module, exports, require) {\n${source}\n}`
+  ).join(',\n\n');
+
+  return `var modules = {
+${table}
+};
+
+var cache = {};
+
+function load(id) {
+  if (!cache[id]) {
+    var module = cache[id] = { exports: {} };
+    modules[id](module, module.exports, load);
+  }
+  return cache[id].exports;
+}
+
+return load(${JSON.stringify(ENTRY)});`;
+}
+
+function banner(version) {
+  return `/*! install-bridge v${version} | MIT | browser build of src/core, generated by scripts/build-browser.js */`;
+}
+
+/**
+ * Build both bundles
+ * Returns: { 'install-bridge.js': source, 'install-bridge.mjs': source }
+ */
+function buildBrowser(dir = CORE_DIR) {
+  const { version } = require('../package.json');
+  const modules = collectModules(dir);
+  const body = bundleBody(modules);
+  const core = require(path.join(dir, 'core'));
+  const names = Object.keys(core);
+
+  const umd = `${banner(version)}
+(function (root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define([], factory);
+  } else if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.InstallBridge = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+${body}
+});
+`;
+
+  const esm = `${banner(version)}
+const InstallBridge = (function () {
+${body}
+})();
+
+export default InstallBridge;
+export const {
+  ${names.join(',\n  ')}
+} = InstallBridge;
+`;
+
+  return {
+    'install-bridge.js': umd,
+    'install-bridge.mjs': esm
+  };
+}
+
+/**
+ * Write the bundles to `outDir`
+ * Returns: list of written paths
+ */
+function writeBrowserBuild(outDir) {
+  const files = buildBrowser();
+  fs.mkdirSync(outDir, { recursive: true });
+
+  return Object.keys(files).map(name => {
+    const file = path.join(outDir, name);
+    fs.writeFileSync(file, files[name]);
+    return file;
+  });
+}
+
+if (require.main === module) {
+  const outDir = path.resolve(process.argv[2] || path.join(__dirname, '..', 'dist'));
+
+  try {
+    writeBrowserBuild(outDir).forEach(file => {
+      const size = fs.statSync(file).size;
+      console.log(`✅ ${path.relative(process.cwd(), file)} (${(size / 1024).toFixed(1)} KB)`);
+    });
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { collectModules, buildBrowser, writeBrowserBuild };
@@ -0,0 +1,52 @@
+// ============================================================================
+// INSTALL BRIDGE - BITMAP FONT
+// 5x7 pixel font for raster badges (classic GLCD layout)
+// ============================================================================
+
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+
+/**
+ * Printable ASCII (0x20-0x7E), five column bytes per glyph
+ * Bit 0 is the top row; bit 6 sits on the baseline.
+ */
+const GLYPHS = (
+  '0000000000 00005f0000 0007000700 147f147f14 242a7f2a12 2313086462 ' + //  !"#$%
+  '3649552250 0005030000 001c224100 0041221c00 082a1c2a08 08083e0808 ' + // &'()*+
+  '0050300000 0808080808 0060600000 2010080402 3e5149453e 00427f4000 ' + // ,-./01
+  '4261514946 2141454b31 1814127f10 2745454539 3c4a494930 0171090503 ' + // 234567
+  '3649494936 064949291e 0036360000 0056360000 0814224100 1414141414 ' + // 89:;<=
+  '0041221408 0201510906 324979413e 7e1111117e 7f49494936 3e41414122 ' + // >?@ABC
+  '7f4141221c 7f49494941 7f09090101 3e41415132 7f0808087f 00417f4100 ' + // DEFGHI
+  '2040413f01 7f08142241 7f40404040 7f0204027f 7f0408107f 3e4141413e ' + // JKLMNO
+  '7f09090906 3e4151215e 7f09192946 4649494931 01017f0101 3f4040403f ' + // PQRSTU
+  '1f2040201f 7f2018207f 6314081463 0304780403 6151494543 007f414100 ' + // VWXYZ[
+  '0204081020 0041417f00 0402010204 4040404040 0001020400 2054545478 ' + // \]^_`a
+  '7f48444438 3844444420 384444487f 3854545418 087e090102 0c5252523e ' + // bcdefg
+  '7f08040478 00447d4000 2040443d00 007f102844 00417f4000 7c04180478 ' + // hijklm
+  '7c08040478 3844444438 7c14141408 081414187c 7c08040408 4854545420 ' + // nopqrs
+  '043f444020 3c4040207c 1c2040201c 3c4030403c 4428102844 0c5050503c ' + // tuvwxy
+  '4464544c44 0008364100 00007f0000 0041360800 0201020402'              // z{|}~
+).split(' ');
+
+// Drawn for characters outside printable ASCII
+const MISSING = '7f4141417f';
+
+/**
+ * Column bytes for one character
+ * Accented letters fall back to their base letter.
+ */
+function getGlyph(char) {
+  const base = char.normalize('NFD').charAt(0);
+  const code = base.charCodeAt(0);
+  const hex = code >= 0x20 && code <= 0x7e ? GLYPHS[code - 0x20] : MISSING;
+  const columns = [];
+
+  for (let i = 0; i < GLYPH_WIDTH; i++) {
+    columns.push(parseInt(hex.slice(i * 2, i * 2 + 2), 16));
+  }
+
+  return columns;
+}
+
+module.exports = { GLYPH_WIDTH, GLYPH_HEIGHT, getGlyph };
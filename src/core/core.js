@@ -3,73 +3,331 @@
 // Pure logic layer with zero dependencies on CLI or server
 // ============================================================================
 
+const { measureText } = require('./text-width');
+const { isValidColor, parseColor } = require('./colors');
+const { ICON_SIZE, ICONS, PLATFORM_ICONS } = require('./icons');
+const raster = require('./raster');
+const i18n = require('./i18n');
+const { parseYAML, parseTOML } = require('./formats');
+const { validateSchema, resolvePointer } = require('./schema');
+const CONFIG_SCHEMA = require('./install-bridge.schema.json');
+
+/**
+ * Horizontal padding on each side of badge text, in px
+ */
+const BADGE_PADDING = 5;
+
+/**
+ * Badge styles, matching the shields.io styles of the same name
+ * `social` has its own renderer; the others share renderBadge()
+ */
+const BADGE_STYLES = {
+  flat: {
+    height: 20, radius: 3, textY: 14, shadow: true,
+    gradient: [[0, '#bbb', '.1'], [1, null, '.1']]
+  },
+  'flat-square': { height: 20, radius: 0, textY: 14, shadow: true },
+  plastic: {
+    height: 18, radius: 4, textY: 13, shadow: true,
+    gradient: [[0, '#fff', '.7'], ['.1', '#aaa', '.1'], ['.9', null, '.3'], [1, null, '.5']]
+  },
+  'for-the-badge': {
+    height: 28, radius: 0, textY: 18, fontSize: 10, padding: 12,
+    letterSpacing: 1.25, uppercase: true, boldMessage: true
+  },
+  social: { height: 20, radius: 2, textY: 14 }
+};
+
+/**
+ * Space between a badge logo and the label text, in px
+ */
+const LOGO_GAP = 3;
+
+/**
+ * `badge.logo` data URIs: SVG only, small enough to inline
+ */
+const LOGO_DATA_URI = /^data:image\/svg\+xml(;base64)?,/;
+const MAX_LOGO_LENGTH = 4096;
+
+/**
+ * Largest `scale` accepted for PNG badges, and the most device pixels a
+ * PNG badge may have; wider badges get a lower scale
+ */
+const MAX_PNG_SCALE = 4;
+const MAX_PNG_PIXELS = 1024 * 1024;
+
+/**
+ * Badge text fields; their templates take placeholders such as
+ * `"label": "Install v{version}"`
+ */
+const BADGE_TEXT_FIELDS = ['label', 'message', 'detail'];
+const PLACEHOLDER = /\{([^{}]*)\}/g;
+
+// Separators dropped next to a placeholder that renders empty
+const TEMPLATE_SEPARATORS = '\\s\\u00b7\\u2022|:,/\\u2013\\u2014-';
+const EMPTY_PLACEHOLDER = new RegExp(
+  `[${TEMPLATE_SEPARATORS}]+\\u0000|\\u0000[${TEMPLATE_SEPARATORS}]*`,
+  'g'
+);
+
+/**
+ * Package managers for `commands`: the command a package name is appended
+ * to, and the platforms the manager runs on
+ */
+const PACKAGE_MANAGERS = {
+  brew: { command: 'brew install', platforms: ['darwin', 'linux'] },
+  winget: { command: 'winget install -e --id', platforms: ['win32'] },
+  scoop: { command: 'scoop install', platforms: ['win32'] },
+  choco: { command: 'choco install', platforms: ['win32'] },
+  apt: { command: 'sudo apt install', platforms: ['linux'] },
+  snap: { command: 'sudo snap install', platforms: ['linux'] },
+  flatpak: { command: 'flatpak install flathub', platforms: ['linux'] },
+  npm: { command: 'npm install -g', platforms: ['darwin', 'win32', 'linux'] },
+  cargo: { command: 'cargo install', platforms: ['darwin', 'win32', 'linux'] }
+};
+
+/**
+ * `commands` values: a package name, then optional flags
+ * Visitors paste these into a shell, so nothing a shell would interpret
+ * (quotes, `;`, `|`, `$`, redirects) is accepted.
+ */
+const PACKAGE_NAME = /^@?[A-Za-z0-9][A-Za-z0-9._+/-]*$/;
+const PACKAGE_FLAG = /^--?[A-Za-z][A-Za-z0-9-]*(=[A-Za-z0-9._+/:@-]+)?$/;
+const MAX_PACKAGE_LENGTH = 214;
+
+/**
+ * Config file formats and their extensions
+ */
+const CONFIG_FORMATS = {
+  json: { name: 'JSON', extensions: ['.json'], parse: JSON.parse },
+  yaml: { name: 'YAML', extensions: ['.yaml', '.yml'], parse: parseYAML },
+  toml: { name: 'TOML', extensions: ['.toml'], parse: parseTOML }
+};
+
 /**
  * Supported platform priority order
  * Used for deterministic fallbacks
  */
-const PLATFORM_ORDER = ['darwin', 'win32', 'linux'];
+const PLATFORM_ORDER = ['darwin', 'win32', 'linux', 'ios', 'android'];
 
 /**
- * Validate URL using native URL parser
+ * Display names for platforms
+ */
+const PLATFORM_NAMES = {
+  darwin: 'macOS',
+  win32: 'Windows',
+  linux: 'Linux',
+  ios: 'iOS',
+  android: 'Android'
+};
+
+/**
+ * Supported CPU architectures, in fallback order
+ * `universal` is the OS-generic build and is tried after an exact match
+ */
+const ARCH_ORDER = ['x64', 'arm64'];
+const ARCH_KEYS = [...ARCH_ORDER, 'universal'];
+
+/**
+ * Package formats a platform's installer map may list
+ * Linux order is the default preference when the distro is unknown
+ */
+const PLATFORM_FORMATS = {
+  linux: ['appimage', 'flatpak', 'tarball', 'deb', 'rpm'],
+  android: ['play', 'fdroid', 'apk']
+};
+
+/**
+ * Linux package format preference per distro family
+ */
+const DISTRO_FORMATS = {
+  debian: ['deb', 'appimage', 'flatpak', 'tarball', 'rpm'],
+  fedora: ['rpm', 'appimage', 'flatpak', 'tarball', 'deb'],
+  suse: ['rpm', 'appimage', 'flatpak', 'tarball', 'deb'],
+  arch: ['appimage', 'flatpak', 'tarball', 'deb', 'rpm']
+};
+
+/**
+ * File extensions installer downloads are expected to have, per platform
+ * and (for platforms with PLATFORM_FORMATS) package format
+ */
+const INSTALLER_EXTENSIONS = {
+  darwin: ['.dmg', '.pkg', '.zip', '.tar.gz'],
+  win32: ['.exe', '.msi', '.msix', '.msixbundle', '.appx', '.appxbundle', '.zip'],
+  linux: {
+    appimage: ['.appimage'],
+    flatpak: ['.flatpak', '.flatpakref'],
+    tarball: ['.tar.gz', '.tgz', '.tar.xz', '.tar.bz2', '.tar.zst'],
+    deb: ['.deb'],
+    rpm: ['.rpm']
+  },
+  android: { apk: ['.apk'] }
+};
+
+/**
+ * SHA-256 digests taken from release assets
+ */
+const SHA256 = /^[a-f0-9]{64}$/i;
+
+/**
+ * Store hosts accepted for mobile installers
+ */
+const STORE_HOSTS = {
+  appstore: ['apps.apple.com', 'itunes.apple.com'],
+  play: ['play.google.com'],
+  fdroid: ['f-droid.org']
+};
+
+/**
+ * Schemes a config may link to; anything else (javascript:, data:,
+ * file:, ...) is rejected
+ */
+const URL_PROTOCOLS = ['http:', 'https:'];
+
+const DEFAULT_BADGE_COLOR = '#0366d6';
+
+/**
+ * Validate an HTTP(S) URL using native URL parser
  */
 function isValidURL(value) {
   if (typeof value !== 'string') return false;
   try {
-    new URL(value);
-    return true;
+    return URL_PROTOCOLS.includes(new URL(value).protocol);
   } catch {
     return false;
   }
 }
 
 /**
- * Validate configuration object
+ * Formats named by `format` in install-bridge.schema.json
+ */
+const SCHEMA_FORMATS = {
+  'http-url': isValidURL,
+  color: isValidColor,
+  'language-tag': i18n.isValidLocale,
+  'package-command': isValidPackage,
+  'asset-pattern': pattern => toAssetMatcher(pattern) !== null
+};
+
+/**
+ * Custom keywords of install-bridge.schema.json, for rules JSON Schema
+ * cannot express; editors ignore them
+ *   x-placeholders  placeholders a template string may use
+ *   x-store         store an installer must point at (see STORE_URLS)
+ *   x-keyOf         the value must be a key of the object at a JSON Pointer
+ */
+const SCHEMA_KEYWORDS = {
+  'x-placeholders': (allowed, value) => {
+    const unknown = listPlaceholders(String(value)).filter(name => !allowed.includes(name));
+    if (unknown.length === 0) return null;
+
+    const use = allowed.length
+      ? `use ${allowed.map(name => `{${name}}`).join(', ')}`
+      : 'this text takes none';
+    return `has unknown placeholder ${unknown.map(name => `{${name}}`).join(', ')} (${use})`;
+  },
+  'x-store': (store, value) => {
+    const url = isArtifact(value) ? value.url : value;
+    if (!isValidURL(url) || STORE_URLS[store].kinds.includes(classifyStoreURL(url))) return null;
+    return `must be ${STORE_URLS[store].name}`;
+  },
+  'x-keyOf': (pointer, value, config) => {
+    const keys = resolvePointer(config, pointer);
+    if (!isPlainObject(keys) || hasOwn(keys, value)) return null;
+    return `must name one of: ${Object.keys(keys).join(', ')}`;
+  }
+};
+
+/**
+ * URLs accepted for `x-store`: listings on a store, or an APK for `android`
+ */
+const STORE_URLS = {
+  appstore: { kinds: ['appstore'], name: 'an App Store URL' },
+  play: { kinds: ['play'], name: 'a Play Store URL' },
+  fdroid: { kinds: ['fdroid'], name: 'an F-Droid URL' },
+  android: { kinds: ['play', 'fdroid', 'apk'], name: 'a Play Store, F-Droid, or APK URL' }
+};
+
+/**
+ * Validate configuration object against install-bridge.schema.json
+ * Issues are { path, message } with a JSON Pointer path, e.g.
+ * `{ path: '/installers/darwin', message: 'must be an HTTP(S) URL' }`.
+ * Unknown fields are warnings and leave the config valid.
+ *
+ * Returns: { valid, errors, warnings }
  */
 function validateConfig(config) {
-  const errors = [];
+  const { errors, warnings } = validateSchema(CONFIG_SCHEMA, config, {
+    formats: SCHEMA_FORMATS,
+    keywords: SCHEMA_KEYWORDS
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings
+  };
+}
+
+/**
+ * One line for a validation issue: `file: /path: message`, leaving out
+ * the file or path when the issue has none
+ */
+function formatIssue(issue) {
+  return [issue.file, issue.path, issue.message].filter(Boolean).join(': ');
+}
+
+function isValidPackage(value) {
+  if (typeof value !== 'string' || value.length > MAX_PACKAGE_LENGTH) return false;
+
+  const [name, ...flags] = value.trim().split(/\s+/);
+  return PACKAGE_NAME.test(name) && flags.every(flag => PACKAGE_FLAG.test(flag));
+}
 
-  if (!config || typeof config !== 'object') {
-    return { valid: false, errors: ['Config must be an object'] };
+/**
+ * Classify a URL as a store listing or direct APK download
+ * Returns: 'appstore' | 'play' | 'fdroid' | 'apk' | null
+ */
+function classifyStoreURL(value) {
+  let parsed;
+  try {
+    parsed = new URL(value);
+  } catch {
+    return null;
   }
 
-  if (!config.name || typeof config.name !== 'string') {
-    errors.push('name is required and must be a string');
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+
+  for (const kind of Object.keys(STORE_HOSTS)) {
+    if (STORE_HOSTS[kind].includes(host)) return kind;
   }
 
-  if (!config.installers || typeof config.installers !== 'object') {
-    errors.push('installers is required and must be an object');
-  } else {
-    const platforms = Object.keys(config.installers);
+  if (parsed.pathname.toLowerCase().endsWith('.apk')) return 'apk';
 
-    if (platforms.length === 0) {
-      errors.push('at least one installer platform must be specified');
-    }
+  return null;
+}
 
-    platforms.forEach(platform => {
-      if (!PLATFORM_ORDER.includes(platform)) {
-        errors.push(
-          `invalid platform: ${platform} (must be darwin, win32, or linux)`
-        );
-      }
+function isValidLogo(logo) {
+  return logo === 'auto' ||
+    hasOwn(ICONS, logo) ||
+    (typeof logo === 'string' &&
+      LOGO_DATA_URI.test(logo) &&
+      logo.length <= MAX_LOGO_LENGTH);
+}
 
-      const url = config.installers[platform];
-      if (!isValidURL(url)) {
-        errors.push(
-          `installer for ${platform} must be a valid HTTP(S) URL`
-        );
-      }
-    });
-  }
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
 
-  return {
-    valid: errors.length === 0,
-    errors
-  };
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
 }
 
 /**
  * Detect OS from User-Agent string
- * Returns: 'darwin' | 'linux' | 'win32' | 'unknown'
+ * Mobile checks run first: iOS UAs contain "Mac OS X" and Android UAs
+ * contain "Linux".
+ * Returns: 'darwin' | 'linux' | 'win32' | 'ios' | 'android' | 'unknown'
  */
 function detectOS(userAgent) {
   if (!userAgent) return 'unknown';
@@ -77,15 +335,22 @@ function detectOS(userAgent) {
   const ua = userAgent.toLowerCase();
 
   if (
-    ua.includes('mac') ||
-    ua.includes('darwin') ||
     ua.includes('iphone') ||
-    ua.includes('ipad')
+    ua.includes('ipad') ||
+    ua.includes('ipod')
   ) {
+    return 'ios';
+  }
+
+  if (ua.includes('android')) {
+    return 'android';
+  }
+
+  if (ua.includes('mac') || ua.includes('darwin')) {
     return 'darwin';
   }
 
-  if (ua.includes('linux') || ua.includes('android')) {
+  if (ua.includes('linux')) {
     return 'linux';
   }
 
@@ -96,130 +361,1533 @@ function detectOS(userAgent) {
   return 'unknown';
 }
 
+/**
+ * Strip the quotes Client Hints wrap around their values
+ */
+function unquoteHint(value) {
+  if (typeof value !== 'string') return '';
+  return value.trim().replace(/^"|"$/g, '').toLowerCase();
+}
+
+/**
+ * Detect CPU architecture from User-Agent and Client Hints
+ * Hints (Sec-CH-UA-Arch / Sec-CH-UA-Bitness) win over the User-Agent,
+ * since browsers on Apple Silicon still report "Intel Mac OS X".
+ * Returns: 'x64' | 'arm64' | 'unknown'
+ */
+function detectArch(userAgent, hints = {}) {
+  const hintArch = unquoteHint(hints.arch);
+  const bitness = unquoteHint(hints.bitness);
+
+  if (hintArch === 'arm') {
+    return bitness === '32' ? 'unknown' : 'arm64';
+  }
+
+  if (hintArch === 'x86') {
+    return bitness === '32' ? 'unknown' : 'x64';
+  }
+
+  if (!userAgent) return 'unknown';
+
+  const ua = userAgent.toLowerCase();
+
+  if (ua.includes('aarch64') || ua.includes('arm64')) {
+    return 'arm64';
+  }
+
+  if (
+    ua.includes('x86_64') ||
+    ua.includes('x64') ||
+    ua.includes('amd64') ||
+    ua.includes('win64') ||
+    ua.includes('wow64')
+  ) {
+    return 'x64';
+  }
+
+  return 'unknown';
+}
+
+/**
+ * Detect Linux distro family from User-Agent string
+ * Only some browsers (mostly Firefox builds) include the distro name.
+ * Returns: 'debian' | 'fedora' | 'suse' | 'arch' | 'unknown'
+ */
+function detectDistro(userAgent) {
+  if (!userAgent) return 'unknown';
+
+  const ua = userAgent.toLowerCase();
+
+  if (/ubuntu|debian|linux mint|pop!_os|elementary|raspbian/.test(ua)) {
+    return 'debian';
+  }
+
+  if (/fedora|red hat|rhel|centos|rocky|almalinux/.test(ua)) {
+    return 'fedora';
+  }
+
+  if (ua.includes('suse')) {
+    return 'suse';
+  }
+
+  if (/arch linux|manjaro|endeavouros/.test(ua)) {
+    return 'arch';
+  }
+
+  return 'unknown';
+}
+
+/**
+ * Package format preference for a platform and distro family
+ */
+function getFormatOrder(platform, distro = 'unknown') {
+  if (platform === 'linux' && DISTRO_FORMATS[distro]) {
+    return DISTRO_FORMATS[distro];
+  }
+  return PLATFORM_FORMATS[platform] || [];
+}
+
+/**
+ * Whether an installer entry is keyed by package format
+ */
+function isFormatMap(entry, formats) {
+  return Object.keys(entry).some(key => formats.includes(key));
+}
+
+/**
+ * Whether a value is an artifact object ({ url, sha256, ... })
+ */
+function isArtifact(value) {
+  return isPlainObject(value) && hasOwn(value, 'url');
+}
+
+/**
+ * Whether an entry describes one build (as opposed to an architecture map)
+ */
+function isBuild(entry, formats) {
+  return typeof entry === 'string' || isArtifact(entry) || isFormatMap(entry, formats);
+}
+
+/**
+ * Normalize a URL string or artifact object to { format, url, ...metadata }
+ */
+function toArtifact(value, format) {
+  return typeof value === 'string'
+    ? { format, url: value }
+    : { ...value, format };
+}
+
+/**
+ * List the artifacts of one architecture's build, in format order
+ */
+function listArtifacts(node, formats) {
+  if (!node) return [];
+  if (typeof node === 'string' || isArtifact(node)) return [toArtifact(node, null)];
+  return formats
+    .filter(format => node[format])
+    .map(format => toArtifact(node[format], format));
+}
+
+/**
+ * Pick the URL for an architecture from one installer entry
+ * Order: exact architecture, then `universal`, then (only when the
+ * architecture is unknown) the first build in ARCH_ORDER. Within a build,
+ * the first package format in `formats` wins.
+ * Returns: { arch, format, url, ...metadata } | null
+ */
+function resolveInstaller(entry, arch = 'unknown', formats = []) {
+  if (!entry) return null;
+
+  if (isBuild(entry, formats)) {
+    const [artifact] = listArtifacts(entry, formats);
+    return artifact ? { arch: 'universal', ...artifact } : null;
+  }
+
+  const candidates = ['universal'];
+  if (ARCH_ORDER.includes(arch)) candidates.unshift(arch);
+  if (arch === 'unknown') candidates.push(...ARCH_ORDER);
+
+  for (const candidate of candidates) {
+    const [artifact] = listArtifacts(entry[candidate], formats);
+    if (artifact) return { arch: candidate, ...artifact };
+  }
+
+  return null;
+}
+
+/**
+ * List every installer as a flat { platform, arch, format, url } array
+ * Artifact metadata (sha256, size, signature, publicKey) is carried along
+ * Ordered by PLATFORM_ORDER, then ARCH_KEYS, then format preference
+ */
+function listInstallers(installers = {}, distro = 'unknown') {
+  const list = [];
+
+  PLATFORM_ORDER.forEach(platform => {
+    const entry = installers[platform];
+    if (!entry) return;
+
+    const formats = getFormatOrder(platform, distro);
+
+    if (isBuild(entry, formats)) {
+      listArtifacts(entry, formats).forEach(artifact => {
+        list.push({ platform, arch: 'universal', ...artifact });
+      });
+      return;
+    }
+
+    ARCH_KEYS.forEach(arch => {
+      listArtifacts(entry[arch], formats).forEach(artifact => {
+        list.push({ platform, arch, ...artifact });
+      });
+    });
+  });
+
+  return list;
+}
+
+/**
+ * Collect every URL a config can send visitors to
+ * Installers (with signature and key URLs), fallback, homepage, and the
+ * install page's release notes link and screenshots
+ */
+function listConfigURLs(config) {
+  const urls = [];
+
+  listInstallers(config.installers).forEach(d => {
+    urls.push(d.url);
+    if (d.signature) urls.push(d.signature);
+    if (d.publicKey) urls.push(d.publicKey);
+  });
+
+  if (config.fallback) urls.push(config.fallback);
+  if (config.homepage) urls.push(config.homepage);
+
+  // Page links and images, as far as they are valid URLs
+  const page = isPlainObject(config.page) ? config.page : {};
+  [
+    page.releaseNotesURL,
+    ...(Array.isArray(page.screenshots) ? page.screenshots : [])
+      .map(shot => isPlainObject(shot) ? shot.url : shot)
+  ].forEach(link => {
+    if (isValidURL(link)) urls.push(link);
+  });
+
+  return urls;
+}
+
 /**
  * Get first available installer deterministically
  */
 function getFirstInstaller(installers = {}) {
   for (const platform of PLATFORM_ORDER) {
-    if (installers[platform]) return installers[platform];
+    const resolved = resolveInstaller(
+      installers[platform],
+      'unknown',
+      getFormatOrder(platform)
+    );
+    if (resolved) return resolved.url;
   }
-  return Object.values(installers)[0] || null;
+
+  // Entries the platform rules do not reach, in config order
+  for (const entry of Object.values(installers)) {
+    const resolved = resolveInstaller(entry);
+    if (resolved) return resolved.url;
+  }
+  return null;
 }
 
 /**
- * Determine install target for detected OS
+ * Determine install target for detected OS, architecture and distro
  */
-function getInstallTarget(config, os) {
+function getInstallTarget(config, os, arch = 'unknown', distro = 'unknown') {
   const installers = config.installers || {};
+  const resolved = resolveInstaller(
+    installers[os],
+    arch,
+    getFormatOrder(os, distro)
+  );
 
-  if (!installers[os]) {
+  if (!resolved) {
     return {
       available: false,
       platform: os,
+      arch,
       fallback: config.fallback || config.homepage || null
     };
   }
 
   return {
+    ...resolved,
     available: true,
-    platform: os,
-    url: installers[os]
+    platform: os
   };
 }
 
 /**
- * Generate SVG badge
+ * Decide what /install does for a visitor
+ * Redirects to the installer, or to the fallback when there is none; shows
+ * the install page when there is nowhere to go or the build ships several
+ * package formats and the distro is unknown.
+ * Returns: { action: 'redirect', url, target } | { action: 'page', target }
  */
-function generateBadge(config) {
-  const opts = config.badge || {};
-  const label = opts.label || 'Install';
-  const appName = config.name;
-  const color = opts.color || '#0366d6';
-  const style = opts.style || 'flat';
+function resolveInstallAction(config, { os = 'unknown', arch = 'unknown', distro = 'unknown' } = {}) {
+  const target = getInstallTarget(config, os, arch, distro);
 
-  const labelWidth = label.length * 6 + 10;
-  const nameWidth = appName.length * 7 + 10;
-  const totalWidth = labelWidth + nameWidth;
+  if (target.available && !hasFormatChoice(config, target, distro)) {
+    return { action: 'redirect', url: target.url, target };
+  }
 
-  if (style === 'flat') {
-    return `<svg xmlns="http://www.w3.org/2000/svg" width="${totalWidth}" height="20">
-  <linearGradient id="b" x2="0" y2="100%">
-    <stop offset="0" stop-color="#bbb" stop-opacity=".1"/>
-    <stop offset="1" stop-opacity=".1"/>
-  </linearGradient>
-  <clipPath id="a">
-    <rect width="${totalWidth}" height="20" rx="3" fill="#fff"/>
-  </clipPath>
-  <g clip-path="url(#a)">
-    <path fill="#555" d="M0 0h${labelWidth}v20H0z"/>
-    <path fill="${color}" d="M${labelWidth} 0h${nameWidth}v20H${labelWidth}z"/>
-    <path fill="url(#b)" d="M0 0h${totalWidth}v20H0z"/>
-  </g>
-  <g fill="#fff" text-anchor="middle"
-     font-family="DejaVu Sans,Verdana,Geneva,sans-serif" font-size="11">
-    <text x="${labelWidth / 2}" y="15" fill="#010101" fill-opacity=".3">${label}</text>
-    <text x="${labelWidth / 2}" y="14">${label}</text>
-    <text x="${labelWidth + nameWidth / 2}" y="15" fill="#010101" fill-opacity=".3">${appName}</text>
-    <text x="${labelWidth + nameWidth / 2}" y="14">${appName}</text>
-  </g>
-</svg>`;
+  if (!target.available && target.fallback) {
+    return { action: 'redirect', url: target.fallback, target };
   }
 
-  return `<svg xmlns="http://www.w3.org/2000/svg" width="${totalWidth}" height="20">
-  <rect width="${labelWidth}" height="20" fill="#555"/>
-  <rect x="${labelWidth}" width="${nameWidth}" height="20" fill="${color}"/>
-  <text x="${labelWidth / 2}" y="14" fill="#fff"
-        font-family="Arial,sans-serif" font-size="11"
-        text-anchor="middle">${label}</text>
-  <text x="${labelWidth + nameWidth / 2}" y="14" fill="#fff"
-        font-family="Arial,sans-serif" font-size="11"
-        text-anchor="middle">${appName}</text>
-</svg>`;
+  return { action: 'page', target };
 }
 
 /**
- * Generate embed snippets
+ * Package managers that run on a platform, in PACKAGE_MANAGERS order
  */
-function generateSnippets(
-  config,
-  badgePath = './install-badge.svg',
-  installURL = null
-) {
-  const targetURL =
-    installURL ||
-    config.homepage ||
-    getFirstInstaller(config.installers);
+function listPackageManagers(platform) {
+  return Object.keys(PACKAGE_MANAGERS).filter(manager =>
+    PACKAGE_MANAGERS[manager].platforms.includes(platform)
+  );
+}
+
+/**
+ * Package manager commands of a config, platforms in priority order and
+ * managers in config order; invalid entries are left out
+ * Returns: [{ platform, manager, command }]
+ */
+function listInstallCommands(config) {
+  const commands = config && isPlainObject(config.commands) ? config.commands : {};
+  const list = [];
 
-  const markdown =
-    `[![Install ${config.name}](${badgePath})](${targetURL})`;
+  PLATFORM_ORDER.forEach(platform => {
+    const managers = commands[platform];
+    if (!isPlainObject(managers)) return;
+
+    Object.keys(managers).forEach(manager => {
+      if (
+        !hasOwn(PACKAGE_MANAGERS, manager) ||
+        !PACKAGE_MANAGERS[manager].platforms.includes(platform) ||
+        !isValidPackage(managers[manager])
+      ) {
+        return;
+      }
 
-  const html =
-`<a href="${targetURL}">
-  <img src="${badgePath}" alt="Install ${config.name}" />
-</a>`;
+      list.push({
+        platform,
+        manager,
+        command: `${PACKAGE_MANAGERS[manager].command} ${managers[manager].trim().split(/\s+/).join(' ')}`
+      });
+    });
+  });
 
-  return { markdown, html };
+  return list;
 }
 
 /**
- * Parse install-bridge.json content
+ * Replace detected client values with ones the visitor picked
+ * `overrides` holds strings from a URL (`os`, `arch`, `distro`); empty
+ * values keep the detected one.
+ *
+ * Returns: { client, errors }
  */
-function parseConfig(jsonString) {
-  try {
-    const config = JSON.parse(jsonString);
-    const validation = validateConfig(config);
+function applyClientOverrides(client, overrides = {}) {
+  const choices = {
+    os: PLATFORM_ORDER,
+    arch: ARCH_ORDER,
+    distro: Object.keys(DISTRO_FORMATS)
+  };
+  const result = { ...client };
+  const errors = [];
 
-    if (!validation.valid) {
-      return { success: false, errors: validation.errors };
+  Object.keys(choices).forEach(key => {
+    const value = overrides[key];
+    if (value === undefined || value === null || value === '') return;
+
+    if (typeof value !== 'string' || !choices[key].includes(value)) {
+      errors.push(`${key} must be one of: ${choices[key].join(', ')}`);
+      return;
     }
 
-    return { success: true, config };
-  } catch (err) {
-    return {
-      success: false,
-      errors: [`Invalid JSON: ${err.message}`]
-    };
-  }
+    result[key] = value;
+  });
+
+  return { client: result, errors };
+}
+
+/**
+ * True when the target's build ships several package formats and the
+ * distro is unknown, so the visitor should pick one instead of a redirect
+ */
+function hasFormatChoice(config, target, distro) {
+  if (!target.format || distro !== 'unknown') return false;
+
+  const formats = listInstallers(config.installers)
+    .filter(d => d.platform === target.platform && d.arch === target.arch);
+
+  return formats.length > 1;
+}
+
+/**
+ * resolveInstallAction() for every detectable platform, architecture and
+ * distro, keyed `<os>/<arch>/<distro>`
+ * Values are a redirect URL, or null where the install page is shown.
+ * Lets static hosts route visitors without a server.
+ */
+function listInstallRoutes(config) {
+  const routes = {};
+
+  PLATFORM_ORDER.forEach(os => {
+    [...ARCH_ORDER, 'unknown'].forEach(arch => {
+      [...Object.keys(DISTRO_FORMATS), 'unknown'].forEach(distro => {
+        const result = resolveInstallAction(config, { os, arch, distro });
+        routes[`${os}/${arch}/${distro}`] =
+          result.action === 'redirect' ? result.url : null;
+      });
+    });
+  });
+
+  return routes;
+}
+
+/**
+ * Browser source for detectOS(), detectArch() and detectDistro(), so
+ * client-side detection follows exactly the same rules
+ */
+function getDetectionScript() {
+  return [detectOS, unquoteHint, detectArch, detectDistro]
+    .map(fn => fn.toString())
+    .join('\n\n');
+}
+
+/**
+ * Supported platforms in priority order
+ */
+function listPlatforms() {
+  return [...PLATFORM_ORDER];
+}
+
+/**
+ * File extensions expected for an installer from listInstallers()
+ * Store listings (App Store, Play Store, F-Droid) are pages, not files.
+ * Returns: lowercase extensions, or [] when any file name will do
+ */
+function getInstallerExtensions(installer) {
+  const { platform, format, url } = installer;
+  const extensions = INSTALLER_EXTENSIONS[platform];
+
+  if (!extensions) return [];
+  if (Array.isArray(extensions)) return extensions;
+
+  if (platform === 'android' && !format && classifyStoreURL(url) !== 'apk') {
+    return [];
+  }
+
+  return format
+    ? extensions[format] || []
+    : [].concat(...Object.values(extensions));
+}
+
+/**
+ * Turn an asset pattern into a matcher function
+ * Patterns are globs (`*` and `?`) or `/regex/flags` strings.
+ * Returns null for invalid patterns.
+ */
+function toAssetMatcher(pattern) {
+  if (typeof pattern !== 'string' || !pattern) return null;
+
+  const regexForm = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  let regex;
+
+  try {
+    regex = regexForm
+      ? new RegExp(regexForm[1], regexForm[2].replace(/[gy]/g, ''))
+      : new RegExp(
+        '^' +
+        pattern
+          .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+          .replace(/\*/g, '.*')
+          .replace(/\?/g, '.') +
+        '$'
+      );
+  } catch {
+    return null;
+  }
+
+  return name => regex.test(name);
+}
+
+/**
+ * Build installers from a release payload and the source's asset patterns
+ * `release` follows the GitHub Releases API shape:
+ *   { tag_name, assets: [{ name, browser_download_url, size, digest }] }
+ * Returns: { installers, missing } where `missing` lists unmatched paths
+ */
+function resolveReleaseAssets(source, release) {
+  const assets = (release && release.assets) || [];
+  const missing = [];
+
+  const resolve = (node, path) => {
+    if (typeof node === 'string') {
+      const matches = toAssetMatcher(node);
+      const asset = matches && assets.find(a => matches(a.name));
+      if (!asset) missing.push(path);
+      return asset ? releaseArtifact(asset) : null;
+    }
+
+    const resolved = {};
+    Object.keys(node).forEach(key => {
+      const value = resolve(node[key], `${path}/${key}`);
+      if (value) resolved[key] = value;
+    });
+    return Object.keys(resolved).length ? resolved : null;
+  };
+
+  const installers = resolve(source.assets || {}, 'assets') || {};
+
+  return {
+    installers,
+    missing: missing.map(path => path.replace(/^assets\//, ''))
+  };
+}
+
+/**
+ * Turn a release asset into an installer entry
+ * GitHub reports `size` and, for newer releases, a `sha256:` digest.
+ */
+function releaseArtifact(asset) {
+  const artifact = { url: asset.browser_download_url };
+  const digest = typeof asset.digest === 'string'
+    ? asset.digest.replace(/^sha256:/, '')
+    : null;
+
+  if (digest && SHA256.test(digest)) artifact.sha256 = digest.toLowerCase();
+  if (Number.isInteger(asset.size) && asset.size > 0) artifact.size = asset.size;
+
+  return Object.keys(artifact).length > 1 ? artifact : artifact.url;
+}
+
+/**
+ * Apply a fetched release to a config with a `source`
+ * Hand-written `installers` entries win over resolved ones per platform.
+ */
+function applyRelease(config, release) {
+  const { installers, missing } = resolveReleaseAssets(config.source, release);
+
+  return {
+    config: {
+      ...config,
+      installers: { ...installers, ...(config.installers || {}) }
+    },
+    missing
+  };
+}
+
+/**
+ * Display name for a platform key, e.g. darwin -> "macOS"
+ */
+function getPlatformName(platform, names = PLATFORM_NAMES) {
+  return names[platform] || PLATFORM_NAMES[platform] || platform;
+}
+
+/**
+ * Pick the locale for a request
+ * `lang` (e.g. a `?lang=` parameter) wins, then the Accept-Language
+ * ranges; a range matches a built-in language or a config translation.
+ * Falls back to `i18n.defaultLocale`, then English.
+ */
+function resolveLocale(config, { lang, acceptLanguage } = {}) {
+  const ranges = [
+    ...(i18n.isValidLocale(lang) ? [lang] : []),
+    ...i18n.parseAcceptLanguage(acceptLanguage)
+  ];
+
+  return i18n.negotiateLocale(ranges, getAvailableLocales(config)) || getDefaultLocale(config);
+}
+
+/**
+ * The locale `lang` alone picks, or null when it is malformed or matches
+ * no language; resolveLocale() then falls through to Accept-Language
+ */
+function matchLocale(config, lang) {
+  return i18n.isValidLocale(lang)
+    ? i18n.negotiateLocale([lang], getAvailableLocales(config))
+    : null;
+}
+
+function getAvailableLocales(config) {
+  return [
+    ...Object.keys(getTranslations(config)),
+    ...Object.keys(i18n.MESSAGES)
+  ];
+}
+
+function getDefaultLocale(config) {
+  const options = isPlainObject(config.i18n) ? config.i18n : {};
+  return i18n.isValidLocale(options.defaultLocale)
+    ? options.defaultLocale
+    : i18n.DEFAULT_LOCALE;
+}
+
+function getTranslations(config) {
+  const options = isPlainObject(config.i18n) ? config.i18n : {};
+  return isPlainObject(options.translations) ? options.translations : {};
+}
+
+/**
+ * Strings for one locale
+ * Layers, later ones winning: English, the built-in language, then the
+ * config's translation for the language (`pt`) and for the exact tag
+ * (`pt-BR`).
+ * Returns: { locale, dir, label, platforms, t(key, values) }
+ */
+function getMessages(config, locale = getDefaultLocale(config)) {
+  const language = locale.split('-')[0].toLowerCase();
+  const translations = getTranslations(config);
+  const find = tag => Object.keys(translations)
+    .filter(key => key.toLowerCase() === tag.toLowerCase())
+    .map(key => translations[key])
+    .find(isPlainObject) || {};
+  const layers = [find(language), language === locale.toLowerCase() ? {} : find(locale)];
+  const merge = key => Object.assign(
+    {},
+    ...layers.map(layer => isPlainObject(layer[key]) ? layer[key] : {})
+  );
+
+  const strings = {
+    ...i18n.MESSAGES[i18n.DEFAULT_LOCALE],
+    ...(i18n.MESSAGES[language] || {}),
+    ...merge('strings')
+  };
+  const label = layers.map(layer => layer.label).filter(value => typeof value === 'string').pop();
+
+  return {
+    locale,
+    dir: i18n.getTextDirection(locale),
+    label,
+    platforms: { ...PLATFORM_NAMES, ...merge('platforms') },
+    t: (key, values = {}) => renderTemplate(String(strings[key] || key), values)
+  };
+}
+
+/**
+ * Human-readable file size, e.g. 88293376 -> "84.2 MB"
+ */
+function formatSize(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+
+  return unit === 0
+    ? `${value} ${units[unit]}`
+    : `${value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * List channel names in declaration order
+ */
+function listChannels(config) {
+  return isPlainObject(config.channels) ? Object.keys(config.channels) : [];
+}
+
+/**
+ * Name of the channel used when none is requested
+ * Order: `defaultChannel`, then `stable`, then the first channel
+ */
+function getDefaultChannel(config) {
+  const names = listChannels(config);
+  if (names.length === 0) return null;
+  if (config.defaultChannel && hasOwn(config.channels, config.defaultChannel)) {
+    return config.defaultChannel;
+  }
+  return names.includes('stable') ? 'stable' : names[0];
+}
+
+/**
+ * Flatten one channel into a plain config
+ * Channel fields override top-level ones, with `badge` and `page` merged
+ * field by field; a channel that sets `installers` or `source` replaces
+ * both. An explicitly requested channel gets its name appended to the
+ * badge label unless the channel sets its own label or the label already
+ * uses {channel}.
+ * Returns null for unknown channels (or any channel on a config without
+ * channels); without a name, configs without channels pass through.
+ */
+function selectChannel(config, name = null) {
+  if (listChannels(config).length === 0) {
+    return name ? null : config;
+  }
+
+  const channelName = name || getDefaultChannel(config);
+  if (!hasOwn(config.channels, channelName)) return null;
+
+  const channel = config.channels[channelName];
+  const base = { ...config };
+  delete base.channels;
+  delete base.defaultChannel;
+
+  const badge = { ...(base.badge || {}), ...(channel.badge || {}) };
+  const page = { ...(base.page || {}), ...(channel.page || {}) };
+  if (
+    name &&
+    !(channel.badge && channel.badge.label) &&
+    !listPlaceholders(badge.label || '').includes('channel')
+  ) {
+    badge.label = `${badge.label || 'Install'} ${channelName}`;
+  }
+
+  const selected = { ...base, ...channel, channel: channelName, badge };
+  if (base.page !== undefined || channel.page !== undefined) selected.page = page;
+
+  if (channel.installers !== undefined || channel.source !== undefined) {
+    delete selected.installers;
+    delete selected.source;
+    if (channel.installers !== undefined) selected.installers = channel.installers;
+    if (channel.source !== undefined) selected.source = channel.source;
+  }
+
+  return selected;
+}
+
+/**
+ * Point a badge path or install URL at a channel
+ * URLs get a `channel` query parameter; file paths get a `-<channel>` suffix.
+ */
+function withChannel(target, channel) {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(target) || target.includes('?')) {
+    const separator = target.includes('?') ? '&' : '?';
+    return `${target}${separator}channel=${encodeURIComponent(channel)}`;
+  }
+
+  return target.replace(/(\.[^./]+)?$/, `-${channel}$1`);
+}
+
+/**
+ * Escape text for HTML and SVG content and attribute values
+ * Also drops control characters, which are not allowed in XML.
+ */
+function escapeHTML(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escape text for Markdown link text and image alt text
+ */
+function escapeMarkdown(value) {
+  return String(value)
+    .replace(/[\r\n]+/g, ' ')
+    .replace(/[\\`*_[\]<>]/g, '\\$&');
+}
+
+/**
+ * Make a link target safe for Markdown `(...)`: parentheses, spaces and
+ * angle brackets are percent-encoded
+ */
+function escapeMarkdownURL(value) {
+  return encodeURLChars(value, /[()<>\s]/g);
+}
+
+/**
+ * Percent-encode the characters `pattern` matches (a global regex)
+ */
+function encodeURLChars(value, pattern) {
+  return String(value).replace(pattern, char =>
+    '%' + char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')
+  );
+}
+
+/**
+ * Return `value` when it is an HTTP(S) URL, otherwise `fallback`
+ * Renderers use this for links that may come from unvalidated configs.
+ */
+function safeURL(value, fallback = '#') {
+  return isValidURL(value) ? value : fallback;
+}
+
+/**
+ * Names of the `{placeholders}` in a badge text template
+ */
+function listPlaceholders(template) {
+  return Array.from(String(template).matchAll(PLACEHOLDER), match => match[1]);
+}
+
+/**
+ * Values for badge text templates
+ * `size` is the visitor's installer when `os` has a sized one, otherwise
+ * the first installer with a size; `platforms` counts shipped platforms.
+ */
+function getTemplateValues(config, os = 'unknown') {
+  const installers = isPlainObject(config.installers) ? config.installers : {};
+  const list = listInstallers(installers);
+  const target = getInstallTarget({ installers }, os);
+  const sized = target.available && target.size
+    ? target
+    : list.find(installer => installer.size);
+
+  return {
+    name: config.name,
+    version: config.version,
+    size: sized ? formatSize(sized.size) : '',
+    platforms: String(new Set(list.map(installer => installer.platform)).size),
+    channel: config.channel
+  };
+}
+
+/**
+ * Fill `{placeholders}` in a badge text template
+ * A placeholder without a value is dropped along with the separator
+ * before it, so "{name} · {size}" renders "MyApp" when no size is known.
+ * Unknown placeholders are left as written; validateConfig() reports them.
+ */
+function renderTemplate(template, values) {
+  return String(template)
+    .replace(PLACEHOLDER, (match, key) => {
+      if (!hasOwn(values, key)) return match;
+      const value = values[key] === undefined || values[key] === null
+        ? ''
+        : String(values[key]);
+      return value || '\u0000';
+    })
+    .replace(EMPTY_PLACEHOLDER, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Evaluate the badge text templates for a config
+ * Shared by the badge renderers and the snippet alt text. A translated
+ * label for `locale` wins over `badge.label`; without either the label is
+ * "Install" in that language.
+ *
+ * Options:
+ *   os       visitor platform, used by {size}   (default: 'unknown')
+ *   locale   language tag                       (default: i18n.defaultLocale)
+ *
+ * Returns: { label, message, detail }, with `detail` empty for two-segment
+ * badges
+ */
+function getBadgeText(config, options = {}) {
+  const opts = isPlainObject(config.badge) ? config.badge : {};
+  const messages = getMessages(config, options.locale);
+  const values = getTemplateValues(config, options.os);
+  const render = (template, fallback) =>
+    (typeof template === 'string' && renderTemplate(template, values)) || fallback;
+
+  return {
+    label: render(messages.label, '') || render(opts.label, messages.t('install')),
+    message: render(opts.message, String(config.name)),
+    detail: render(opts.detail, '')
+  };
+}
+
+/**
+ * Whether a config's badge changes with the visitor's platform: an
+ * `auto` logo, or text that uses {size}
+ */
+function isPlatformBadge(config) {
+  const opts = isPlainObject(config.badge) ? config.badge : {};
+
+  return opts.logo === 'auto' || BADGE_TEXT_FIELDS.some(key =>
+    typeof opts[key] === 'string' && listPlaceholders(opts[key]).includes('size')
+  );
+}
+
+/**
+ * Lay out badge segments left to right
+ * Each segment is its measured text plus padding on both sides, rounded
+ * up to whole pixels so edges stay crisp. A segment with `icon` reserves
+ * room for a logo before its text. `spec` is a BADGE_STYLES entry;
+ * `measure` is measureText for SVG or the bitmap font metrics for PNG.
+ * Returns: { width, segments: [{ x, width, center, textWidth, iconX }] }
+ */
+function layoutBadge(texts, spec = {}, measure = measureText) {
+  const padding = spec.padding || BADGE_PADDING;
+  const spacing = spec.letterSpacing || 0;
+  let x = 0;
+
+  const segments = texts.map(({ text, bold, icon }) => {
+    const measured = measure(text, { fontSize: spec.fontSize, bold }) +
+      spacing * Array.from(text).length;
+    const textWidth = Math.round(measured * 10) / 10;
+    const lead = icon ? ICON_SIZE + LOGO_GAP : 0;
+    const width = Math.ceil(textWidth) + 2 * padding + lead;
+    const segment = {
+      x,
+      width,
+      center: x + lead + (width - lead) / 2,
+      textWidth,
+      iconX: x + padding
+    };
+    x += width;
+    return segment;
+  });
+
+  return { width: x, segments };
+}
+
+/**
+ * Generate SVG badge
+ * Renders `badge.style` (default: flat) with shields.io-compatible layout.
+ *
+ * Options:
+ *   os       visitor platform, used by `logo: "auto"`  (default: 'unknown')
+ *   locale   language of the label                     (default: i18n.defaultLocale)
+ */
+function generateBadge(config, options = {}) {
+  const { badge, spec, style } = createBadge(config, options);
+
+  return style === 'social'
+    ? renderSocialBadge(badge, spec)
+    : renderBadge(badge, spec);
+}
+
+/**
+ * Generate PNG badge
+ * Same shapes as generateBadge(), with text in a 5x7 bitmap font.
+ * Data URI logos are left out: only built-in icons are rasterized.
+ *
+ * Options:
+ *   os      visitor platform, used by `logo: "auto"`  (default: 'unknown')
+ *   locale  language of the label                      (default: i18n.defaultLocale)
+ *   scale   pixel density, 1 to 4                      (default: 1)
+ *
+ * Badges over MAX_PNG_PIXELS are drawn at the largest scale that fits,
+ * and throw when even scale 1 does not.
+ *
+ * Returns: Uint8Array of PNG bytes
+ */
+function generateBadgePNG(config, options = {}) {
+  const { badge, spec, style } = createBadge(config, options);
+  const scale = Math.min(Math.max(Math.round(options.scale) || 1, 1), MAX_PNG_SCALE);
+
+  if (badge.logo && !badge.logo.path) badge.logo = null;
+
+  const canvas = style === 'social'
+    ? paintSocialBadge(badge, spec, scale)
+    : paintBadge(badge, spec, scale);
+
+  return raster.encodePNG(canvas);
+}
+
+/**
+ * Resolve badge options into the values both renderers draw
+ * Returns: { badge, spec, style }
+ */
+function createBadge(config, options = {}) {
+  const opts = config.badge || {};
+  const style = hasOwn(BADGE_STYLES, opts.style) ? opts.style : 'flat';
+  const spec = BADGE_STYLES[style];
+  const color = value => isValidColor(value) ? value : null;
+
+  let radius = spec.radius;
+  if (opts.rounded === true) radius = spec.radius || 3;
+  if (opts.rounded === false) radius = 0;
+  if (typeof opts.rounded === 'number' && opts.rounded >= 0) radius = opts.rounded;
+
+  const logo = resolveBadgeLogo(config, opts.logo, options.os);
+  const text = getBadgeText(config, options);
+  const labelColor = color(opts.labelColor) || '#555';
+  const messages = getMessages(config, options.locale);
+
+  const badge = {
+    label: logo && logo.platform
+      ? messages.t('labelFor', {
+        label: text.label,
+        platform: getPlatformName(logo.platform, messages.platforms)
+      })
+      : text.label,
+    message: text.message,
+    detail: text.detail,
+    color: color(opts.color) || DEFAULT_BADGE_COLOR,
+    labelColor,
+    detailColor: color(opts.detailColor) || labelColor,
+    logo,
+    logoColor: color(opts.logoColor) || (style === 'social' ? '#333' : '#fff'),
+    radius
+  };
+
+  return { badge, spec, style };
+}
+
+/**
+ * Resolve `badge.logo` to a built-in icon path or an image URI
+ * `auto` shows the visitor's platform when the config ships for it, and
+ * the download icon otherwise.
+ * Returns: { path, platform } | { image } | null
+ */
+function resolveBadgeLogo(config, logo, os = 'unknown') {
+  if (!isValidLogo(logo)) return null;
+
+  if (logo === 'auto') {
+    const shipped = Object.keys({
+      ...(isPlainObject(config.installers) ? config.installers : {}),
+      ...(isPlainObject(config.source) && isPlainObject(config.source.assets)
+        ? config.source.assets
+        : {})
+    });
+    const platform = hasOwn(PLATFORM_ICONS, os) && shipped.includes(os) ? os : null;
+
+    return {
+      path: ICONS[platform ? PLATFORM_ICONS[platform] : 'download'],
+      platform
+    };
+  }
+
+  return hasOwn(ICONS, logo) ? { path: ICONS[logo] } : { image: logo };
+}
+
+/**
+ * Badge logo markup, vertically centered in a badge of `height`
+ */
+function renderLogo(badge, x, height) {
+  const y = (height - ICON_SIZE) / 2;
+  const size = `x="${x}" y="${y}" width="${ICON_SIZE}" height="${ICON_SIZE}"`;
+
+  return badge.logo.image
+    ? `\n  <image ${size} href="${escapeHTML(badge.logo.image)}"/>`
+    : `\n  <svg ${size} viewBox="0 0 ${ICON_SIZE} ${ICON_SIZE}"><path fill="${badge.logoColor}" fill-rule="evenodd" d="${badge.logo.path}"/></svg>`;
+}
+
+/**
+ * Text and fill of each badge segment: label, message and, when set,
+ * detail
+ */
+function listBadgeParts(badge, spec) {
+  const parts = [
+    { text: badge.label, fill: badge.labelColor, icon: !!badge.logo },
+    { text: badge.message, fill: badge.color, bold: spec.boldMessage }
+  ];
+
+  if (badge.detail) {
+    parts.push({ text: badge.detail, fill: badge.detailColor, bold: spec.boldMessage });
+  }
+
+  return spec.uppercase
+    ? parts.map(part => ({ ...part, text: part.text.toUpperCase() }))
+    : parts;
+}
+
+/**
+ * Social badges show the detail inside the message bubble
+ */
+function getSocialMessage(badge) {
+  return badge.detail ? `${badge.message} ${badge.detail}` : badge.message;
+}
+
+/**
+ * Two- or three-segment badge: flat, flat-square, plastic and for-the-badge
+ */
+function renderBadge(badge, spec) {
+  const parts = listBadgeParts(badge, spec);
+  const { width, segments } = layoutBadge(parts, spec);
+  const height = spec.height;
+
+  const gradient = spec.gradient
+    ? `
+  <linearGradient id="b" x2="0" y2="100%">
+${spec.gradient.map(([offset, stop, opacity]) =>
+    `    <stop offset="${offset}"${stop ? ` stop-color="${stop}"` : ''} stop-opacity="${opacity}"/>`
+  ).join('\n')}
+  </linearGradient>`
+    : '';
+
+  const text = (segment, value, bold) => {
+    const weight = bold ? ' font-weight="bold"' : '';
+    const content = escapeHTML(value);
+    const shadow = spec.shadow
+      ? `    <text x="${segment.center}" y="${spec.textY + 1}" fill="#010101" fill-opacity=".3"${weight} textLength="${segment.textWidth}">${content}</text>\n`
+      : '';
+    return shadow +
+      `    <text x="${segment.center}" y="${spec.textY}"${weight} textLength="${segment.textWidth}">${content}</text>`;
+  };
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${gradient}
+  <clipPath id="a">
+    <rect width="${width}" height="${height}" rx="${badge.radius}" fill="#fff"/>
+  </clipPath>
+  <g clip-path="url(#a)">
+${segments.map((segment, i) =>
+    `    <path fill="${parts[i].fill}" d="M${segment.x} 0h${segment.width}v${height}H${segment.x}z"/>`
+  ).join('\n')}${spec.gradient ? `
+    <path fill="url(#b)" d="M0 0h${width}v${height}H0z"/>` : ''}
+  </g>${badge.logo ? renderLogo(badge, segments[0].iconX, height) : ''}
+  <g fill="#fff" text-anchor="middle"
+     font-family="DejaVu Sans,Verdana,Geneva,sans-serif" font-size="${spec.fontSize || 11}"${spec.letterSpacing ? ` letter-spacing="${spec.letterSpacing}"` : ''}>
+${segments.map((segment, i) => text(segment, parts[i].text, parts[i].bold)).join('\n')}
+  </g>
+</svg>`;
+}
+
+/**
+ * GitHub-style social badge: light label button with the message in a
+ * speech bubble. Ignores `color` and `labelColor`.
+ */
+function renderSocialBadge(badge, spec) {
+  const arrow = 6; // gap taken by the bubble's arrow
+  const { segments: [left, right] } = layoutBadge([
+    { text: badge.label, bold: true, icon: !!badge.logo },
+    { text: getSocialMessage(badge), bold: true }
+  ], spec);
+  const bubble = left.width + arrow;
+  const width = bubble + right.width;
+  const messageX = bubble + right.width / 2;
+  const label = escapeHTML(badge.label);
+  const message = escapeHTML(getSocialMessage(badge));
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20">
+  <linearGradient id="b" x2="0" y2="100%">
+    <stop offset="0" stop-color="#fcfcfc" stop-opacity="0"/>
+    <stop offset="1" stop-opacity=".1"/>
+  </linearGradient>
+  <g stroke="#d5d5d5">
+    <rect stroke="none" fill="#fcfcfc" x=".5" y=".5" width="${left.width - 1}" height="19" rx="${badge.radius}"/>
+    <rect fill="url(#b)" x=".5" y=".5" width="${left.width - 1}" height="19" rx="${badge.radius}"/>
+    <rect fill="#fafafa" x="${bubble + 0.5}" y=".5" width="${right.width - 1}" height="19" rx="${badge.radius}"/>
+    <rect x="${bubble}" y="7.5" width=".5" height="5" stroke="#fafafa"/>
+    <path d="M${bubble + 0.5} 6.5l-3 3v1l3 3" fill="#fafafa"/>
+  </g>${badge.logo ? renderLogo(badge, left.iconX, 20) : ''}
+  <g fill="#333" text-anchor="middle"
+     font-family="Helvetica Neue,Helvetica,Arial,sans-serif" font-weight="bold" font-size="11">
+    <text x="${left.center}" y="15" fill="#fff" textLength="${left.textWidth}">${label}</text>
+    <text x="${left.center}" y="14" textLength="${left.textWidth}">${label}</text>
+    <text x="${messageX}" y="15" fill="#fff" textLength="${right.textWidth}">${message}</text>
+    <text x="${messageX}" y="14" textLength="${right.textWidth}">${message}</text>
+  </g>
+</svg>`;
+}
+
+/**
+ * Vertical gradient paint from BADGE_STYLES stops over `height`
+ */
+function gradientPaint(stops, height) {
+  const points = stops.map(([offset, stop, opacity]) => ({
+    at: Number(offset) * height,
+    color: parseColor(stop || '#000'),
+    alpha: Number(opacity)
+  }));
+
+  return y => {
+    const next = points.findIndex(point => point.at >= y);
+    if (next <= 0) {
+      const point = points[next === 0 ? 0 : points.length - 1];
+      return [...point.color.slice(0, 3), point.alpha * 255];
+    }
+
+    const a = points[next - 1];
+    const b = points[next];
+    const t = (y - a.at) / (b.at - a.at);
+    const mix = (from, to) => from + (to - from) * t;
+
+    return [
+      ...[0, 1, 2].map(c => mix(a.color[c], b.color[c])),
+      mix(a.alpha, b.alpha) * 255
+    ];
+  };
+}
+
+/**
+ * Largest scale up to `scale` that keeps a badge within MAX_PNG_PIXELS
+ */
+function fitScale(width, height, scale) {
+  const fits = Math.floor(Math.sqrt(MAX_PNG_PIXELS / (width * height)));
+
+  if (fits < 1) {
+    throw new Error(`Badge is too wide for a PNG: ${Math.ceil(width)}px`);
+  }
+  return Math.min(scale, fits);
+}
+
+/**
+ * Raster version of renderBadge()
+ */
+function paintBadge(badge, spec, scale) {
+  const parts = listBadgeParts(badge, spec);
+  const { width, segments } = layoutBadge(parts, spec, raster.measureBitmapText);
+  const height = spec.height;
+  const canvas = raster.createCanvas(width, height, fitScale(width, height, scale));
+
+  segments.forEach((segment, i) => {
+    raster.fillPolygons(
+      canvas,
+      [raster.rect(segment.x, 0, segment.width, height)],
+      parseColor(parts[i].fill)
+    );
+  });
+
+  if (spec.gradient) {
+    raster.fillPolygons(canvas, [raster.rect(0, 0, width, height)], gradientPaint(spec.gradient, height));
+  }
+
+  if (badge.logo) {
+    raster.fillPolygons(
+      canvas,
+      raster.pathToPolygons(badge.logo.path, segments[0].iconX, (height - ICON_SIZE) / 2),
+      parseColor(badge.logoColor)
+    );
+  }
+
+  segments.forEach((segment, i) => {
+    const { text, bold } = parts[i];
+    const options = { bold, spacing: spec.letterSpacing };
+    const x = segment.center - segment.textWidth / 2;
+
+    if (spec.shadow) {
+      raster.drawText(canvas, text, x, spec.textY + 1, [1, 1, 1, 77], options);
+    }
+    raster.drawText(canvas, text, x, spec.textY, [255, 255, 255, 255], options);
+  });
+
+  raster.clipToPolygons(canvas, [raster.roundedRect(0, 0, width, height, badge.radius)]);
+
+  return canvas;
+}
+
+/**
+ * Raster version of renderSocialBadge()
+ */
+function paintSocialBadge(badge, spec, scale) {
+  const arrow = 6;
+  const { segments: [left, right] } = layoutBadge([
+    { text: badge.label, bold: true, icon: !!badge.logo },
+    { text: getSocialMessage(badge), bold: true }
+  ], spec, raster.measureBitmapText);
+  const bubble = left.width + arrow;
+  const width = bubble + right.width;
+  const canvas = raster.createCanvas(width, 20, fitScale(width, 20, scale));
+  const border = parseColor('#d5d5d5');
+  const r = badge.radius;
+
+  // Borders are a filled outer shape with the face drawn 1px inside
+  raster.fillPolygons(canvas, [raster.roundedRect(0, 0, left.width, 20, r + 0.5)], border);
+  raster.fillPolygons(canvas, [raster.roundedRect(1, 1, left.width - 2, 18, r - 0.5)], parseColor('#fcfcfc'));
+  raster.fillPolygons(
+    canvas,
+    [raster.roundedRect(1, 1, left.width - 2, 18, r - 0.5)],
+    gradientPaint([[0, '#fcfcfc', 0], [1, null, 0.1]], 20)
+  );
+
+  raster.fillPolygons(canvas, [raster.roundedRect(bubble, 0, right.width, 20, r + 0.5)], border);
+  raster.fillPolygons(canvas, [[[bubble + 1, 6], [bubble - 3, 10], [bubble + 1, 14]]], border);
+  raster.fillPolygons(canvas, [raster.roundedRect(bubble + 1, 1, right.width - 2, 18, r - 0.5)], parseColor('#fafafa'));
+  raster.fillPolygons(canvas, [[[bubble + 1.5, 7.4], [bubble - 1.6, 10], [bubble + 1.5, 12.6]]], parseColor('#fafafa'));
+
+  if (badge.logo) {
+    raster.fillPolygons(
+      canvas,
+      raster.pathToPolygons(badge.logo.path, left.iconX, (20 - ICON_SIZE) / 2),
+      parseColor(badge.logoColor)
+    );
+  }
+
+  [[left.center, left, badge.label], [bubble + right.width / 2, right, getSocialMessage(badge)]]
+    .forEach(([center, segment, text]) => {
+      const x = center - segment.textWidth / 2;
+      raster.drawText(canvas, text, x, spec.textY + 1, [255, 255, 255, 255], { bold: true });
+      raster.drawText(canvas, text, x, spec.textY, parseColor('#333'), { bold: true });
+    });
+
+  return canvas;
+}
+
+/**
+ * Generate embed snippets
+ * Returns one string per format (see listSnippetFormats()), plus
+ * `installation` (Markdown) when the config has `commands`, and
+ * `channels: { [name]: snippets }` when it has channels.
+ */
+function generateSnippets(
+  config,
+  badgePath = './install-badge.svg',
+  installURL = null
+) {
+  const snippets = buildSnippets(
+    selectChannel(config) || config,
+    badgePath,
+    installURL
+  );
+
+  const channels = listChannels(config);
+
+  if (channels.length > 0) {
+    snippets.channels = {};
+
+    // Channel links prefer the channel's own builds over a shared homepage
+    channels.forEach(channel => {
+      const selected = selectChannel(config, channel);
+      const channelURL = installURL
+        ? withChannel(installURL, channel)
+        : config.channels[channel].homepage ||
+          getFirstInstaller(selected.installers) ||
+          selected.homepage;
+
+      snippets.channels[channel] = buildSnippets(
+        selected,
+        withChannel(badgePath, channel),
+        channelURL
+      );
+    });
+  }
+
+  return snippets;
+}
+
+/**
+ * Snippet formats, in output order
+ * `render` gets the alt text, badge path and link target, all unescaped;
+ * `join` separates snippets placed side by side (e.g. one per channel).
+ */
+const SNIPPET_FORMATS = {
+  markdown: {
+    name: 'Markdown',
+    join: ' ',
+    render: ({ alt, image, target }) =>
+      `[![${escapeMarkdown(alt)}](${escapeMarkdownURL(image)})](${escapeMarkdownURL(target)})`
+  },
+  html: {
+    name: 'HTML',
+    join: '\n',
+    render: ({ alt, image, target }) =>
+`<a href="${escapeHTML(target)}">
+  <img src="${escapeHTML(image)}" alt="${escapeHTML(alt)}" />
+</a>`
+  },
+  rst: {
+    name: 'reStructuredText',
+    join: '\n\n',
+    render: ({ alt, image, target }) =>
+`.. image:: ${encodeURLChars(image, /\s/g)}
+   :alt: ${singleLine(alt)}
+   :target: ${encodeURLChars(target, /\s/g)}`
+  },
+  asciidoc: {
+    name: 'AsciiDoc',
+    join: ' ',
+    render: ({ alt, image, target }) =>
+      `image:${encodeURLChars(image, /[\s[\]]/g)}["${singleLine(alt).replace(/["\]]/g, '\\$&')}",link="${encodeURLChars(target, /[\s"[\]]/g)}"]`
+  },
+  bbcode: {
+    name: 'BBCode',
+    join: ' ',
+    render: ({ image, target }) =>
+      `[url=${encodeURLChars(target, /[\s[\]]/g)}][img]${encodeURLChars(image, /[\s[\]]/g)}[/img][/url]`
+  },
+  org: {
+    name: 'Org',
+    join: '\n\n',
+    render: ({ alt, image, target }) =>
+`#+ATTR_HTML: :alt ${singleLine(alt)}
+[[${encodeURLChars(target, /[\s[\]]/g)}][${isValidURL(image) ? '' : 'file:'}${encodeURLChars(image, /[\s[\]]/g)}]]`
+  },
+  mediawiki: {
+    name: 'MediaWiki',
+    join: ' ',
+    // Remote badges need $wgAllowExternalImages; local files are uploads
+    render: ({ alt, image, target }) => {
+      const link = encodeURLChars(target, /[\s[\]|]/g);
+      if (isValidURL(image)) {
+        return `[${link} ${encodeURLChars(image, /[\s[\]|]/g)}]`;
+      }
+      const file = image.split(/[\\/]/).pop();
+      return `[[File:${singleLine(file).replace(/[[\]|]/g, '')}|link=${link}|alt=${escapeHTML(singleLine(alt)).replace(/[[\]|]/g, char => `&#${char.charCodeAt(0)};`)}]]`;
+    }
+  },
+  jsx: {
+    name: 'JSX',
+    join: '\n',
+    render: ({ alt, image, target }) =>
+`<a href=${jsxAttribute(target)}>
+  <img src=${jsxAttribute(image)} alt=${jsxAttribute(alt)} />
+</a>`
+  }
+};
+
+/**
+ * Collapse line breaks, for formats where a value must stay on one line
+ */
+function singleLine(value) {
+  return String(value).replace(/[\r\n]+/g, ' ');
+}
+
+/**
+ * JSX attribute value: a plain string when that is unambiguous, otherwise
+ * a JS string expression (JSX strings have no backslash escapes)
+ */
+function jsxAttribute(value) {
+  const text = singleLine(value);
+  return /^[^"&<>{}\\]*$/.test(text) ? `"${text}"` : `{${JSON.stringify(text)}}`;
+}
+
+/**
+ * Snippet formats generateSnippets() returns
+ * Returns: [{ id, name }]
+ */
+function listSnippetFormats() {
+  return Object.keys(SNIPPET_FORMATS).map(id => ({ id, name: SNIPPET_FORMATS[id].name }));
+}
+
+/**
+ * Put snippets of one format side by side, e.g. a badge per channel
+ * JSX gets a fragment, since a component returns a single root.
+ */
+function joinSnippets(format, snippets) {
+  const joined = snippets.join(SNIPPET_FORMATS[format].join);
+  return format === 'jsx' && snippets.length > 1 ? `<>\n${joined}\n</>` : joined;
+}
+
+/**
+ * Every snippet format for one badge; the alt text is the badge's own text
+ */
+function buildSnippets(config, badgePath, installURL) {
+  const { label, message, detail } = getBadgeText(config);
+  const link = {
+    alt: [label, message, detail].filter(Boolean).join(' '),
+    image: String(badgePath),
+    target: safeURL(
+      installURL ||
+      config.homepage ||
+      getFirstInstaller(config.installers)
+    )
+  };
+  const snippets = {};
+
+  Object.keys(SNIPPET_FORMATS).forEach(format => {
+    snippets[format] = SNIPPET_FORMATS[format].render(link);
+  });
+
+  const installation = buildInstallationSection(config);
+  if (installation) snippets.installation = installation;
+
+  return snippets;
+}
+
+/**
+ * Markdown "Installation" section with the package manager commands, one
+ * code block per platform; null without commands
+ */
+function buildInstallationSection(config) {
+  const commands = listInstallCommands(config);
+  if (commands.length === 0) return null;
+
+  const messages = getMessages(config);
+  const platforms = [...new Set(commands.map(c => c.platform))];
+
+  return [
+    `## ${escapeMarkdown(messages.t('instructions'))}`,
+    ...platforms.map(platform => [
+      `### ${escapeMarkdown(getPlatformName(platform, messages.platforms))}`,
+      '',
+      '```' + (platform === 'win32' ? 'powershell' : 'sh'),
+      ...commands.filter(c => c.platform === platform).map(c => c.command),
+      '```'
+    ].join('\n'))
+  ].join('\n\n');
+}
+
+/**
+ * Format of a config file from its name: json, yaml, toml or null
+ */
+function getConfigFormat(file) {
+  const name = String(file).toLowerCase();
+  return Object.keys(CONFIG_FORMATS).find(format =>
+    CONFIG_FORMATS[format].extensions.some(ext => name.endsWith(ext))
+  ) || null;
+}
+
+/**
+ * Parse config file content without validating it
+ * Used for partial configs that `extends` completes.
+ *
+ * Returns: { success, config } or { success: false, errors }
+ */
+function parseConfigSource(content, format = 'json') {
+  if (!hasOwn(CONFIG_FORMATS, format)) {
+    return {
+      success: false,
+      errors: [{ path: '', message: `Unknown config format: ${format} (use ${Object.keys(CONFIG_FORMATS).join(', ')})` }]
+    };
+  }
+
+  let config;
+  try {
+    config = CONFIG_FORMATS[format].parse(content);
+  } catch (err) {
+    return { success: false, errors: [{ path: '', message: `Invalid ${CONFIG_FORMATS[format].name}: ${err.message}` }] };
+  }
+
+  if (!isPlainObject(config)) {
+    return { success: false, errors: [{ path: '', message: 'Config must be an object' }] };
+  }
+
+  return { success: true, config };
+}
+
+/**
+ * Parse and validate config content (install-bridge.json by default)
+ * Returns: { success, config, warnings } or { success: false, errors, warnings }
+ */
+function parseConfig(content, format = 'json') {
+  const parsed = parseConfigSource(content, format);
+  if (!parsed.success) return { ...parsed, warnings: [] };
+
+  const validation = validateConfig(parsed.config);
+
+  if (!validation.valid) {
+    return { success: false, errors: validation.errors, warnings: validation.warnings };
+  }
+
+  return { success: true, config: parsed.config, warnings: validation.warnings };
+}
+
+/**
+ * Layer a config over the base it extends
+ * Objects merge key by key, anything else (strings, lists) replaces the
+ * base value, and `null` removes it. `installers` and `source` replace
+ * each other as with channels. `extends` itself is not carried over.
+ */
+function mergeConfigs(base, config) {
+  const merged = mergeObjects(base, config);
+
+  if (config.installers !== undefined || config.source !== undefined) {
+    ['installers', 'source'].forEach(key => {
+      if (config[key] === undefined) delete merged[key];
+      else if (config[key] !== null) merged[key] = config[key];
+    });
+  }
+
+  delete merged.extends;
+  return merged;
+}
+
+function mergeObjects(base, layer) {
+  const merged = { ...base };
+
+  Object.keys(layer).forEach(key => {
+    const value = layer[key];
+    if (value === null) {
+      delete merged[key];
+    } else {
+      const next = isPlainObject(value) && isPlainObject(base[key]) && hasOwn(base, key)
+        ? mergeObjects(base[key], value)
+        : value;
+      Object.defineProperty(merged, key, { value: next, enumerable: true, writable: true, configurable: true });
+    }
+  });
+
+  return merged;
 }
 
 /**
@@ -227,6 +1895,7 @@ function parseConfig(jsonString) {
  */
 function createTemplate(appName = 'MyApp') {
   return {
+    $schema: CONFIG_SCHEMA.$id,
     name: appName,
     installers: {
       darwin: `https://github.com/user/repo/releases/latest/download/${appName}-macOS.dmg`,
@@ -249,11 +1918,49 @@ function createTemplate(appName = 'MyApp') {
 
 const InstallBridgeCore = {
   validateConfig,
+  formatIssue,
   detectOS,
+  detectArch,
+  detectDistro,
+  getFormatOrder,
+  classifyStoreURL,
+  resolveReleaseAssets,
+  applyRelease,
+  getPlatformName,
+  resolveLocale,
+  matchLocale,
+  getMessages,
+  formatSize,
+  listChannels,
+  selectChannel,
+  withChannel,
+  listInstallers,
+  listConfigURLs,
+  getInstallerExtensions,
   getInstallTarget,
+  resolveInstallAction,
+  applyClientOverrides,
+  listInstallCommands,
+  listPackageManagers,
+  listInstallRoutes,
+  getDetectionScript,
+  listPlatforms,
+  escapeHTML,
+  escapeMarkdown,
+  safeURL,
+  isValidColor,
+  measureText,
+  getBadgeText,
+  isPlatformBadge,
   generateBadge,
+  generateBadgePNG,
   generateSnippets,
+  listSnippetFormats,
+  joinSnippets,
+  getConfigFormat,
+  parseConfigSource,
   parseConfig,
+  mergeConfigs,
   createTemplate
 };
 
@@ -0,0 +1,739 @@
+// ============================================================================
+// INSTALL BRIDGE - CONFIG FORMATS
+// Dependency-free YAML and TOML parsers for config files
+// YAML: the block and flow subset configs need; no anchors, tags or
+// multiple documents. TOML: v1.0, with dates kept as strings.
+// Errors are thrown as `line <n>: <message>`
+// ============================================================================
+
+function fail(line, message) {
+  throw new Error(`line ${line}: ${message}`);
+}
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Set a key, refusing duplicates
+ * Keys such as `__proto__` become plain data, as with JSON.parse.
+ */
+function define(target, key, value, line, label = key) {
+  if (hasOwn(target, key)) fail(line, `duplicate key ${label}`);
+  Object.defineProperty(target, key, { value, enumerable: true, writable: true, configurable: true });
+}
+
+/**
+ * Backslash escapes in double-quoted strings; numbers are hex digit counts
+ */
+const YAML_ESCAPES = {
+  '"': '"', '\\': '\\', '/': '/', ' ': ' ', 0: '\0', a: '\x07', b: '\b', e: '\x1b',
+  f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', x: 2, u: 4, U: 8
+};
+const TOML_ESCAPES = {
+  '"': '"', '\\': '\\', b: '\b', e: '\x1b', f: '\f', n: '\n', r: '\r', t: '\t', u: 4, U: 8
+};
+
+/**
+ * Resolve backslash escapes
+ * `continuation` lets a backslash at the end of a line join it to the
+ * next one (TOML multi-line strings).
+ */
+function unescape(text, escapes, line, continuation = false) {
+  let value = '';
+
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] !== '\\') {
+      value += text[i];
+      continue;
+    }
+
+    const c = text[++i];
+
+    if (continuation && /[ \t\n]/.test(c)) {
+      const join = text.slice(i).match(/^[ \t]*\n\s*/);
+      if (!join) fail(line, 'invalid escape \\ ');
+      i += join[0].length - 1;
+    } else if (c !== undefined && typeof escapes[c] === 'number' && hasOwn(escapes, c)) {
+      const hex = text.slice(i + 1, i + 1 + escapes[c]);
+      const code = parseInt(hex, 16);
+      if (!/^[0-9A-Fa-f]+$/.test(hex) || hex.length !== escapes[c] || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) {
+        fail(line, `invalid escape \\${c}${hex}`);
+      }
+      value += String.fromCodePoint(code);
+      i += escapes[c];
+    } else if (c !== undefined && hasOwn(escapes, c)) {
+      value += escapes[c];
+    } else {
+      fail(line, `invalid escape \\${c === undefined ? '' : c}`);
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Read a double-quoted string starting at `text[start]`
+ * Returns: { value, end } with `end` just past the closing quote
+ */
+function readDoubleQuoted(text, start, line, escapes = YAML_ESCAPES) {
+  let i = start + 1;
+  while (i < text.length && text[i] !== '"' && text[i] !== '\n') i += text[i] === '\\' ? 2 : 1;
+  if (text[i] !== '"') fail(line, 'unterminated string');
+
+  return { value: unescape(text.slice(start + 1, i), escapes, line), end: i + 1 };
+}
+
+/**
+ * Read a single-quoted string; YAML doubles a quote to escape it
+ */
+function readSingleQuoted(text, start, line, doubled = true) {
+  let value = '';
+  let i = start + 1;
+
+  while (i < text.length && text[i] !== '\n') {
+    if (text[i] !== "'") {
+      value += text[i++];
+    } else if (doubled && text[i + 1] === "'") {
+      value += "'";
+      i += 2;
+    } else {
+      return { value, end: i + 1 };
+    }
+  }
+
+  fail(line, 'unterminated string');
+}
+
+// ============================================================================
+// YAML
+// ============================================================================
+
+const YAML_NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+const UNSUPPORTED = 'anchors, aliases and tags are not supported';
+
+/**
+ * Resolve a plain scalar with the YAML 1.2 core schema
+ * `yes`/`no` stay strings; `1.0` is a number, so versions need quotes.
+ */
+function yamlScalar(text, line) {
+  if (/^[&*!]/.test(text)) fail(line, UNSUPPORTED);
+  // `key: - x` and `a: b: c` are nested blocks on one line, not strings
+  if (/^[-?:](\s|$)/.test(text)) fail(line, `unexpected "${text[0]}"; start nested lists and mappings on a new line`);
+  if (/:(\s|$)/.test(text)) fail(line, `unexpected ":" in ${text}; quote values that contain ": "`);
+  if (text === '' || text === '~' || /^(null|Null|NULL)$/.test(text)) return null;
+  if (/^(true|True|TRUE)$/.test(text)) return true;
+  if (/^(false|False|FALSE)$/.test(text)) return false;
+  if (/^0x[0-9A-Fa-f]+$/.test(text)) return parseInt(text.slice(2), 16);
+  if (/^0o[0-7]+$/.test(text)) return parseInt(text.slice(2), 8);
+  if (/^[-+]?\.(inf|Inf|INF)$/.test(text)) return text[0] === '-' ? -Infinity : Infinity;
+  if (/^\.(nan|NaN|NAN)$/.test(text)) return NaN;
+  if (YAML_NUMBER.test(text)) return Number(text);
+  return text;
+}
+
+/**
+ * Strip a trailing comment: `#` at the start or after whitespace, outside quotes
+ */
+function stripComment(text) {
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quote) {
+      if (c === '\\' && quote === '"') i++;
+      else if (c === quote) quote = null;
+    } else if ((c === '"' || c === "'") && (i === 0 || /[\s[{,:]/.test(text[i - 1]))) {
+      quote = c;
+    } else if (c === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+
+  return text.trimEnd();
+}
+
+/**
+ * Parse YAML into plain objects, arrays and scalars
+ */
+function parseYAML(source) {
+  const lines = [];
+  let started = false;
+  let ended = false;
+
+  String(source).replace(/^﻿/, '').replace(/\r\n?/g, '\n').split('\n').forEach((raw, i) => {
+    const number = i + 1;
+    const indent = raw.match(/^ */)[0].length;
+    let rest = raw.slice(indent);
+
+    if (ended) {
+      if (stripComment(rest)) fail(number, 'multiple documents are not supported');
+      return;
+    }
+    if (indent === 0 && rest.startsWith('%')) fail(number, 'directives are not supported');
+    if (indent === 0 && /^\.\.\.(\s|$)/.test(rest)) {
+      ended = true;
+      return;
+    }
+    if (indent === 0 && /^---(\s|$)/.test(rest)) {
+      if (started) fail(number, 'multiple documents are not supported');
+      rest = rest.slice(3).trimStart();
+    }
+
+    const line = { number, indent, raw, text: stripComment(rest) };
+    if (line.text) started = true;
+    lines.push(line);
+  });
+
+  let pos = 0;
+
+  // Next content line, skipping blank and comment-only lines
+  function peek() {
+    while (pos < lines.length && lines[pos].text === '') pos++;
+    const line = lines[pos] || null;
+    if (line && line.text[0] === '\t') fail(line.number, 'tabs are not allowed for indentation');
+    return line;
+  }
+
+  function isSequenceItem(text) {
+    return text === '-' || text.startsWith('- ');
+  }
+
+  function parseBlock() {
+    const line = peek();
+    if (!line) return null;
+    if (isSequenceItem(line.text)) return parseSequence(line.indent);
+    if (/^[[{]/.test(line.text)) return parseValue(line.text, line, line.indent);
+    return parseMapping(line.indent);
+  }
+
+  function parseSequence(indent) {
+    const list = [];
+    let line;
+
+    while ((line = peek()) && line.indent === indent && isSequenceItem(line.text)) {
+      const rest = line.text.slice(1).trimStart();
+
+      if (rest === '') {
+        pos++;
+        const next = peek();
+        list.push(next && next.indent > indent ? parseBlock() : null);
+      } else if (isSequenceItem(rest) || findKeyEnd(rest, line.number) !== -1) {
+        // `- key: value` starts a mapping (or list) at the column of `key`
+        const offset = line.text.length - rest.length;
+        lines[pos] = { ...line, indent: indent + offset, text: rest };
+        list.push(parseBlock());
+      } else {
+        list.push(parseValue(rest, line, indent));
+      }
+    }
+
+    checkIndent(indent);
+    return list;
+  }
+
+  function parseMapping(indent) {
+    const map = {};
+    let line;
+
+    while ((line = peek()) && line.indent === indent && !isSequenceItem(line.text)) {
+      if (line.text.startsWith('? ')) fail(line.number, 'complex keys are not supported');
+
+      const end = findKeyEnd(line.text, line.number);
+      if (end === -1) fail(line.number, `expected "key: value", got "${line.text}"`);
+
+      const key = readKey(line.text.slice(0, end).trim(), line.number);
+      const rest = line.text.slice(end + 1).trim();
+      let value = null;
+
+      if (rest !== '') {
+        value = parseValue(rest, line, indent);
+      } else {
+        pos++;
+        const next = peek();
+        if (next && next.indent > indent) {
+          value = parseBlock();
+        } else if (next && next.indent === indent && isSequenceItem(next.text)) {
+          value = parseSequence(indent);
+        }
+      }
+
+      define(map, key, value, line.number);
+    }
+
+    checkIndent(indent);
+    return map;
+  }
+
+  // A line indented deeper than the block it follows has no parent
+  function checkIndent(indent) {
+    const line = peek();
+    if (line && line.indent > indent) fail(line.number, 'unexpected indentation');
+  }
+
+  /**
+   * Index of the `:` that ends a mapping key, or -1
+   */
+  function findKeyEnd(text, number) {
+    if (text[0] === '"' || text[0] === "'") {
+      const { end } = text[0] === '"' ? readDoubleQuoted(text, 0, number) : readSingleQuoted(text, 0, number);
+      return /^\s*:(\s|$)/.test(text.slice(end)) ? text.indexOf(':', end) : -1;
+    }
+    if (/^[[{]/.test(text)) return -1;
+
+    const match = text.match(/:(\s|$)/);
+    return match ? match.index : -1;
+  }
+
+  function readKey(key, number) {
+    if (key[0] === '"') return readDoubleQuoted(key, 0, number).value;
+    if (key[0] === "'") return readSingleQuoted(key, 0, number).value;
+    if (/^[&*!]/.test(key)) fail(number, UNSUPPORTED);
+    return key;
+  }
+
+  /**
+   * A value on the same line as its key or `-`; block scalars read on
+   * `indent` is the indentation of the block holding the value.
+   */
+  function parseValue(text, line, indent) {
+    pos++;
+
+    if (/^[|>]/.test(text)) {
+      const header = text.match(/^([|>])([-+]?)$/);
+      if (!header) fail(line.number, 'block scalar indentation indicators are not supported');
+      return readBlockScalar(header[1], header[2], indent);
+    }
+
+    let value;
+    let end = text.length;
+
+    if (text[0] === '[' || text[0] === '{') {
+      ({ value, end } = readFlow(text, line.number));
+    } else if (text[0] === '"') {
+      ({ value, end } = readDoubleQuoted(text, 0, line.number));
+    } else if (text[0] === "'") {
+      ({ value, end } = readSingleQuoted(text, 0, line.number));
+    } else {
+      value = yamlScalar(text, line.number);
+    }
+
+    if (text.slice(end).trim()) fail(line.number, `unexpected text after ${text.slice(0, end)}`);
+
+    const next = peek();
+    if (next && next.indent > indent && typeof value === 'string' && end === text.length && !/^["']/.test(text)) {
+      fail(next.number, 'multi-line plain strings are not supported; use | or >');
+    }
+
+    return value;
+  }
+
+  /**
+   * `|` keeps line breaks, `>` folds them into spaces; `-` drops the
+   * final break, `+` keeps trailing blank lines
+   */
+  function readBlockScalar(style, chomp, indent) {
+    const body = [];
+    let contentIndent = null;
+
+    for (; pos < lines.length; pos++) {
+      const line = lines[pos];
+      if (line.raw.trim() === '') {
+        body.push('');
+        continue;
+      }
+      if (line.indent <= indent) break;
+      if (contentIndent === null) contentIndent = line.indent;
+      if (line.indent < contentIndent) fail(line.number, 'block scalar lines must keep their indentation');
+      body.push(line.raw.slice(contentIndent));
+    }
+
+    let trailing = 0;
+    while (body.length && body[body.length - 1] === '') {
+      body.pop();
+      trailing++;
+    }
+    if (body.length === 0) return '';
+
+    const text = style === '|' ? body.join('\n') : fold(body);
+    if (chomp === '-') return text;
+    if (chomp === '+') return text + '\n'.repeat(trailing + 1);
+    return `${text}\n`;
+  }
+
+  const value = parseBlock();
+  const extra = peek();
+  if (extra) fail(extra.number, 'unexpected indentation');
+  return value;
+}
+
+/**
+ * Fold block scalar lines: a single break becomes a space, each blank line
+ * a break; breaks around more-indented lines are kept
+ */
+function fold(body) {
+  let text = body[0];
+  let last = body[0]; // last non-blank line
+
+  for (let i = 1; i < body.length; i++) {
+    const line = body[i];
+    const indented = /^\s/.test(line) || /^\s/.test(last);
+
+    if (line === '') {
+      text += '\n';
+      continue;
+    }
+    if (body[i - 1] === '') {
+      text += indented ? `\n${line}` : line;
+    } else {
+      text += indented ? `\n${line}` : ` ${line}`;
+    }
+    last = line;
+  }
+
+  return text;
+}
+
+/**
+ * Flow collection (`[a, b]`, `{a: 1}`) on a single line
+ * Returns: { value, end }
+ */
+function readFlow(text, line) {
+  let i = 0;
+
+  const skip = () => {
+    while (text[i] === ' ') i++;
+  };
+
+  function value() {
+    skip();
+    const open = text[i];
+    if (open !== '[' && open !== '{') return scalar(false);
+
+    const close = open === '[' ? ']' : '}';
+    const result = open === '[' ? [] : {};
+    i++;
+    skip();
+
+    const unterminated = `unterminated ${open}; flow collections must fit on one line`;
+
+    while (text[i] !== close) {
+      if (i >= text.length) fail(line, unterminated);
+
+      if (open === '[') {
+        result.push(value());
+      } else {
+        const key = scalar(true);
+        skip();
+        if (text[i] !== ':') fail(line, `expected ":" after ${key}`);
+        i++;
+        define(result, key, value(), line);
+      }
+
+      skip();
+      if (text[i] === ',') {
+        i++;
+        skip();
+      } else if (text[i] !== close) {
+        fail(line, i >= text.length ? unterminated : `expected "," or "${close}"`);
+      }
+    }
+
+    i++;
+    return result;
+  }
+
+  function scalar(isKey) {
+    skip();
+    if (text[i] === '"' || text[i] === "'") {
+      const quoted = text[i] === '"' ? readDoubleQuoted(text, i, line) : readSingleQuoted(text, i, line);
+      i = quoted.end;
+      return quoted.value;
+    }
+
+    const stop = isKey ? /[,:[\]{}]/ : /[,[\]{}]/;
+    const begin = i;
+    while (i < text.length && !stop.test(text[i])) i++;
+    const plain = text.slice(begin, i).trim();
+    return isKey ? readPlainKey(plain, line) : yamlScalar(plain, line);
+  }
+
+  const result = value();
+  return { value: result, end: i };
+}
+
+function readPlainKey(key, line) {
+  if (/^[&*!]/.test(key)) fail(line, UNSUPPORTED);
+  return key;
+}
+
+// ============================================================================
+// TOML
+// ============================================================================
+
+const BARE_KEY = /[A-Za-z0-9_-]/;
+const DATE_TIME = /^(\d{4}-\d{2}-\d{2}([Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[-+]\d{2}:\d{2})?)?|\d{2}:\d{2}:\d{2}(\.\d+)?)/;
+
+/**
+ * Parse TOML into plain objects, arrays and scalars
+ * Dates and times are kept as their original strings.
+ */
+function parseTOML(source) {
+  const text = String(source).replace(/^﻿/, '').replace(/\r\n/g, '\n');
+  const root = {};
+  const headers = new WeakSet(); // tables opened by a [header]
+  const dotted = new WeakSet(); // tables made by dotted keys such as a.b = 1
+  const frozen = new WeakSet(); // inline tables and arrays can't be extended
+  const tableArrays = new WeakSet(); // arrays made by [[header]]
+  let current = root;
+  let i = 0;
+
+  const lineAt = at => text.slice(0, at).split('\n').length;
+  const error = message => fail(lineAt(i), message);
+
+  function skipSpace() {
+    while (text[i] === ' ' || text[i] === '\t') i++;
+  }
+
+  function skipComment() {
+    if (text[i] === '#') {
+      while (i < text.length && text[i] !== '\n') i++;
+    }
+  }
+
+  // Whitespace, comments and line breaks, as allowed inside arrays
+  function skipBlank() {
+    for (;;) {
+      skipSpace();
+      skipComment();
+      if (text[i] !== '\n') return;
+      i++;
+    }
+  }
+
+  function expectLineEnd() {
+    skipSpace();
+    skipComment();
+    if (i < text.length && text[i] !== '\n') error(`unexpected "${text[i]}"`);
+    i++;
+  }
+
+  function readString() {
+    const quoted = text[i] === '"'
+      ? readDoubleQuoted(text, i, lineAt(i), TOML_ESCAPES)
+      : readSingleQuoted(text, i, lineAt(i), false);
+    i = quoted.end;
+    return quoted.value;
+  }
+
+  function readKey() {
+    const parts = [];
+
+    for (;;) {
+      skipSpace();
+      if (text[i] === '"' || text[i] === "'") {
+        parts.push(readString());
+      } else {
+        const begin = i;
+        while (i < text.length && BARE_KEY.test(text[i])) i++;
+        if (begin === i) error(i >= text.length || text[i] === '\n' ? 'expected a key' : `invalid key character "${text[i]}"`);
+        parts.push(text.slice(begin, i));
+      }
+      skipSpace();
+      if (text[i] !== '.') return parts;
+      i++;
+    }
+  }
+
+  // Walk a dotted key to its table, creating tables along the way
+  // Key/value pairs may not reach into tables that have their own header.
+  function descend(table, parts, label, isPair = false) {
+    return parts.reduce((node, part) => {
+      if (!hasOwn(node, part)) {
+        define(node, part, {}, lineAt(i));
+        if (isPair) dotted.add(node[part]);
+      }
+      let next = node[part];
+      if (tableArrays.has(next)) next = next[next.length - 1];
+      if (!isObject(next) || frozen.has(next)) error(`${label} is already defined as a value`);
+      if (isPair && headers.has(next)) error(`${label} reaches into a table that has its own [header]`);
+      return next;
+    }, table);
+  }
+
+  function readValue() {
+    skipSpace();
+
+    if (text.startsWith('"""', i) || text.startsWith("'''", i)) return readMultiline();
+    if (text[i] === '"' || text[i] === "'") return readString();
+    if (text[i] === '[') return readArray();
+    if (text[i] === '{') return readInlineTable();
+
+    const date = text.slice(i).match(DATE_TIME);
+    if (date) {
+      i += date[0].length;
+      return date[0];
+    }
+
+    const token = (text.slice(i).match(/^[^\s,\]}#]+/) || [''])[0];
+    const value = tomlScalar(token);
+    if (value === undefined) error(token ? `invalid value ${token}` : 'expected a value');
+    i += token.length;
+    return value;
+  }
+
+  // """basic""" and '''literal''' strings; a break after the opening
+  // delimiter is dropped
+  function readMultiline() {
+    const delimiter = text.slice(i, i + 3);
+    const begin = i + 3;
+    const line = lineAt(i);
+    let end = begin;
+
+    while (end < text.length && !text.startsWith(delimiter, end)) {
+      end += delimiter === '"""' && text[end] === '\\' ? 2 : 1;
+    }
+    if (end >= text.length) error('unterminated string');
+
+    // Up to two quotes may sit right before the closing delimiter
+    for (let extra = 0; extra < 2 && text[end + 3] === delimiter[0]; extra++) end++;
+
+    let body = text.slice(begin, end);
+    if (body[0] === '\n') body = body.slice(1);
+    i = end + 3;
+
+    return delimiter === "'''" ? body : unescape(body, TOML_ESCAPES, line, true);
+  }
+
+  function readArray() {
+    const list = [];
+    i++;
+    skipBlank();
+
+    while (text[i] !== ']') {
+      if (i >= text.length) error('unterminated array');
+      list.push(readValue());
+      skipBlank();
+      if (text[i] === ',') {
+        i++;
+        skipBlank();
+      } else if (text[i] !== ']') {
+        error('expected "," or "]"');
+      }
+    }
+
+    i++;
+    frozen.add(list);
+    return list;
+  }
+
+  function readInlineTable() {
+    const table = {};
+    i++;
+    skipSpace();
+
+    while (text[i] !== '}') {
+      if (i >= text.length || text[i] === '\n') error('unterminated inline table');
+      readPair(table);
+      skipSpace();
+      if (text[i] === ',') {
+        i++;
+        skipSpace();
+        if (text[i] === '}') error('trailing comma in inline table');
+      } else if (text[i] !== '}') {
+        error('expected "," or "}"');
+      }
+    }
+
+    i++;
+    frozen.add(table);
+    return table;
+  }
+
+  function readPair(table) {
+    const parts = readKey();
+    const label = parts.join('.');
+    if (text[i] !== '=') error(`expected "=" after ${label}`);
+    i++;
+
+    const line = lineAt(i);
+    const value = readValue();
+    define(descend(table, parts.slice(0, -1), label, true), parts[parts.length - 1], value, line, label);
+  }
+
+  function readHeader() {
+    const isArray = text.startsWith('[[', i);
+    i += isArray ? 2 : 1;
+
+    const parts = readKey();
+    const label = parts.join('.');
+    const close = isArray ? ']]' : ']';
+    if (!text.startsWith(close, i)) error(`expected "${close}"`);
+    i += close.length;
+
+    const parent = descend(root, parts.slice(0, -1), label);
+    const last = parts[parts.length - 1];
+    const existing = hasOwn(parent, last) ? parent[last] : undefined;
+
+    if (isArray) {
+      if (existing === undefined) {
+        define(parent, last, [], lineAt(i));
+        tableArrays.add(parent[last]);
+      } else if (!tableArrays.has(existing)) {
+        error(`${label} is already defined`);
+      }
+      current = {};
+      parent[last].push(current);
+    } else {
+      if (existing === undefined) {
+        define(parent, last, {}, lineAt(i));
+      } else if (!isObject(existing) || headers.has(existing) || dotted.has(existing) || frozen.has(existing)) {
+        error(`table ${label} is already defined`);
+      }
+      current = parent[last];
+    }
+
+    headers.add(current);
+    expectLineEnd();
+  }
+
+  for (;;) {
+    skipBlank();
+    if (i >= text.length) return root;
+
+    if (text[i] === '[') {
+      readHeader();
+    } else {
+      readPair(current);
+      expectLineEnd();
+    }
+  }
+}
+
+/**
+ * Booleans, integers (decimal, hex, octal, binary) and floats
+ * Returns undefined for anything else.
+ */
+function tomlScalar(token) {
+  if (token === 'true') return true;
+  if (token === 'false') return false;
+  if (/^[-+]?inf$/.test(token)) return token[0] === '-' ? -Infinity : Infinity;
+  if (/^[-+]?nan$/.test(token)) return NaN;
+
+  const radix = token.match(/^0(x[0-9A-Fa-f]+(_[0-9A-Fa-f]+)*|o[0-7]+(_[0-7]+)*|b[01]+(_[01]+)*)$/);
+  if (radix) {
+    return parseInt(radix[1].slice(1).replace(/_/g, ''), { x: 16, o: 8, b: 2 }[radix[1][0]]);
+  }
+
+  if (/^[-+]?(0|[1-9](_?\d)*)(\.\d(_?\d)*)?([eE][-+]?\d(_?\d)*)?$/.test(token)) {
+    return Number(token.replace(/_/g, ''));
+  }
+
+  return undefined;
+}
+
+module.exports = { parseYAML, parseTOML };
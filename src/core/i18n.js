@@ -0,0 +1,472 @@
+// ============================================================================
+// INSTALL BRIDGE - I18N
+// Built-in translations for the badge label and install page
+// ============================================================================
+
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * Page and badge strings per language
+ * Values are templates: `{name}`, `{version}`, `{os}`, `{platform}`,
+ * `{label}` and `{seconds}` are filled in by the renderer.
+ */
+const MESSAGES = {
+  en: {
+    install: 'Install',
+    labelFor: '{label} for {platform}',
+    title: 'Install {name}',
+    version: 'Version {version}',
+    detectedOS: 'Detected OS: {os}',
+    noInstaller: 'No installer available for your platform',
+    downloadFor: 'Download for {platform}',
+    otherDownloads: 'Other downloads',
+    learnMore: 'Learn more',
+    signature: 'Signature',
+    publicKey: 'Public key',
+    copy: 'Copy',
+    copied: 'Copied',
+    releaseNotes: 'Release notes',
+    fullReleaseNotes: 'Full release notes',
+    screenshots: 'Screenshots',
+    requirements: 'System requirements',
+    instructions: 'Installation',
+    commands: 'Install with a package manager',
+    notYourPlatform: 'Not on {os}? Choose your platform:',
+    choosePlatform: 'Choose your platform:',
+    countdown: 'Your download for {platform} starts in {seconds} s.',
+    cancel: 'Cancel',
+    downloadNow: 'Download now'
+  },
+  de: {
+    install: 'Installieren',
+    labelFor: '{label} für {platform}',
+    title: '{name} installieren',
+    version: 'Version {version}',
+    detectedOS: 'Erkanntes Betriebssystem: {os}',
+    noInstaller: 'Für Ihre Plattform ist kein Installationsprogramm verfügbar',
+    downloadFor: 'Download für {platform}',
+    otherDownloads: 'Weitere Downloads',
+    learnMore: 'Mehr erfahren',
+    signature: 'Signatur',
+    publicKey: 'Öffentlicher Schlüssel',
+    copy: 'Kopieren',
+    copied: 'Kopiert',
+    releaseNotes: 'Versionshinweise',
+    fullReleaseNotes: 'Alle Versionshinweise',
+    screenshots: 'Screenshots',
+    requirements: 'Systemanforderungen',
+    instructions: 'Installation',
+    commands: 'Mit einem Paketmanager installieren',
+    notYourPlatform: 'Nicht {os}? Plattform wählen:',
+    choosePlatform: 'Plattform wählen:',
+    countdown: 'Der Download für {platform} startet in {seconds} s.',
+    cancel: 'Abbrechen',
+    downloadNow: 'Jetzt herunterladen'
+  },
+  es: {
+    install: 'Instalar',
+    labelFor: '{label} para {platform}',
+    title: 'Instalar {name}',
+    version: 'Versión {version}',
+    detectedOS: 'Sistema operativo detectado: {os}',
+    noInstaller: 'No hay ningún instalador disponible para tu plataforma',
+    downloadFor: 'Descargar para {platform}',
+    otherDownloads: 'Otras descargas',
+    learnMore: 'Más información',
+    signature: 'Firma',
+    publicKey: 'Clave pública',
+    copy: 'Copiar',
+    copied: 'Copiado',
+    releaseNotes: 'Notas de la versión',
+    fullReleaseNotes: 'Notas completas de la versión',
+    screenshots: 'Capturas de pantalla',
+    requirements: 'Requisitos del sistema',
+    instructions: 'Instalación',
+    commands: 'Instalar con un gestor de paquetes',
+    notYourPlatform: '¿No usas {os}? Elige tu plataforma:',
+    choosePlatform: 'Elige tu plataforma:',
+    countdown: 'La descarga para {platform} empieza en {seconds} s.',
+    cancel: 'Cancelar',
+    downloadNow: 'Descargar ahora'
+  },
+  fr: {
+    install: 'Installer',
+    labelFor: '{label} pour {platform}',
+    title: 'Installer {name}',
+    version: 'Version {version}',
+    detectedOS: 'Système détecté : {os}',
+    noInstaller: 'Aucun programme d’installation disponible pour votre plateforme',
+    downloadFor: 'Télécharger pour {platform}',
+    otherDownloads: 'Autres téléchargements',
+    learnMore: 'En savoir plus',
+    signature: 'Signature',
+    publicKey: 'Clé publique',
+    copy: 'Copier',
+    copied: 'Copié',
+    releaseNotes: 'Notes de version',
+    fullReleaseNotes: 'Notes de version complètes',
+    screenshots: 'Captures d’écran',
+    requirements: 'Configuration requise',
+    instructions: 'Installation',
+    commands: 'Installer avec un gestionnaire de paquets',
+    notYourPlatform: 'Vous n’êtes pas sur {os} ? Choisissez votre plateforme :',
+    choosePlatform: 'Choisissez votre plateforme :',
+    countdown: 'Le téléchargement pour {platform} commence dans {seconds} s.',
+    cancel: 'Annuler',
+    downloadNow: 'Télécharger maintenant'
+  },
+  it: {
+    install: 'Installa',
+    labelFor: '{label} per {platform}',
+    title: 'Installa {name}',
+    version: 'Versione {version}',
+    detectedOS: 'Sistema operativo rilevato: {os}',
+    noInstaller: 'Nessun programma di installazione disponibile per la tua piattaforma',
+    downloadFor: 'Scarica per {platform}',
+    otherDownloads: 'Altri download',
+    learnMore: 'Scopri di più',
+    signature: 'Firma',
+    publicKey: 'Chiave pubblica',
+    copy: 'Copia',
+    copied: 'Copiato',
+    releaseNotes: 'Note di rilascio',
+    fullReleaseNotes: 'Note di rilascio complete',
+    screenshots: 'Screenshot',
+    requirements: 'Requisiti di sistema',
+    instructions: 'Installazione',
+    commands: 'Installa con un gestore di pacchetti',
+    notYourPlatform: 'Non usi {os}? Scegli la tua piattaforma:',
+    choosePlatform: 'Scegli la tua piattaforma:',
+    countdown: 'Il download per {platform} inizia tra {seconds} s.',
+    cancel: 'Annulla',
+    downloadNow: 'Scarica ora'
+  },
+  ja: {
+    install: 'インストール',
+    labelFor: '{label}（{platform}）',
+    title: '{name} をインストール',
+    version: 'バージョン {version}',
+    detectedOS: '検出された OS: {os}',
+    noInstaller: 'お使いのプラットフォーム向けのインストーラーはありません',
+    downloadFor: '{platform} 版をダウンロード',
+    otherDownloads: 'その他のダウンロード',
+    learnMore: '詳細を見る',
+    signature: '署名',
+    publicKey: '公開鍵',
+    copy: 'コピー',
+    copied: 'コピーしました',
+    releaseNotes: 'リリースノート',
+    fullReleaseNotes: 'リリースノート全文',
+    screenshots: 'スクリーンショット',
+    requirements: 'システム要件',
+    instructions: 'インストール方法',
+    commands: 'パッケージマネージャーでインストール',
+    notYourPlatform: '{os} ではありませんか？プラットフォームを選択:',
+    choosePlatform: 'プラットフォームを選択:',
+    countdown: '{platform} 版のダウンロードは {seconds} 秒後に始まります。',
+    cancel: 'キャンセル',
+    downloadNow: '今すぐダウンロード'
+  },
+  ko: {
+    install: '설치',
+    labelFor: '{platform}용 {label}',
+    title: '{name} 설치',
+    version: '버전 {version}',
+    detectedOS: '감지된 OS: {os}',
+    noInstaller: '사용 중인 플랫폼용 설치 프로그램이 없습니다',
+    downloadFor: '{platform}용 다운로드',
+    otherDownloads: '기타 다운로드',
+    learnMore: '자세히 알아보기',
+    signature: '서명',
+    publicKey: '공개 키',
+    copy: '복사',
+    copied: '복사됨',
+    releaseNotes: '릴리스 노트',
+    fullReleaseNotes: '전체 릴리스 노트',
+    screenshots: '스크린샷',
+    requirements: '시스템 요구 사항',
+    instructions: '설치 방법',
+    commands: '패키지 관리자로 설치',
+    notYourPlatform: '{os}이(가) 아닌가요? 플랫폼을 선택하세요:',
+    choosePlatform: '플랫폼을 선택하세요:',
+    countdown: '{platform}용 다운로드가 {seconds}초 후에 시작됩니다.',
+    cancel: '취소',
+    downloadNow: '지금 다운로드'
+  },
+  nl: {
+    install: 'Installeren',
+    labelFor: '{label} voor {platform}',
+    title: '{name} installeren',
+    version: 'Versie {version}',
+    detectedOS: 'Gedetecteerd besturingssysteem: {os}',
+    noInstaller: 'Geen installatieprogramma beschikbaar voor je platform',
+    downloadFor: 'Downloaden voor {platform}',
+    otherDownloads: 'Andere downloads',
+    learnMore: 'Meer informatie',
+    signature: 'Handtekening',
+    publicKey: 'Publieke sleutel',
+    copy: 'Kopiëren',
+    copied: 'Gekopieerd',
+    releaseNotes: 'Release-opmerkingen',
+    fullReleaseNotes: 'Alle release-opmerkingen',
+    screenshots: 'Schermafbeeldingen',
+    requirements: 'Systeemvereisten',
+    instructions: 'Installatie',
+    commands: 'Installeren met een pakketbeheerder',
+    notYourPlatform: 'Geen {os}? Kies je platform:',
+    choosePlatform: 'Kies je platform:',
+    countdown: 'De download voor {platform} start over {seconds} s.',
+    cancel: 'Annuleren',
+    downloadNow: 'Nu downloaden'
+  },
+  pl: {
+    install: 'Zainstaluj',
+    labelFor: '{label} dla {platform}',
+    title: 'Zainstaluj {name}',
+    version: 'Wersja {version}',
+    detectedOS: 'Wykryty system: {os}',
+    noInstaller: 'Brak instalatora dla Twojej platformy',
+    downloadFor: 'Pobierz dla {platform}',
+    otherDownloads: 'Inne pliki do pobrania',
+    learnMore: 'Dowiedz się więcej',
+    signature: 'Podpis',
+    publicKey: 'Klucz publiczny',
+    copy: 'Kopiuj',
+    copied: 'Skopiowano',
+    releaseNotes: 'Informacje o wydaniu',
+    fullReleaseNotes: 'Pełne informacje o wydaniu',
+    screenshots: 'Zrzuty ekranu',
+    requirements: 'Wymagania systemowe',
+    instructions: 'Instalacja',
+    commands: 'Zainstaluj za pomocą menedżera pakietów',
+    notYourPlatform: 'Nie używasz {os}? Wybierz platformę:',
+    choosePlatform: 'Wybierz platformę:',
+    countdown: 'Pobieranie dla {platform} rozpocznie się za {seconds} s.',
+    cancel: 'Anuluj',
+    downloadNow: 'Pobierz teraz'
+  },
+  pt: {
+    install: 'Instalar',
+    labelFor: '{label} para {platform}',
+    title: 'Instalar {name}',
+    version: 'Versão {version}',
+    detectedOS: 'Sistema detectado: {os}',
+    noInstaller: 'Nenhum instalador disponível para a sua plataforma',
+    downloadFor: 'Download para {platform}',
+    otherDownloads: 'Outros downloads',
+    learnMore: 'Saiba mais',
+    signature: 'Assinatura',
+    publicKey: 'Chave pública',
+    copy: 'Copiar',
+    copied: 'Copiado',
+    releaseNotes: 'Notas de versão',
+    fullReleaseNotes: 'Notas de versão completas',
+    screenshots: 'Capturas de tela',
+    requirements: 'Requisitos do sistema',
+    instructions: 'Instalação',
+    commands: 'Instalar com um gerenciador de pacotes',
+    notYourPlatform: 'Não usa {os}? Escolha sua plataforma:',
+    choosePlatform: 'Escolha sua plataforma:',
+    countdown: 'O download para {platform} começa em {seconds} s.',
+    cancel: 'Cancelar',
+    downloadNow: 'Baixar agora'
+  },
+  ru: {
+    install: 'Установить',
+    labelFor: '{label} для {platform}',
+    title: 'Установить {name}',
+    version: 'Версия {version}',
+    detectedOS: 'Обнаруженная ОС: {os}',
+    noInstaller: 'Нет установщика для вашей платформы',
+    downloadFor: 'Скачать для {platform}',
+    otherDownloads: 'Другие загрузки',
+    learnMore: 'Подробнее',
+    signature: 'Подпись',
+    publicKey: 'Открытый ключ',
+    copy: 'Копировать',
+    copied: 'Скопировано',
+    releaseNotes: 'Примечания к выпуску',
+    fullReleaseNotes: 'Все примечания к выпуску',
+    screenshots: 'Снимки экрана',
+    requirements: 'Системные требования',
+    instructions: 'Установка',
+    commands: 'Установка через менеджер пакетов',
+    notYourPlatform: 'Не {os}? Выберите платформу:',
+    choosePlatform: 'Выберите платформу:',
+    countdown: 'Загрузка для {platform} начнётся через {seconds} с.',
+    cancel: 'Отмена',
+    downloadNow: 'Скачать сейчас'
+  },
+  sv: {
+    install: 'Installera',
+    labelFor: '{label} för {platform}',
+    title: 'Installera {name}',
+    version: 'Version {version}',
+    detectedOS: 'Identifierat operativsystem: {os}',
+    noInstaller: 'Inget installationsprogram finns för din plattform',
+    downloadFor: 'Ladda ned för {platform}',
+    otherDownloads: 'Andra nedladdningar',
+    learnMore: 'Läs mer',
+    signature: 'Signatur',
+    publicKey: 'Offentlig nyckel',
+    copy: 'Kopiera',
+    copied: 'Kopierat',
+    releaseNotes: 'Versionsinformation',
+    fullReleaseNotes: 'Fullständig versionsinformation',
+    screenshots: 'Skärmbilder',
+    requirements: 'Systemkrav',
+    instructions: 'Installation',
+    commands: 'Installera med en pakethanterare',
+    notYourPlatform: 'Inte {os}? Välj din plattform:',
+    choosePlatform: 'Välj din plattform:',
+    countdown: 'Nedladdningen för {platform} startar om {seconds} s.',
+    cancel: 'Avbryt',
+    downloadNow: 'Ladda ner nu'
+  },
+  tr: {
+    install: 'Yükle',
+    labelFor: '{platform} için {label}',
+    title: '{name} yükle',
+    version: 'Sürüm {version}',
+    detectedOS: 'Algılanan işletim sistemi: {os}',
+    noInstaller: 'Platformunuz için yükleyici bulunmuyor',
+    downloadFor: '{platform} için indir',
+    otherDownloads: 'Diğer indirmeler',
+    learnMore: 'Daha fazla bilgi',
+    signature: 'İmza',
+    publicKey: 'Açık anahtar',
+    copy: 'Kopyala',
+    copied: 'Kopyalandı',
+    releaseNotes: 'Sürüm notları',
+    fullReleaseNotes: 'Tüm sürüm notları',
+    screenshots: 'Ekran görüntüleri',
+    requirements: 'Sistem gereksinimleri',
+    instructions: 'Kurulum',
+    commands: 'Paket yöneticisiyle yükleyin',
+    notYourPlatform: '{os} kullanmıyor musunuz? Platformunuzu seçin:',
+    choosePlatform: 'Platformunuzu seçin:',
+    countdown: '{platform} için indirme {seconds} sn içinde başlayacak.',
+    cancel: 'İptal',
+    downloadNow: 'Şimdi indir'
+  },
+  uk: {
+    install: 'Встановити',
+    labelFor: '{label} для {platform}',
+    title: 'Встановити {name}',
+    version: 'Версія {version}',
+    detectedOS: 'Виявлена ОС: {os}',
+    noInstaller: 'Немає інсталятора для вашої платформи',
+    downloadFor: 'Завантажити для {platform}',
+    otherDownloads: 'Інші завантаження',
+    learnMore: 'Докладніше',
+    signature: 'Підпис',
+    publicKey: 'Відкритий ключ',
+    copy: 'Копіювати',
+    copied: 'Скопійовано',
+    releaseNotes: 'Примітки до випуску',
+    fullReleaseNotes: 'Усі примітки до випуску',
+    screenshots: 'Знімки екрана',
+    requirements: 'Системні вимоги',
+    instructions: 'Встановлення',
+    commands: 'Встановлення через менеджер пакетів',
+    notYourPlatform: 'Не {os}? Виберіть платформу:',
+    choosePlatform: 'Виберіть платформу:',
+    countdown: 'Завантаження для {platform} почнеться через {seconds} с.',
+    cancel: 'Скасувати',
+    downloadNow: 'Завантажити зараз'
+  },
+  zh: {
+    install: '安装',
+    labelFor: '{label}（{platform}）',
+    title: '安装 {name}',
+    version: '版本 {version}',
+    detectedOS: '检测到的操作系统：{os}',
+    noInstaller: '没有适用于您平台的安装程序',
+    downloadFor: '下载 {platform} 版',
+    otherDownloads: '其他下载',
+    learnMore: '了解更多',
+    signature: '签名',
+    publicKey: '公钥',
+    copy: '复制',
+    copied: '已复制',
+    releaseNotes: '发行说明',
+    fullReleaseNotes: '完整发行说明',
+    screenshots: '屏幕截图',
+    requirements: '系统要求',
+    instructions: '安装说明',
+    commands: '使用包管理器安装',
+    notYourPlatform: '不是 {os}？请选择你的平台：',
+    choosePlatform: '请选择你的平台：',
+    countdown: '{platform} 版将在 {seconds} 秒后开始下载。',
+    cancel: '取消',
+    downloadNow: '立即下载'
+  }
+};
+
+/**
+ * Languages written right to left, by primary subtag
+ */
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ps', 'ur', 'yi'];
+
+/**
+ * BCP 47 language tag, e.g. `de`, `pt-BR`, `zh-Hant-TW`
+ */
+const LOCALE_TAG = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+function isValidLocale(value) {
+  return typeof value === 'string' && LOCALE_TAG.test(value);
+}
+
+/**
+ * Language ranges from an Accept-Language header, best first
+ * Ranges with q=0, `*` and malformed tags are dropped.
+ */
+function parseAcceptLanguage(header) {
+  if (typeof header !== 'string') return [];
+
+  return header.split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => p.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+      return { tag, q: q ? Number(q[1]) : 1, index };
+    })
+    .filter(range => isValidLocale(range.tag) && range.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(range => range.tag);
+}
+
+/**
+ * Pick the first range with an available locale
+ * A range matches a locale exactly (case-insensitive) or by its primary
+ * language, so `de-AT` finds `de` and `pt` finds `pt-BR`.
+ * Returns the available locale as written, or null.
+ */
+function negotiateLocale(ranges, available) {
+  const primary = tag => tag.split('-')[0].toLowerCase();
+
+  for (const range of ranges) {
+    const exact = available.find(tag => tag.toLowerCase() === range.toLowerCase());
+    if (exact) return exact;
+
+    const related = available.find(tag => primary(tag) === primary(range));
+    if (related) return related;
+  }
+
+  return null;
+}
+
+/**
+ * Text direction for a locale
+ */
+function getTextDirection(locale) {
+  return RTL_LANGUAGES.includes(locale.split('-')[0].toLowerCase()) ? 'rtl' : 'ltr';
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  MESSAGES,
+  isValidLocale,
+  parseAcceptLanguage,
+  negotiateLocale,
+  getTextDirection
+};
@@ -0,0 +1,48 @@
+// ============================================================================
+// INSTALL BRIDGE - BADGE ICONS
+// Built-in monochrome logos, drawn on a 14x14 grid as single SVG paths
+// ============================================================================
+
+const ICON_SIZE = 14;
+
+const ICONS = {
+  apple:
+    'M10.2 7.4c0-1.5 1.2-2.2 1.3-2.3-.7-1-1.8-1.2-2.2-1.2-.9-.1-1.8.6-2.3.6' +
+    '-.5 0-1.2-.5-2-.5C3.9 4 2.9 4.6 2.4 5.6c-1.1 1.9-.3 4.7.8 6.2.5.8 1.1 ' +
+    '1.6 1.9 1.5.8 0 1-.5 2-.5s1.2.5 2 .5c.8 0 1.3-.8 1.8-1.5.6-.8.8-1.6.8' +
+    '-1.7 0 0-1.5-.6-1.5-2.7zM8.7 2.9c.4-.5.7-1.2.6-1.9-.6 0-1.3.4-1.8.9-.4' +
+    '.4-.7 1.1-.6 1.8.7.1 1.4-.3 1.8-.8z',
+  windows:
+    'M1 2.5l5-.7v4.7H1zM6.8 1.7L13 .8v5.7H6.8zM1 7.5h5v4.7l-5-.7zM6.8 7.5H13' +
+    'v5.7l-6.2-.9z',
+  linux:
+    'M7 1C5.3 1 4.5 2.4 4.5 4c0 1-.3 1.7-.9 2.6C2.8 7.8 2 9.2 2 10.5c0 .5.2' +
+    '.8.6.9L2 12.6c-.2.5.2.9.9.9h2.3c.4 0 .7-.2.8-.5h2c.1.3.4.5.8.5h2.3c.7 ' +
+    '0 1.1-.4.9-.9l-.6-1.2c.4-.1.6-.4.6-.9 0-1.3-.8-2.7-1.6-3.9-.6-.9-.9-1.6' +
+    '-.9-2.6C9.5 2.4 8.7 1 7 1zM7 6.5c1.1 0 2 1.3 2 3s-.9 3-2 3-2-1.3-2-3 ' +
+    '.9-3 2-3z',
+  android:
+    'M3.5 5.5h7v5.3c0 .4-.3.7-.7.7H9v1.8c0 .4-.3.7-.7.7s-.7-.3-.7-.7v-1.8H6.4' +
+    'v1.8c0 .4-.3.7-.7.7S5 13.7 5 13.3v-1.8h-.8c-.4 0-.7-.3-.7-.7zM2.3 5.5c.4 ' +
+    '0 .7.3.7.7v3c0 .4-.3.7-.7.7s-.7-.3-.7-.7v-3c0-.4.3-.7.7-.7zm9.4 0c.4 0 ' +
+    '.7.3.7.7v3c0 .4-.3.7-.7.7s-.7-.3-.7-.7v-3c0-.4.3-.7.7-.7zM3.5 5C3.6 3.8 ' +
+    '4.3 2.8 5.3 2.3l-.6-1c-.1-.1 0-.2.1-.3.1 0 .2 0 .3.1l.6 1c.4-.2.8-.2 1.3' +
+    '-.2s.9.1 1.3.2l.6-1c.1-.1.2-.1.3-.1.1.1.1.2.1.3l-.6 1c1 .5 1.7 1.5 1.8 ' +
+    '2.7z',
+  download:
+    'M6 1h2v6.2l2.3-2.3 1.4 1.4L7 11 2.3 6.3l1.4-1.4L6 7.2zM1 11h2v1h8v-1h2v3' +
+    'H1z'
+};
+
+/**
+ * Icon shown for each detected platform by `logo: "auto"`
+ */
+const PLATFORM_ICONS = {
+  darwin: 'apple',
+  ios: 'apple',
+  win32: 'windows',
+  linux: 'linux',
+  android: 'android'
+};
+
+module.exports = { ICON_SIZE, ICONS, PLATFORM_ICONS };
@@ -0,0 +1,459 @@
+// ============================================================================
+// INSTALL BRIDGE - INSTALL PAGE
+// Landing page for visitors /install cannot redirect, built from the config
+// Pure: no I/O, every config value is escaped before output
+// ============================================================================
+
+const core = require('./core');
+const { parseColor } = require('./colors');
+
+/**
+ * Theme palettes; `auto` switches between them with prefers-color-scheme
+ */
+const THEMES = {
+  light: {
+    background: '#f5f5f5',
+    surface: '#ffffff',
+    text: '#24292f',
+    muted: '#666666',
+    border: '#d0d7de',
+    secondary: '#eaeef2',
+    notice: '#d73a49',
+    shadow: 'rgba(0,0,0,0.1)'
+  },
+  dark: {
+    background: '#0d1117',
+    surface: '#161b22',
+    text: '#e6edf3',
+    muted: '#8b949e',
+    border: '#30363d',
+    secondary: '#21262d',
+    notice: '#f85149',
+    shadow: 'rgba(0,0,0,0.4)'
+  }
+};
+
+const DEFAULT_THEME = 'light';
+const DEFAULT_ACCENT = '#0366d6';
+
+const ARCH_NAMES = {
+  x64: 'x64',
+  arm64: 'ARM64',
+  universal: 'Universal'
+};
+
+const FORMAT_NAMES = {
+  appimage: 'AppImage',
+  flatpak: 'Flatpak',
+  tarball: 'Tarball',
+  deb: '.deb',
+  rpm: '.rpm',
+  play: 'Google Play',
+  fdroid: 'F-Droid',
+  apk: 'APK'
+};
+
+const esc = core.escapeHTML;
+const link = value => esc(core.safeURL(value));
+
+/**
+ * JSON that is safe inside an inline <script>
+ */
+function scriptJSON(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+/**
+ * CSS custom properties for a theme and accent color
+ */
+function themeCSS(theme, accent) {
+  const [r, g, b] = parseColor(accent);
+  // Relative luminance decides between light and dark button text
+  const light = 0.2126 * r + 0.7152 * g + 0.0722 * b > 150;
+  const vars = palette => Object.keys(palette)
+    .map(key => `--${key}:${palette[key]};`)
+    .join('');
+  const base = `--accent:${accent};--on-accent:${light ? '#111111' : '#ffffff'};`;
+
+  if (theme === 'auto') {
+    return `:root { color-scheme:light dark; ${base}${vars(THEMES.light)} }
+@media (prefers-color-scheme: dark) {
+  :root { ${vars(THEMES.dark)} }
+}`;
+  }
+
+  return `:root { color-scheme:${theme}; ${base}${vars(THEMES[theme])} }`;
+}
+
+/**
+ * Plain text to HTML
+ * Blank lines separate paragraphs; blocks whose lines all start with
+ * "- " or "* " become lists, "1. " numbered lists; `code` spans are kept.
+ */
+function formatText(text) {
+  const inline = line => esc(line).replace(/`([^`]+)`/g, '<code>$1</code>');
+
+  return String(text)
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .map(block => block.trim())
+    .filter(Boolean)
+    .map(block => {
+      const lines = block.split('\n').map(line => line.trim());
+
+      if (lines.every(line => /^[-*] /.test(line))) {
+        return `<ul>${lines.map(line => `<li>${inline(line.slice(2))}</li>`).join('')}</ul>`;
+      }
+      if (lines.every(line => /^\d+\. /.test(line))) {
+        return `<ol>${lines.map(line => `<li>${inline(line.replace(/^\d+\. /, ''))}</li>`).join('')}</ol>`;
+      }
+      return `<p>${lines.map(inline).join('<br>')}</p>`;
+    })
+    .join('\n');
+}
+
+/**
+ * Platforms of a per-platform map, the visitor's first
+ */
+function sortPlatforms(map, os) {
+  return Object.keys(map)
+    .filter(platform => typeof map[platform] === 'string')
+    .sort((a, b) => (b === os) - (a === os));
+}
+
+/**
+ * Render the install page
+ *
+ * Options:
+ *   client        { os, arch, distro } of the visitor   (default: all unknown)
+ *   messages      core.getMessages() result            (default: default locale)
+ *   head          extra markup for <head>; trusted, not escaped
+ *   platformURL   os => link to the page for another platform; adds a
+ *                 "not on <os>?" switcher
+ *   countdown     { url, seconds }: download `url` after a countdown the
+ *                 visitor can cancel
+ *
+ * Returns: HTML string
+ */
+function generateInstallPage(config, options = {}) {
+  const client = { os: 'unknown', arch: 'unknown', distro: 'unknown', ...options.client };
+  const messages = options.messages || core.getMessages(config);
+  const { t } = messages;
+  const detectedOS = client.os;
+  const page = config.page && typeof config.page === 'object' ? config.page : {};
+  const theme = page.theme === 'auto' || Object.prototype.hasOwnProperty.call(THEMES, page.theme)
+    ? page.theme
+    : DEFAULT_THEME;
+  const accent = core.isValidColor(page.accentColor) ? page.accentColor : DEFAULT_ACCENT;
+  const platformName = platform => core.getPlatformName(platform, messages.platforms);
+
+  const installers = config.installers || {};
+  const target = core.getInstallTarget(
+    config, detectedOS, client.arch, client.distro
+  );
+
+  // Recommended download first, then the rest of the visitor's platform
+  const rank = d => {
+    if (target.available && d.url === target.url) return 0;
+    return d.platform === detectedOS ? 1 : 2;
+  };
+  const downloads = core.listInstallers(installers, client.distro)
+    .map((d, index) => ({ ...d, index }))
+    .sort((a, b) => rank(a) - rank(b) || a.index - b.index);
+
+  // Only name the architecture when a platform ships more than one build
+  const downloadLabel = d => {
+    const platform = platformName(d.platform);
+    const details = [];
+
+    if (typeof installers[d.platform] === 'object' && d.arch !== 'universal') {
+      details.push(ARCH_NAMES[d.arch]);
+    }
+    if (d.format) {
+      details.push(FORMAT_NAMES[d.format] || d.format);
+    }
+
+    return details.length ? `${platform} (${details.join(', ')})` : platform;
+  };
+
+  const copyButton = text =>
+    `<button type="button" class="copy" data-copy="${esc(text)}" data-copied="${esc(t('copied'))}">${esc(t('copy'))}</button>`;
+
+  // Integrity details shown under a download: checksum, signature, key
+  const integrity = d => {
+    const parts = [];
+
+    if (d.sha256) {
+      parts.push(`<code>SHA-256 ${esc(d.sha256)}</code> ${copyButton(d.sha256)}`);
+    }
+    if (d.signature) parts.push(`<a href="${link(d.signature)}">${esc(t('signature'))}</a>`);
+    if (d.publicKey) parts.push(`<a href="${link(d.publicKey)}">${esc(t('publicKey'))}</a>`);
+
+    return parts.length ? `<div class="integrity">${parts.join(' ')}</div>` : '';
+  };
+
+  const downloadButton = d => {
+    const secondary = target.available && rank(d) > 0;
+    const size = d.size ? ` <span class="size">${core.formatSize(d.size)}</span>` : '';
+    return `<a class="btn${secondary ? ' secondary' : ''}" href="${link(d.url)}">${esc(t('downloadFor', { platform: downloadLabel(d) }))}${size}</a>` +
+      integrity(d);
+  };
+
+  const section = (title, body) =>
+    `<section>\n<h2>${esc(t(title))}</h2>\n${body}\n</section>`;
+
+  const sections = [];
+
+  const commands = core.listInstallCommands(config);
+  if (commands.length) {
+    const platforms = [...new Set(commands.map(c => c.platform))]
+      .sort((a, b) => (b === detectedOS) - (a === detectedOS));
+    sections.push(section('commands', `<dl>${platforms.map(platform =>
+      `<dt>${esc(platformName(platform))}</dt><dd>${commands
+        .filter(c => c.platform === platform)
+        .map(c => `<div class="command"><code dir="ltr">${esc(c.command)}</code> ${copyButton(c.command)}</div>`)
+        .join('')}</dd>`
+    ).join('')}</dl>`));
+  }
+
+  if (typeof page.requirements === 'string') {
+    sections.push(section('requirements', formatText(page.requirements)));
+  } else if (page.requirements && typeof page.requirements === 'object') {
+    const platforms = sortPlatforms(page.requirements, detectedOS);
+    if (platforms.length) {
+      sections.push(section('requirements', `<dl>${platforms.map(platform =>
+        `<dt>${esc(platformName(platform))}</dt><dd>${formatText(page.requirements[platform])}</dd>`
+      ).join('')}</dl>`));
+    }
+  }
+
+  if (page.instructions && typeof page.instructions === 'object') {
+    const platforms = sortPlatforms(page.instructions, detectedOS);
+    if (platforms.length) {
+      sections.push(section('instructions', platforms.map(platform =>
+        `<details${platform === detectedOS ? ' open' : ''}><summary>${esc(platformName(platform))}</summary>\n${formatText(page.instructions[platform])}\n</details>`
+      ).join('\n')));
+    }
+  }
+
+  const screenshots = (Array.isArray(page.screenshots) ? page.screenshots : [])
+    .map(shot => typeof shot === 'string' ? { url: shot } : shot)
+    .filter(shot => shot && core.safeURL(shot.url, null));
+  if (screenshots.length) {
+    sections.push(section('screenshots', `<div class="screenshots">${screenshots.map(shot =>
+      `<a href="${link(shot.url)}"><img src="${link(shot.url)}" alt="${esc(shot.alt || config.name)}" loading="lazy"></a>`
+    ).join('')}</div>`));
+  }
+
+  if (typeof page.releaseNotes === 'string' || core.safeURL(page.releaseNotesURL, null)) {
+    sections.push(section('releaseNotes', [
+      typeof page.releaseNotes === 'string' ? formatText(page.releaseNotes) : '',
+      core.safeURL(page.releaseNotesURL, null)
+        ? `<p><a href="${link(page.releaseNotesURL)}">${esc(t('fullReleaseNotes'))} →</a></p>`
+        : ''
+    ].filter(Boolean).join('\n')));
+  }
+
+  const hasCopyButtons = commands.length > 0 || downloads.some(d => d.sha256);
+
+  // Links to the other platforms that have downloads
+  const switchPlatforms = options.platformURL
+    ? core.listPlatforms().filter(platform =>
+      platform !== detectedOS && downloads.some(d => d.platform === platform)
+    )
+    : [];
+  const switcher = switchPlatforms.length
+    ? `<p class="platforms">${esc(detectedOS !== 'unknown'
+      ? t('notYourPlatform', { os: platformName(detectedOS) })
+      : t('choosePlatform'))} ${switchPlatforms.map(platform =>
+      `<a href="${esc(options.platformURL(platform))}">${esc(platformName(platform))}</a>`
+    ).join(' · ')}</p>`
+    : '';
+
+  const countdown = options.countdown && core.safeURL(options.countdown.url, null)
+    ? options.countdown
+    : null;
+
+  return `<!DOCTYPE html>
+<html lang="${esc(messages.locale)}" dir="${messages.dir}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${esc(t('title', { name: config.name }))}</title>
+<style>
+${themeCSS(theme, accent)}
+body {
+  font-family: -apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;
+  background:var(--background);
+  color:var(--text);
+  display:flex;
+  align-items:center;
+  justify-content:center;
+  min-height:100vh;
+  margin:0;
+  padding:20px;
+}
+.container {
+  background:var(--surface);
+  border-radius:8px;
+  box-shadow:0 4px 12px var(--shadow);
+  max-width:560px;
+  width:100%;
+  padding:40px;
+  text-align:center;
+}
+h1 { margin-bottom:10px; }
+a { color:var(--accent); }
+.version {
+  color:var(--muted);
+  margin-top:0;
+}
+.notice {
+  color:var(--notice);
+  margin-bottom:20px;
+}
+a.btn {
+  display:block;
+  margin:10px 0;
+  padding:14px 20px;
+  background:var(--accent);
+  color:var(--on-accent);
+  text-decoration:none;
+  border-radius:6px;
+  font-weight:500;
+}
+a.btn:hover { filter:brightness(0.92); }
+a.btn.secondary {
+  background:var(--secondary);
+  color:var(--text);
+}
+.others {
+  margin-top:24px;
+  font-size:14px;
+  color:var(--muted);
+}
+section {
+  margin-top:30px;
+  padding-top:20px;
+  border-top:1px solid var(--border);
+  text-align:start;
+}
+h2 { font-size:18px; }
+dt { font-weight:600; }
+dd { margin:0 0 10px; }
+details { margin:8px 0; }
+.command {
+  display:flex;
+  align-items:center;
+  gap:8px;
+  margin:4px 0;
+}
+.command code {
+  flex:1;
+  background:var(--secondary);
+  border-radius:4px;
+  padding:6px 10px;
+  overflow-x:auto;
+  white-space:nowrap;
+}
+summary { cursor:pointer; font-weight:600; }
+.screenshots {
+  display:flex;
+  gap:10px;
+  overflow-x:auto;
+}
+.screenshots img {
+  max-height:240px;
+  border:1px solid var(--border);
+  border-radius:6px;
+}
+.countdown {
+  background:var(--secondary);
+  border-radius:6px;
+  padding:10px 20px;
+  margin:20px 0;
+}
+.countdown button {
+  background:none;
+  border:none;
+  color:var(--accent);
+  cursor:pointer;
+  font:inherit;
+  text-decoration:underline;
+}
+.platforms {
+  font-size:14px;
+  color:var(--muted);
+}
+.footer {
+  margin-top:30px;
+  font-size:14px;
+  color:var(--muted);
+}
+</style>${options.head ? `\n${options.head}` : ''}${countdown
+  ? `\n<noscript><meta http-equiv="refresh" content="${countdown.seconds};url=${esc(countdown.url)}"></noscript>`
+  : ''}
+</head>
+<body>
+<div class="container">
+<h1>${esc(t('title', { name: config.name }))}</h1>
+${config.version
+  ? `<p class="version">${esc(t('version', { version: config.version }))}${config.channel ? ` (${esc(config.channel)})` : ''}</p>`
+  : ''}
+${detectedOS !== 'unknown'
+  ? `<p>${esc(t('detectedOS', { os: platformName(detectedOS) }))}</p>`
+  : ''}
+${detectedOS !== 'unknown' && !target.available
+  ? `<p class="notice">${esc(t('noInstaller'))}</p>`
+  : ''}
+${countdown
+  ? `<div class="countdown" id="countdown">
+<p>${esc(t('countdown', { platform: platformName(detectedOS), seconds: '{seconds}' }))
+    .replace('{seconds}', `<span id="seconds">${countdown.seconds}</span>`)}</p>
+<p><a href="${esc(countdown.url)}">${esc(t('downloadNow'))}</a> · <button type="button" id="cancel">${esc(t('cancel'))}</button></p>
+</div>`
+  : ''}
+${switcher}
+${target.available && downloads.length > 1
+  ? downloadButton(downloads[0]) +
+    `<p class="others">${esc(t('otherDownloads'))}</p>` +
+    downloads.slice(1).map(downloadButton).join('')
+  : downloads.map(downloadButton).join('')}
+${sections.join('\n')}
+${config.homepage
+  ? `<div class="footer"><a href="${link(config.homepage)}">${esc(t('learnMore'))} →</a></div>`
+  : ''}
+</div>
+${hasCopyButtons ? `<script>
+document.querySelectorAll('button.copy').forEach(function (btn) {
+  btn.addEventListener('click', function () {
+    navigator.clipboard.writeText(btn.dataset.copy).then(function () {
+      btn.textContent = btn.dataset.copied;
+    });
+  });
+});
+</script>` : ''}
+${countdown ? `<script>
+(function () {
+  var url = ${scriptJSON(countdown.url)};
+  var left = ${countdown.seconds};
+  var timer = setInterval(function () {
+    left -= 1;
+    if (left > 0) {
+      document.getElementById('seconds').textContent = left;
+      return;
+    }
+    clearInterval(timer);
+    location.href = url;
+  }, 1000);
+  document.getElementById('cancel').addEventListener('click', function () {
+    clearInterval(timer);
+    document.getElementById('countdown').hidden = true;
+  });
+})();
+</script>` : ''}
+</body>
+</html>`;
+}
+
+module.exports = { generateInstallPage, scriptJSON };
@@ -0,0 +1,428 @@
+// ============================================================================
+// INSTALL BRIDGE - RASTER
+// Minimal RGBA canvas and PNG encoder for raster badges
+// Pure JS on Uint8Array: no zlib, no Buffer, no native modules
+// ============================================================================
+
+const { GLYPH_WIDTH, GLYPH_HEIGHT, getGlyph } = require('./bitmap-font');
+
+// Vertical samples per pixel row when computing polygon coverage
+const SUBSAMPLES = 4;
+
+// Line segments used to flatten each curve or quarter circle
+const CURVE_STEPS = 8;
+
+// ============================================================================
+// CANVAS
+// ============================================================================
+
+/**
+ * Create a transparent canvas
+ * Drawing calls take badge units; `scale` maps them to device pixels.
+ */
+function createCanvas(width, height, scale = 1) {
+  const w = Math.ceil(width * scale);
+  const h = Math.ceil(height * scale);
+  return { width: w, height: h, scale, data: new Uint8Array(w * h * 4) };
+}
+
+/**
+ * Source-over blend of a straight-alpha [r, g, b, a] color
+ */
+function blendPixel(canvas, x, y, color, coverage = 1) {
+  if (x < 0 || y < 0 || x >= canvas.width || y >= canvas.height) return;
+
+  const i = (y * canvas.width + x) * 4;
+  const data = canvas.data;
+  const sa = (color[3] / 255) * Math.min(coverage, 1);
+  if (sa <= 0) return;
+
+  const da = data[i + 3] / 255;
+  const oa = sa + da * (1 - sa);
+
+  for (let c = 0; c < 3; c++) {
+    data[i + c] = Math.round((color[c] * sa + data[i + c] * da * (1 - sa)) / oa);
+  }
+  data[i + 3] = Math.round(oa * 255);
+}
+
+/**
+ * Per-pixel coverage of polygons (even-odd rule), in device pixels
+ * Exact horizontally, SUBSAMPLES rows vertically.
+ * Returns: Float32Array of width * height
+ */
+function coverageOf(canvas, polygons) {
+  const { width, height, scale } = canvas;
+  const cover = new Float32Array(width * height);
+  const edges = [];
+
+  polygons.forEach(points => {
+    points.forEach((point, i) => {
+      const next = points[(i + 1) % points.length];
+      if (point[1] !== next[1]) {
+        edges.push([point[0] * scale, point[1] * scale, next[0] * scale, next[1] * scale]);
+      }
+    });
+  });
+
+  for (let py = 0; py < height; py++) {
+    for (let s = 0; s < SUBSAMPLES; s++) {
+      const sy = py + (s + 0.5) / SUBSAMPLES;
+      const xs = [];
+
+      edges.forEach(([x0, y0, x1, y1]) => {
+        if ((sy >= y0 && sy < y1) || (sy >= y1 && sy < y0)) {
+          xs.push(x0 + (sy - y0) * (x1 - x0) / (y1 - y0));
+        }
+      });
+
+      xs.sort((a, b) => a - b);
+
+      for (let k = 0; k + 1 < xs.length; k += 2) {
+        const start = Math.max(xs[k], 0);
+        const end = Math.min(xs[k + 1], width);
+
+        for (let px = Math.floor(start); px < end; px++) {
+          const overlap = Math.min(end, px + 1) - Math.max(start, px);
+          cover[py * width + px] += overlap / SUBSAMPLES;
+        }
+      }
+    }
+  }
+
+  return cover;
+}
+
+/**
+ * Fill polygons with a color, or with `paint(y)` returning a color for
+ * a row given in badge units (for vertical gradients)
+ */
+function fillPolygons(canvas, polygons, paint) {
+  const cover = coverageOf(canvas, polygons);
+  const { width, height, scale } = canvas;
+
+  for (let py = 0; py < height; py++) {
+    const color = typeof paint === 'function' ? paint((py + 0.5) / scale) : paint;
+
+    for (let px = 0; px < width; px++) {
+      const c = cover[py * width + px];
+      if (c > 0) blendPixel(canvas, px, py, color, c);
+    }
+  }
+}
+
+/**
+ * Keep only what lies inside `polygons`, with anti-aliased edges
+ */
+function clipToPolygons(canvas, polygons) {
+  const cover = coverageOf(canvas, polygons);
+
+  for (let i = 0; i < cover.length; i++) {
+    canvas.data[i * 4 + 3] = Math.round(canvas.data[i * 4 + 3] * Math.min(cover[i], 1));
+  }
+}
+
+// ============================================================================
+// SHAPES
+// ============================================================================
+
+function rect(x, y, width, height) {
+  return [[x, y], [x + width, y], [x + width, y + height], [x, y + height]];
+}
+
+/**
+ * Rectangle with quarter-circle corners, as a polygon
+ */
+function roundedRect(x, y, width, height, radius) {
+  const r = Math.min(radius, width / 2, height / 2);
+  if (r <= 0) return rect(x, y, width, height);
+
+  const corners = [
+    [x + width - r, y + r, -Math.PI / 2],
+    [x + width - r, y + height - r, 0],
+    [x + r, y + height - r, Math.PI / 2],
+    [x + r, y + r, Math.PI]
+  ];
+  const points = [];
+
+  corners.forEach(([cx, cy, start]) => {
+    for (let i = 0; i <= CURVE_STEPS; i++) {
+      const angle = start + (i / CURVE_STEPS) * (Math.PI / 2);
+      points.push([cx + r * Math.cos(angle), cy + r * Math.sin(angle)]);
+    }
+  });
+
+  return points;
+}
+
+/**
+ * Flatten SVG path data into polygons, offset by (x, y)
+ * Supports the commands the built-in icons use: M L H V C S Z, absolute
+ * and relative.
+ */
+function pathToPolygons(d, x = 0, y = 0) {
+  const tokens = d.match(/[MLHVCSZmlhvcsz]|-?(?:\d+\.?\d*|\.\d+)(?:e-?\d+)?/g) || [];
+  const polygons = [];
+  let points = null;
+  let cx = 0;
+  let cy = 0;
+  let startX = 0;
+  let startY = 0;
+  let control = null;
+  let command = null;
+  let i = 0;
+
+  const number = () => Number(tokens[i++]);
+  const lineTo = (nx, ny) => {
+    cx = nx;
+    cy = ny;
+    points.push([x + cx, y + cy]);
+  };
+  const curveTo = (x1, y1, x2, y2, ex, ey) => {
+    const x0 = cx;
+    const y0 = cy;
+    for (let step = 1; step <= CURVE_STEPS; step++) {
+      const t = step / CURVE_STEPS;
+      const u = 1 - t;
+      points.push([
+        x + u * u * u * x0 + 3 * u * u * t * x1 + 3 * u * t * t * x2 + t * t * t * ex,
+        y + u * u * u * y0 + 3 * u * u * t * y1 + 3 * u * t * t * y2 + t * t * t * ey
+      ]);
+    }
+    cx = ex;
+    cy = ey;
+    control = [x2, y2];
+  };
+
+  while (i < tokens.length) {
+    if (/[a-z]/i.test(tokens[i])) {
+      command = tokens[i++];
+    } else if (!command || /z/i.test(command)) {
+      throw new Error('Invalid path data: expected a command');
+    }
+
+    const relative = command === command.toLowerCase();
+    const ox = relative ? cx : 0;
+    const oy = relative ? cy : 0;
+    const previous = control;
+    control = null;
+
+    switch (command.toUpperCase()) {
+      case 'M':
+        points = [];
+        polygons.push(points);
+        lineTo(ox + number(), oy + number());
+        startX = cx;
+        startY = cy;
+        // Further coordinate pairs are implicit line-tos
+        command = relative ? 'l' : 'L';
+        break;
+      case 'L':
+        lineTo(ox + number(), oy + number());
+        break;
+      case 'H':
+        lineTo(ox + number(), cy);
+        break;
+      case 'V':
+        lineTo(cx, oy + number());
+        break;
+      case 'C':
+        curveTo(ox + number(), oy + number(), ox + number(), oy + number(), ox + number(), oy + number());
+        break;
+      case 'S': {
+        const [rx, ry] = previous ? [2 * cx - previous[0], 2 * cy - previous[1]] : [cx, cy];
+        curveTo(rx, ry, ox + number(), oy + number(), ox + number(), oy + number());
+        break;
+      }
+      case 'Z':
+        cx = startX;
+        cy = startY;
+        break;
+      default:
+        throw new Error(`Unsupported path command: ${command}`);
+    }
+  }
+
+  return polygons.filter(polygon => polygon.length > 2);
+}
+
+// ============================================================================
+// TEXT
+// ============================================================================
+
+/**
+ * Width of text in the bitmap font, in badge units
+ * Faux bold adds one pixel per glyph.
+ */
+function measureBitmapText(text, options = {}) {
+  const count = Array.from(String(text)).length;
+  const advance = GLYPH_WIDTH + 1 + (options.bold ? 1 : 0);
+  return count ? count * advance - 1 : 0;
+}
+
+/**
+ * Draw text with its left edge at `x` and its baseline at `baseline`
+ *
+ * Options:
+ *   bold      faux bold, each glyph drawn twice  (default: false)
+ *   spacing   extra space after each glyph       (default: 0)
+ */
+function drawText(canvas, text, x, baseline, color, options = {}) {
+  const advance = GLYPH_WIDTH + 1 + (options.bold ? 1 : 0) + (options.spacing || 0);
+  const top = baseline - GLYPH_HEIGHT;
+
+  Array.from(String(text)).forEach((char, index) => {
+    const left = Math.round(x + index * advance);
+
+    getGlyph(char).forEach((column, col) => {
+      for (let row = 0; row < GLYPH_HEIGHT; row++) {
+        if (!((column >> row) & 1)) continue;
+
+        for (let dx = 0; dx <= (options.bold ? 1 : 0); dx++) {
+          fillPixelBlock(canvas, left + col + dx, top + row, color);
+        }
+      }
+    });
+  });
+}
+
+// One font pixel is a scale x scale block of device pixels
+function fillPixelBlock(canvas, x, y, color) {
+  const { scale } = canvas;
+  const x0 = Math.round(x * scale);
+  const y0 = Math.round(y * scale);
+  const x1 = Math.round((x + 1) * scale);
+  const y1 = Math.round((y + 1) * scale);
+
+  for (let py = y0; py < y1; py++) {
+    for (let px = x0; px < x1; px++) {
+      blendPixel(canvas, px, py, color);
+    }
+  }
+}
+
+// ============================================================================
+// PNG ENCODING
+// ============================================================================
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes, start = 0, end = bytes.length) {
+  let crc = 0xffffffff;
+  for (let i = start; i < end; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function adler32(bytes) {
+  let a = 1;
+  let b = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    a = (a + bytes[i]) % 65521;
+    b = (b + a) % 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+/**
+ * Wrap bytes in a zlib stream of stored (uncompressed) deflate blocks
+ * Badges are small, so compression is not worth a Huffman coder.
+ */
+function zlibStore(bytes) {
+  const BLOCK = 65535;
+  const blocks = Math.max(1, Math.ceil(bytes.length / BLOCK));
+  const out = new Uint8Array(2 + bytes.length + blocks * 5 + 4);
+  let o = 0;
+
+  out[o++] = 0x78;
+  out[o++] = 0x01;
+
+  for (let b = 0; b < blocks; b++) {
+    const chunk = bytes.subarray(b * BLOCK, (b + 1) * BLOCK);
+    out[o++] = b === blocks - 1 ? 1 : 0;
+    out[o++] = chunk.length & 0xff;
+    out[o++] = chunk.length >>> 8;
+    out[o++] = ~chunk.length & 0xff;
+    out[o++] = (~chunk.length >>> 8) & 0xff;
+    out.set(chunk, o);
+    o += chunk.length;
+  }
+
+  writeUint32(out, o, adler32(bytes));
+  return out;
+}
+
+function writeUint32(bytes, offset, value) {
+  bytes[offset] = value >>> 24;
+  bytes[offset + 1] = (value >>> 16) & 0xff;
+  bytes[offset + 2] = (value >>> 8) & 0xff;
+  bytes[offset + 3] = value & 0xff;
+}
+
+function chunk(type, body) {
+  const out = new Uint8Array(12 + body.length);
+  writeUint32(out, 0, body.length);
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+  out.set(body, 8);
+  writeUint32(out, 8 + body.length, crc32(out, 4, 8 + body.length));
+  return out;
+}
+
+/**
+ * Encode a canvas as an 8-bit RGBA PNG
+ * Returns: Uint8Array
+ */
+function encodePNG(canvas) {
+  const { width, height, data } = canvas;
+  const stride = width * 4;
+  const raw = new Uint8Array((stride + 1) * height);
+
+  // Filter type 0 (none) on every row
+  for (let y = 0; y < height; y++) {
+    raw.set(data.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+  }
+
+  const header = new Uint8Array(13);
+  writeUint32(header, 0, width);
+  writeUint32(header, 4, height);
+  header.set([8, 6, 0, 0, 0], 8);
+
+  const parts = [
+    new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlibStore(raw)),
+    chunk('IEND', new Uint8Array(0))
+  ];
+
+  const png = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    png.set(part, offset);
+    offset += part.length;
+  });
+
+  return png;
+}
+
+module.exports = {
+  createCanvas,
+  fillPolygons,
+  clipToPolygons,
+  rect,
+  roundedRect,
+  pathToPolygons,
+  measureBitmapText,
+  drawText,
+  encodePNG
+};
@@ -0,0 +1,286 @@
+// ============================================================================
+// INSTALL BRIDGE - SCHEMA VALIDATOR
+// Checks values against the JSON Schema (draft-07) subset that
+// install-bridge.schema.json uses, reporting { path, message } issues with
+// JSON Pointer paths
+// ============================================================================
+
+/**
+ * How type names read in messages: `must be a string or an object`
+ */
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'a whole number',
+  boolean: 'true or false',
+  object: 'an object',
+  array: 'a list',
+  null: 'null'
+};
+
+/**
+ * Validate a value against a schema
+ *
+ * Supported keywords: $ref (local), type, enum, const, pattern, minLength,
+ * maxLength, format, minimum, maximum, items, minItems, maxItems,
+ * properties, required, propertyNames, additionalProperties, minProperties,
+ * allOf, anyOf, not, if/then/else. Other keywords are annotations.
+ *
+ * `errorMessage` replaces the errors a schema reports about the value
+ * itself (not about its children). Fields that `additionalProperties:
+ * false` rules out are warnings, not errors.
+ *
+ * Options:
+ *   formats    { name: value => boolean } for `format`; unknown formats pass
+ *   keywords   { 'x-name': (argument, value, data) => message or null } for
+ *              custom keywords; `data` is the whole document
+ *
+ * Returns: { errors, warnings }, each a list of { path, message }
+ */
+function validateSchema(schema, value, options = {}) {
+  const state = {
+    root: schema,
+    data: value,
+    formats: options.formats || {},
+    keywords: options.keywords || {}
+  };
+  const { errors, warnings } = check(schema, value, '', state);
+  return { errors, warnings };
+}
+
+/**
+ * Check one value; `expected` lists the types it should have had when
+ * the schema rejected its type
+ */
+function check(schema, value, path, state) {
+  const result = { errors: [], warnings: [], expected: null };
+
+  if (schema === false) {
+    result.errors.push({ path, message: 'is not allowed' });
+    return result;
+  }
+  if (!schema || schema === true) return result;
+
+  if (schema.$ref) {
+    return check(resolveRef(state.root, schema.$ref), value, path, state);
+  }
+
+  const fail = message => result.errors.push({ path, message });
+  const merge = other => {
+    result.errors.push(...other.errors);
+    result.warnings.push(...other.warnings);
+  };
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => hasType(value, type))) {
+      result.expected = types;
+      fail(`must be ${listTypes(types)}`);
+      return withMessage(schema, result, path);
+    }
+  }
+
+  if (schema.const !== undefined && !isEqual(value, schema.const)) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (schema.enum && !schema.enum.some(item => isEqual(value, item))) {
+    fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    const length = Array.from(value).length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      fail(`must match ${schema.pattern}`);
+    }
+    if (schema.format !== undefined && state.formats[schema.format] && !state.formats[schema.format](value)) {
+      fail(`must be a valid ${schema.format}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must list at least ${schema.minItems} ${schema.minItems === 1 ? 'item' : 'items'}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must list at most ${schema.maxItems} items`);
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, i) => merge(check(schema.items, item, `${path}/${i}`, state)));
+    }
+  }
+
+  if (isObject(value)) {
+    const keys = Object.keys(value);
+
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      fail('must not be empty');
+    }
+
+    (schema.required || []).forEach(key => {
+      if (!hasOwn(value, key)) {
+        result.errors.push({ path: `${path}/${escapePointer(key)}`, message: 'is required' });
+      }
+    });
+
+    keys.forEach(key => {
+      const child = `${path}/${escapePointer(key)}`;
+
+      if (schema.propertyNames !== undefined) {
+        const name = check(schema.propertyNames, key, child, state);
+        if (name.errors.length) {
+          result.errors.push(...name.errors);
+          return;
+        }
+      }
+
+      if (schema.properties && hasOwn(schema.properties, key)) {
+        merge(check(schema.properties[key], value[key], child, state));
+      } else if (schema.additionalProperties === false) {
+        result.warnings.push({ path: child, message: 'unknown field' });
+      } else if (schema.additionalProperties !== undefined) {
+        merge(check(schema.additionalProperties, value[key], child, state));
+      }
+    });
+  }
+
+  (schema.allOf || []).forEach(sub => merge(check(sub, value, path, state)));
+
+  if (schema.anyOf) {
+    const branches = schema.anyOf.map(sub => check(sub, value, path, state));
+    const passed = branches.find(branch => branch.errors.length === 0);
+
+    if (passed) {
+      result.warnings.push(...passed.warnings);
+    } else {
+      // Report the branch written for this type of value, if only one is
+      const typed = branches.filter(branch => !branch.expected);
+      if (typed.length === 0) {
+        result.expected = unique([].concat(...branches.map(branch => branch.expected)));
+        fail(`must be ${listTypes(result.expected)}`);
+      } else if (schema.errorMessage !== undefined) {
+        fail(schema.errorMessage);
+      } else {
+        merge(typed.reduce((best, branch) => branch.errors.length < best.errors.length ? branch : best));
+      }
+    }
+  }
+
+  if (schema.not !== undefined && check(schema.not, value, path, state).errors.length === 0) {
+    fail('is not allowed');
+  }
+
+  if (schema.if !== undefined) {
+    const branch = check(schema.if, value, path, state).errors.length === 0
+      ? schema.then
+      : schema.else;
+    if (branch !== undefined) merge(check(branch, value, path, state));
+  }
+
+  Object.keys(schema).forEach(keyword => {
+    if (!keyword.startsWith('x-') || !state.keywords[keyword]) return;
+    const message = state.keywords[keyword](schema[keyword], value, state.data);
+    if (message) fail(message);
+  });
+
+  return withMessage(schema, result, path);
+}
+
+/**
+ * Apply `errorMessage` to the errors about the value at `path`
+ */
+function withMessage(schema, result, path) {
+  if (schema.errorMessage === undefined) return result;
+
+  const own = result.errors.filter(error => error.path === path);
+  if (own.length === 0) return result;
+
+  result.errors = [{ path, message: schema.errorMessage }]
+    .concat(result.errors.filter(error => error.path !== path));
+  return result;
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Only local $ref is supported: ${ref}`);
+  }
+
+  const target = resolvePointer(root, decodeURIComponent(ref.slice(1)));
+  if (target === undefined) {
+    throw new Error(`Unresolved $ref: ${ref}`);
+  }
+  return target;
+}
+
+/**
+ * Value at a JSON Pointer, e.g. `/installers/darwin`
+ * Returns undefined when the pointer leads nowhere.
+ */
+function resolvePointer(data, pointer) {
+  if (pointer === '') return data;
+
+  return pointer.slice(1).split('/').reduce((node, token) => {
+    const key = token.replace(/~1/g, '/').replace(/~0/g, '~');
+    return node !== null && typeof node === 'object' && hasOwn(node, key)
+      ? node[key]
+      : undefined;
+  }, data);
+}
+
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function hasType(value, type) {
+  switch (type) {
+    case 'object': return isObject(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+function listTypes(types) {
+  const names = types.map(type => TYPE_NAMES[type] || type);
+  return names.length > 1
+    ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}`
+    : names[0];
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function unique(list) {
+  return list.filter((item, i) => list.indexOf(item) === i);
+}
+
+module.exports = {
+  validateSchema,
+  resolvePointer
+};
@@ -0,0 +1,125 @@
+// ============================================================================
+// INSTALL BRIDGE - STATIC SITE
+// Badge, install pages and manifest for hosting without a server
+// Pure: returns file contents; the CLI writes them
+// ============================================================================
+
+const core = require('./core');
+const { generateInstallPage, scriptJSON } = require('./page');
+
+const BADGE_FILE = 'install-badge.svg';
+
+/**
+ * Client-side router for install/index.html
+ * Detects the visitor with the core's own rules, then follows the same
+ * redirect table the server would; visitors who need a page go to their
+ * platform's page, if it has one, and otherwise stay on the full list.
+ * `?page=1` stays on the page, as on the server.
+ */
+function routerScript(routes, pages) {
+  return `<script>
+(function () {
+  if (/[?&]page=1(&|$)/.test(location.search)) return;
+
+${core.getDetectionScript()}
+
+  var routes = ${scriptJSON(routes)};
+  var pages = ${scriptJSON(pages)};
+  var ua = navigator.userAgent;
+  var base = location.pathname.replace(/\\/(index\\.html)?$/, '') + '/';
+
+  function route(hints) {
+    var os = detectOS(ua);
+    if (os === 'unknown') return;
+
+    var url = routes[os + '/' + detectArch(ua, hints) + '/' + detectDistro(ua)];
+    if (url) {
+      location.replace(url);
+    } else if (pages.indexOf(os) !== -1) {
+      location.replace(base + os + '/');
+    }
+  }
+
+  // Architecture Client Hints, where the browser offers them
+  if (navigator.userAgentData && navigator.userAgentData.getHighEntropyValues) {
+    navigator.userAgentData.getHighEntropyValues(['architecture', 'bitness']).then(
+      function (values) { route({ arch: values.architecture, bitness: values.bitness }); },
+      function () { route({}); }
+    );
+  } else {
+    route({});
+  }
+})();
+</script>`;
+}
+
+/**
+ * Platforms that get their own page: those with an installer or a package
+ * manager command
+ */
+function listPagePlatforms(config) {
+  const shipped = [
+    ...core.listInstallers(config.installers),
+    ...core.listInstallCommands(config)
+  ].map(item => item.platform);
+
+  return core.listPlatforms().filter(os => shipped.includes(os));
+}
+
+/**
+ * Build a static install site for a (channel-selected, resolved) config
+ *
+ * Files:
+ *   install-badge.svg           the badge
+ *   install/index.html          routes visitors like the server's /install;
+ *                               without script it lists every download
+ *   install/<platform>/index.html   page for visitors of one platform,
+ *                               for platforms with something to install
+ *   manifest.json               pages, redirect table and installers
+ *
+ * Options:
+ *   locale   page and badge language   (default: i18n.defaultLocale)
+ *
+ * Returns: { [path]: content }
+ */
+function generateStaticSite(config, options = {}) {
+  const messages = core.getMessages(config, options.locale);
+  const routes = core.listInstallRoutes(config);
+  const platforms = listPagePlatforms(config);
+  const files = {};
+  const pages = {};
+
+  files[BADGE_FILE] = core.generateBadge(config, { locale: messages.locale });
+
+  files['install/index.html'] = generateInstallPage(config, {
+    messages,
+    head: routerScript(routes, platforms),
+    platformURL: os => `${os}/`
+  });
+
+  platforms.forEach(os => {
+    pages[os] = `install/${os}/`;
+    files[`install/${os}/index.html`] = generateInstallPage(config, {
+      client: { os },
+      messages,
+      platformURL: other => `../${other}/`
+    });
+  });
+
+  const manifest = {
+    name: config.name,
+    ...(config.version ? { version: config.version } : {}),
+    ...(config.channel ? { channel: config.channel } : {}),
+    badge: BADGE_FILE,
+    install: 'install/',
+    pages,
+    routes,
+    installers: core.listInstallers(config.installers)
+  };
+
+  files['manifest.json'] = JSON.stringify(manifest, null, 2) + '\n';
+
+  return files;
+}
+
+module.exports = { generateStaticSite };
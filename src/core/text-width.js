@@ -0,0 +1,97 @@
+// ============================================================================
+// INSTALL BRIDGE - TEXT WIDTH
+// Badge text measurement for Verdana / DejaVu Sans at 11px
+// Pure data + arithmetic; same approach as shields.io character widths
+// ============================================================================
+
+const FONT_SIZE = 11;
+
+// Verdana Bold runs about 10% wider than the regular weight
+const BOLD_SCALE = 1.1;
+
+/**
+ * Verdana advance widths for printable ASCII (0x20-0x7E), in 1/1000 em
+ * DejaVu Sans, the first fallback in the badge font stack, is within a
+ * few percent of these for Latin text.
+ */
+const ASCII_WIDTHS = [
+  352, 394, 459, 818, 636, 1076, 727, 269, 454, 454, 636, 818, 364, 454, 364, 454, // space - /
+  636, 636, 636, 636, 636, 636, 636, 636, 636, 636, 454, 454, 818, 818, 818, 545, // 0 - ?
+  1000, 684, 686, 698, 771, 632, 575, 775, 751, 421, 455, 693, 557, 843, 748, 787, // @ - O
+  603, 787, 695, 684, 616, 732, 684, 989, 685, 615, 685, 454, 454, 454, 818, 636, // P - _
+  636, 601, 623, 521, 623, 596, 352, 623, 633, 274, 344, 592, 274, 973, 633, 607, // ` - o
+  623, 623, 427, 521, 394, 633, 592, 818, 592, 592, 525, 635, 454, 635, 818       // p - ~
+];
+
+// Fallback widths (1/1000 em) for characters outside the table
+const WIDE = 1000;       // CJK ideographs, kana, Hangul, fullwidth forms
+const EMOJI = 1200;      // emoji render slightly wider than 1em
+const AVERAGE = 620;     // other scripts (Cyrillic, Greek, Arabic, ...)
+
+const WIDE_RANGES = [
+  [0x1100, 0x115f],   // Hangul Jamo
+  [0x2e80, 0x303e],   // CJK radicals, punctuation
+  [0x3041, 0x33ff],   // Hiragana, Katakana, CJK compatibility
+  [0x3400, 0x4dbf],   // CJK Extension A
+  [0x4e00, 0x9fff],   // CJK Unified Ideographs
+  [0xa000, 0xa4cf],   // Yi
+  [0xac00, 0xd7a3],   // Hangul syllables
+  [0xf900, 0xfaff],   // CJK compatibility ideographs
+  [0xfe30, 0xfe4f],   // CJK compatibility forms
+  [0xff00, 0xff60],   // Fullwidth forms
+  [0xffe0, 0xffe6],   // Fullwidth signs
+  [0x20000, 0x3fffd]  // CJK Extensions B+
+];
+
+const ZERO_WIDTH = /[\p{M}\u200b-\u200f\u2060\ufe00-\ufe0f]|[\u{1f3fb}-\u{1f3ff}]|[\u{e0020}-\u{e007f}]/u;
+const PICTOGRAPHIC = /\p{Extended_Pictographic}/u;
+const REGIONAL_INDICATOR = /[\u{1f1e6}-\u{1f1ff}]/u;
+const ZWJ = '\u200d';
+
+function isWide(code) {
+  return WIDE_RANGES.some(([start, end]) => code >= start && code <= end);
+}
+
+/**
+ * Width of one code point in 1/1000 em
+ * `previous` is the preceding code point, for joined emoji sequences
+ */
+function charWidth(char, previous) {
+  const code = char.codePointAt(0);
+
+  if (code >= 0x20 && code <= 0x7e) return ASCII_WIDTHS[code - 0x20];
+  if (char === ZWJ || ZERO_WIDTH.test(char)) return 0;
+
+  // Second half of a ZWJ sequence or a flag renders as one glyph
+  if (previous === ZWJ && PICTOGRAPHIC.test(char)) return 0;
+  if (REGIONAL_INDICATOR.test(char)) return EMOJI / 2;
+
+  if (PICTOGRAPHIC.test(char)) return EMOJI;
+  if (isWide(code)) return WIDE;
+
+  return AVERAGE;
+}
+
+/**
+ * Measure text in pixels
+ * Accented Latin letters are measured by their base letter.
+ *
+ * Options:
+ *   fontSize  in px          (default: 11)
+ *   bold      bold weight    (default: false)
+ */
+function measureText(text, options = {}) {
+  const fontSize = options.fontSize || FONT_SIZE;
+  const chars = Array.from(String(text).normalize('NFD'));
+  let units = 0;
+
+  chars.forEach((char, index) => {
+    units += charWidth(char, chars[index - 1]);
+  });
+
+  if (options.bold) units *= BOLD_SCALE;
+
+  return Math.round(units * fontSize / 100) / 10;
+}
+
+module.exports = { measureText };
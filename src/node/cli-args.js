@@ -0,0 +1,87 @@
+// ============================================================================
+// INSTALL BRIDGE - CLI ARGUMENTS
+// Parses command-line arguments against a table of known options, so the
+// CLI rejects typos instead of ignoring them
+// ============================================================================
+
+/**
+ * Parse arguments (without the node binary, script or command)
+ *
+ * Each option is `{ type: 'string' | 'boolean', short }`, `short` being a
+ * one-letter alias. Strings take `--name value`, `--name=value` or
+ * `-n value`; later values win. `--` ends the options.
+ *
+ * Options:
+ *   options       { name: option }
+ *   positionals   how many plain arguments are allowed  (default: 0)
+ *
+ * Returns: { options, positionals }; booleans default to false and strings
+ * to null. Throws on unknown options, missing values and extra arguments.
+ */
+function parseArgs(argv, spec = {}) {
+  const known = spec.options || {};
+  const options = {};
+  const positionals = [];
+  let rest = false;
+
+  Object.keys(known).forEach(name => {
+    options[name] = known[name].type === 'boolean' ? false : null;
+  });
+
+  const findShort = letter => Object.keys(known).find(name => known[name].short === letter);
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (rest || arg === '-' || !arg.startsWith('-')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    if (arg === '--') {
+      rest = true;
+      continue;
+    }
+
+    const long = arg.startsWith('--');
+    const eq = long ? arg.indexOf('=') : -1;
+    const flag = eq === -1 ? arg : arg.slice(0, eq);
+    const name = long ? flag.slice(2) : findShort(flag.slice(1));
+
+    if (!name || !hasOwn(known, name)) {
+      throw new Error(`Unknown option: ${flag}`);
+    }
+
+    if (known[name].type === 'boolean') {
+      if (eq !== -1) throw new Error(`${flag} does not take a value`);
+      options[name] = true;
+      continue;
+    }
+
+    let value = eq === -1 ? argv[i + 1] : arg.slice(eq + 1);
+    if (eq === -1) {
+      if (value === undefined || (value.startsWith('-') && value !== '-')) value = '';
+      else i++;
+    }
+
+    if (value === '') {
+      throw new Error(`${flag} needs a value`);
+    }
+
+    options[name] = value;
+  }
+
+  if (positionals.length > (spec.positionals || 0)) {
+    throw new Error(`Unexpected argument: ${positionals[spec.positionals || 0]}`);
+  }
+
+  return { options, positionals };
+}
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+module.exports = {
+  parseArgs
+};
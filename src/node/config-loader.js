@@ -0,0 +1,295 @@
+// ============================================================================
+// INSTALL BRIDGE - CONFIG LOADER
+// Finds and reads config files: install-bridge.json, .yaml, .yml, .toml or
+// the "installBridge" key of package.json, and resolves `extends`
+// Validation issues name the file they come from
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const core = require('../core/core');
+
+const CONFIG_FILES = [
+  'install-bridge.json',
+  'install-bridge.yaml',
+  'install-bridge.yml',
+  'install-bridge.toml'
+];
+const PACKAGE_FILE = 'package.json';
+const PACKAGE_KEY = 'installBridge';
+const PACKAGE_NAME = /^(@[\w.-]+\/)?[\w.-]+$/;
+
+// ============================================================================
+// FINDING
+// ============================================================================
+
+function isPackageFile(file) {
+  return path.basename(file) === PACKAGE_FILE;
+}
+
+function hasPackageConfig(file) {
+  try {
+    const pkg = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return !!pkg && typeof pkg === 'object' && pkg[PACKAGE_KEY] !== undefined;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Find the config of a directory
+ * Throws when more than one file holds a config, rather than guessing.
+ * Returns: path, or null when there is none
+ */
+function findConfigFile(dir) {
+  const found = CONFIG_FILES
+    .map(name => path.join(dir, name))
+    .filter(file => fs.existsSync(file));
+
+  const pkg = path.join(dir, PACKAGE_FILE);
+  if (fs.existsSync(pkg) && hasPackageConfig(pkg)) found.push(pkg);
+
+  if (found.length > 1) {
+    throw new Error(
+      `Found ${found.map(describeFile).join(' and ')} in ${dir}; keep one config`
+    );
+  }
+
+  return found[0] || null;
+}
+
+function describeFile(file) {
+  return isPackageFile(file)
+    ? `${PACKAGE_FILE} "${PACKAGE_KEY}"`
+    : path.basename(file);
+}
+
+/**
+ * Resolve an `extends` entry
+ * Relative paths start from the extending file, as does a bare config file
+ * name such as `base.json`; a package name uses the config of that
+ * package, and `package/file` a file inside it.
+ */
+function resolveBase(spec, from) {
+  const dir = path.dirname(from);
+  let file;
+
+  if (spec.startsWith('.') || path.isAbsolute(spec) || isBareConfigFile(spec)) {
+    file = path.resolve(dir, spec);
+  } else if (PACKAGE_NAME.test(spec)) {
+    file = path.dirname(require.resolve(`${spec}/${PACKAGE_FILE}`, { paths: [dir] }));
+  } else {
+    try {
+      file = require.resolve(spec, { paths: [dir] });
+    } catch (err) {
+      // `shared/base.yaml` reads as a file inside the package `shared`
+      if (fs.existsSync(path.resolve(dir, spec))) {
+        throw new Error(`no package ${spec.split('/')[0]}; write ./${spec} for a relative path`);
+      }
+      throw err;
+    }
+  }
+
+  if (!fs.existsSync(file)) {
+    throw new Error(`${file} does not exist`);
+  }
+
+  if (fs.statSync(file).isDirectory()) {
+    const found = findConfigFile(file);
+    if (!found) throw new Error(`no config in ${file}`);
+    return found;
+  }
+
+  return file;
+}
+
+function isBareConfigFile(spec) {
+  return !spec.includes('/') && core.getConfigFormat(spec) !== null;
+}
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Parse one file without resolving `extends`
+ * Returns: { success, config } or { success: false, errors }, errors being
+ * { path, message } issues as from core.validateConfig()
+ */
+function readConfigLayer(file) {
+  const isPackage = isPackageFile(file);
+  const format = isPackage ? 'json' : core.getConfigFormat(file);
+  const failure = message => ({ success: false, errors: [{ path: '', message }] });
+
+  if (!format) {
+    return failure('Unknown config format (use .json, .yaml, .yml or .toml)');
+  }
+
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    return failure(`Could not read file: ${err.message}`);
+  }
+
+  const parsed = core.parseConfigSource(content, format);
+  if (!parsed.success || !isPackage) return parsed;
+
+  const config = parsed.config[PACKAGE_KEY];
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return failure(`"${PACKAGE_KEY}" must be an object`);
+  }
+
+  return { success: true, config };
+}
+
+/**
+ * Load a config file, merging the configs it extends, and validate it
+ *
+ * Options:
+ *   cwd      directory file names in errors are relative to  (default: process.cwd())
+ *   config   content of `file` when it is already parsed, e.g. a config
+ *            inline in a registry; `extends` still starts from `file`
+ *
+ * `extends` takes a path or a list of paths; later bases override
+ * earlier ones and the file overrides them all (see mergeConfigs()).
+ *
+ * Returns: { success, config, errors, warnings, files }, `files` listing
+ * every file read. Errors and warnings are { file, path, message } issues,
+ * `file` being the one that set the value (see core.formatIssue()).
+ */
+function loadConfigFile(file, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const root = path.resolve(cwd, file);
+  const files = [];
+  const errors = [];
+  const origins = new Map(); // JSON Pointer → file that set the value
+
+  const label = f => path.relative(cwd, f) || path.basename(f);
+  const fail = (f, message, pointer = '') => {
+    errors.push({ file: label(f), path: pointer, message });
+  };
+
+  function load(current, chain) {
+    if (chain.includes(current)) {
+      const cycle = chain.slice(chain.indexOf(current)).concat(current);
+      fail(chain[chain.length - 1], `forms a cycle: ${cycle.map(label).join(' → ')}`, '/extends');
+      return null;
+    }
+
+    const layer = current === root && options.config
+      ? { success: true, config: options.config }
+      : readConfigLayer(current);
+    if (!files.includes(current)) files.push(current);
+
+    if (!layer.success) {
+      layer.errors.forEach(error => fail(current, error.message, error.path));
+      return null;
+    }
+
+    const config = layer.config;
+    let merged = {};
+
+    if (config.extends !== undefined) {
+      const list = Array.isArray(config.extends) ? config.extends : [config.extends];
+
+      if (list.length === 0 || !list.every(spec => typeof spec === 'string' && spec.trim())) {
+        fail(current, 'must be a config path or a list of config paths', '/extends');
+        return null;
+      }
+
+      for (const spec of list) {
+        let baseFile;
+        try {
+          baseFile = resolveBase(spec.trim(), current);
+        } catch (err) {
+          fail(current, `cannot extend ${spec}: ${err.message.split('\n')[0]}`, '/extends');
+          return null;
+        }
+
+        const base = load(baseFile, chain.concat(current));
+        if (!base) return null;
+        merged = core.mergeConfigs(merged, base);
+      }
+    }
+
+    recordOrigins(origins, config, current);
+    return core.mergeConfigs(merged, config);
+  }
+
+  const config = load(root, []);
+
+  if (!config) {
+    return { success: false, config: null, errors, warnings: [], files };
+  }
+
+  const validation = core.validateConfig(config);
+  const attribute = issue => ({ file: label(findOrigin(origins, issue.path) || root), ...issue });
+
+  errors.push(...validation.errors.map(attribute));
+  const warnings = validation.warnings.map(attribute);
+
+  return { success: errors.length === 0, config, errors, warnings, files };
+}
+
+// ============================================================================
+// ERROR ORIGINS
+// ============================================================================
+
+/**
+ * Note which file set each value, following mergeConfigs() precedence
+ */
+function recordOrigins(origins, config, file) {
+  const forget = prefix => {
+    Array.from(origins.keys()).forEach(key => {
+      if (key === prefix || key.startsWith(`${prefix}/`)) origins.delete(key);
+    });
+  };
+
+  if (config.installers !== undefined || config.source !== undefined) {
+    forget('/installers');
+    forget('/source');
+  }
+
+  (function visit(value, prefix) {
+    Object.keys(value).forEach(key => {
+      if (!prefix && key === 'extends') return;
+
+      const pointer = `${prefix}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+      const child = value[key];
+
+      // Objects merge into the base, so only their own keys change hands
+      if (child && typeof child === 'object' && !Array.isArray(child) && Object.keys(child).length) {
+        origins.delete(pointer);
+        visit(child, pointer);
+      } else {
+        forget(pointer);
+        if (child !== null) origins.set(pointer, file);
+      }
+    });
+  })(config, '');
+}
+
+/**
+ * File behind a validation issue, from its JSON Pointer path
+ * The closest recorded value at or above the path wins; a path above every
+ * recorded value (e.g. a missing object) goes to a file that set a value in it.
+ */
+function findOrigin(origins, pointer) {
+  for (let parts = pointer.split('/'); parts.length > 1; parts.pop()) {
+    const key = parts.join('/');
+    if (origins.has(key)) return origins.get(key);
+
+    const nested = Array.from(origins.keys()).find(k => k.startsWith(`${key}/`));
+    if (nested) return origins.get(nested);
+  }
+
+  return null;
+}
+
+module.exports = {
+  CONFIG_FILES,
+  findConfigFile,
+  readConfigLayer,
+  loadConfigFile
+};
@@ -0,0 +1,175 @@
+// ============================================================================
+// INSTALL BRIDGE - RELEASE RESOLVER
+// Fetches release metadata and turns `source` asset patterns into installers
+// Network access lives here so the core stays pure
+// ============================================================================
+
+const http = require('http');
+const https = require('https');
+const core = require('../core/core');
+
+const GITHUB_API = 'https://api.github.com';
+const DEFAULT_TTL = 5 * 60 * 1000; // 5 minutes
+const DEFAULT_MAX_ENTRIES = 100;
+const DEFAULT_TIMEOUT = 10 * 1000;
+
+// ============================================================================
+// HTTP FETCHER
+// ============================================================================
+
+/**
+ * Create a JSON fetcher bound to an API base URL
+ * The returned function takes a path and resolves with parsed JSON.
+ * Point `baseURL` at a local server to test without network access.
+ */
+function createHttpFetcher(options = {}) {
+  const baseURL = options.baseURL || GITHUB_API;
+  const token = options.token || null;
+  const timeout = options.timeout || DEFAULT_TIMEOUT;
+
+  return function fetchJSON(path) {
+    const target = new URL(path, baseURL);
+    const client = target.protocol === 'http:' ? http : https;
+
+    const headers = {
+      Accept: 'application/vnd.github+json',
+      'User-Agent': 'install-bridge'
+    };
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    return new Promise((resolve, reject) => {
+      const req = client.get(target, { headers, timeout }, res => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => {
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            reject(new Error(`Release API responded ${res.statusCode} for ${target.pathname}`));
+            return;
+          }
+
+          try {
+            resolve(JSON.parse(body));
+          } catch (err) {
+            reject(new Error(`Release API returned invalid JSON: ${err.message}`));
+          }
+        });
+      });
+
+      req.on('timeout', () => {
+        req.destroy(new Error(`Release API timed out after ${timeout}ms`));
+      });
+      req.on('error', reject);
+    });
+  };
+}
+
+// ============================================================================
+// RESOLVER
+// ============================================================================
+
+/**
+ * API path of a release
+ * Each part is encoded, so `repo` cannot leave /repos/ even if it slipped
+ * past validation.
+ */
+function releasePath(source) {
+  const tag = source.tag || 'latest';
+  const repo = String(source.repo).split('/').map(part => {
+    if (part === '.' || part === '..') {
+      throw new Error(`Invalid repo: ${source.repo}`);
+    }
+    return encodeURIComponent(part);
+  }).join('/');
+
+  return tag === 'latest'
+    ? `/repos/${repo}/releases/latest`
+    : `/repos/${repo}/releases/tags/${encodeURIComponent(tag)}`;
+}
+
+/**
+ * Create a resolver with its own release cache
+ * The cache drops expired releases and, past `maxEntries`, the least
+ * recently used one, so it stays bounded however many repos are asked for.
+ *
+ * Options:
+ *   fetcher     path => Promise<json>   (default: GitHub API over HTTPS)
+ *   ttl         cache lifetime in ms    (default: 5 minutes)
+ *   maxEntries  releases kept at once   (default: 100)
+ *   now         clock, for tests        (default: Date.now)
+ */
+function createReleaseResolver(options = {}) {
+  const fetcher = options.fetcher || createHttpFetcher();
+  const ttl = options.ttl === undefined ? DEFAULT_TTL : options.ttl;
+  const maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+  const now = options.now || Date.now;
+  const cache = new Map(); // insertion order = least recently used first
+
+  function evict() {
+    const time = now();
+    cache.forEach((entry, key) => {
+      if (entry.expires <= time) cache.delete(key);
+    });
+
+    while (cache.size > maxEntries) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+
+  function fetchRelease(source) {
+    const key = `${source.repo}@${source.tag || 'latest'}`;
+    const cached = cache.get(key);
+
+    if (cached && cached.expires > now()) {
+      cache.delete(key);
+      cache.set(key, cached);
+      return cached.release;
+    }
+
+    // Cache the promise so concurrent requests share one fetch
+    const release = Promise.resolve()
+      .then(() => fetcher(releasePath(source)))
+      .catch(err => {
+        cache.delete(key);
+        throw err;
+      });
+
+    cache.delete(key);
+    cache.set(key, { release, expires: now() + ttl });
+    evict();
+    return release;
+  }
+
+  /**
+   * Resolve a config's `source` into installer URLs
+   * Resolves with { config, tag, missing }; configs without a source pass
+   * through unchanged.
+   */
+  async function resolve(config) {
+    if (!config.source) {
+      return { config, tag: null, missing: [] };
+    }
+
+    const release = await fetchRelease(config.source);
+    const { config: resolved, missing } = core.applyRelease(config, release);
+
+    if (Object.keys(resolved.installers).length === 0) {
+      throw new Error(
+        `No release assets in ${config.source.repo}@${release.tag_name || 'latest'} matched the source patterns`
+      );
+    }
+
+    return { config: resolved, tag: release.tag_name || null, missing };
+  }
+
+  return {
+    resolve,
+    clear: () => cache.clear(),
+    size: () => cache.size
+  };
+}
+
+module.exports = {
+  createHttpFetcher,
+  createReleaseResolver
+};
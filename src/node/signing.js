@@ -0,0 +1,70 @@
+// ============================================================================
+// INSTALL BRIDGE - CONFIG SIGNING
+// HMAC signatures for base64 config URLs, so a public server only serves
+// configs its operator has signed
+// ============================================================================
+
+const crypto = require('crypto');
+
+function toBase64URL(buf) {
+  return buf
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Encode a config for the `?config=` parameter
+ * Uses the URL-safe base64 alphabet, which the server decodes as-is.
+ */
+function encodeConfig(config) {
+  return toBase64URL(Buffer.from(JSON.stringify(config), 'utf8'));
+}
+
+/**
+ * Sign the exact `config` parameter string with HMAC-SHA256
+ */
+function signConfig(param, key) {
+  return toBase64URL(
+    crypto.createHmac('sha256', key).update(param, 'utf8').digest()
+  );
+}
+
+/**
+ * Check a `sig` parameter in constant time
+ */
+function verifySignature(param, sig, key) {
+  if (typeof param !== 'string' || typeof sig !== 'string') return false;
+
+  const expected = Buffer.from(signConfig(param, key));
+  const actual = Buffer.from(sig);
+
+  return expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Build badge and install URLs for a server
+ * Signed when `key` is given; `format` picks badge.svg or badge.png.
+ * Returns: { badge, install }
+ */
+function createConfigURLs(config, server, key = null, format = 'svg') {
+  const base = server.replace(/\/+$/, '');
+  const param = encodeConfig(config);
+  const query = key
+    ? `config=${param}&sig=${signConfig(param, key)}`
+    : `config=${param}`;
+
+  return {
+    badge: `${base}/badge.${format}?${query}`,
+    install: `${base}/install?${query}`
+  };
+}
+
+module.exports = {
+  encodeConfig,
+  signConfig,
+  verifySignature,
+  createConfigURLs
+};
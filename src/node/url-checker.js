@@ -0,0 +1,271 @@
+// ============================================================================
+// INSTALL BRIDGE - URL CHECKER
+// Sends HEAD requests to a config's installer, homepage and fallback URLs
+// and reports what each one serves, for `install-bridge check`
+// ============================================================================
+
+const http = require('http');
+const https = require('https');
+const core = require('../core/core');
+
+const DEFAULT_TIMEOUT = 10 * 1000;
+const DEFAULT_CONCURRENCY = 4;
+const MAX_REDIRECTS = 10;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Servers that refuse HEAD get a GET whose body is never read
+const HEAD_REFUSED = [405, 501];
+
+// ============================================================================
+// HTTP CLIENT
+// ============================================================================
+
+/**
+ * Create a client that sends one request without following redirects
+ * The returned function takes (url, method) and resolves with
+ * { status, headers }; the response body is discarded.
+ */
+function createHttpClient(options = {}) {
+  const timeout = options.timeout || DEFAULT_TIMEOUT;
+
+  return function request(url, method = 'HEAD') {
+    const target = new URL(url);
+    const client = target.protocol === 'http:' ? http : https;
+
+    return new Promise((resolve, reject) => {
+      const req = client.request(target, {
+        method,
+        timeout,
+        headers: { 'User-Agent': 'install-bridge' }
+      }, res => {
+        resolve({ status: res.statusCode, headers: res.headers });
+        res.destroy();
+      });
+
+      req.on('timeout', () => {
+        req.destroy(new Error(`timed out after ${timeout}ms`));
+      });
+      req.on('error', reject);
+      req.end();
+    });
+  };
+}
+
+// ============================================================================
+// CHECKS
+// ============================================================================
+
+/**
+ * Request a URL, following redirects
+ *
+ * Options:
+ *   client   (url, method) => Promise<{ status, headers }>  (default: createHttpClient())
+ *
+ * Returns: Promise<{ status, finalURL, redirects, contentType,
+ * contentLength, fileName, error }>; network failures resolve with
+ * `error` set rather than rejecting
+ */
+async function checkURL(url, options = {}) {
+  const client = options.client || createHttpClient();
+  const result = {
+    status: null,
+    finalURL: url,
+    redirects: 0,
+    contentType: null,
+    contentLength: null,
+    fileName: null,
+    error: null
+  };
+
+  try {
+    for (;;) {
+      let response = await client(result.finalURL, 'HEAD');
+      if (HEAD_REFUSED.includes(response.status)) {
+        response = await client(result.finalURL, 'GET');
+      }
+
+      const headers = response.headers || {};
+      result.status = response.status;
+
+      if (REDIRECT_STATUSES.includes(response.status) && headers.location) {
+        if (result.redirects === MAX_REDIRECTS) {
+          throw new Error(`more than ${MAX_REDIRECTS} redirects`);
+        }
+
+        const next = new URL(headers.location, result.finalURL).href;
+        if (!core.safeURL(next, null)) {
+          throw new Error(`redirects to a non-HTTP(S) URL: ${next}`);
+        }
+
+        result.finalURL = next;
+        result.redirects++;
+        continue;
+      }
+
+      result.contentType = headers['content-type'] || null;
+      result.contentLength = /^\d+$/.test(headers['content-length'] || '')
+        ? Number(headers['content-length'])
+        : null;
+      result.fileName = getFileName(headers['content-disposition'], [result.finalURL, url]);
+      return result;
+    }
+  } catch (err) {
+    result.error = err.message;
+    return result;
+  }
+}
+
+/**
+ * Name of the file a response serves: the Content-Disposition filename,
+ * else the last path segment of the first URL (final, then requested)
+ * that has an extension
+ */
+function getFileName(disposition, urls) {
+  const match = /filename\*=(?:UTF-8'')?([^;]+)|filename="?([^";]+)"?/i.exec(disposition || '');
+
+  if (match) {
+    return match[1] ? decode(match[1].trim()) : match[2].trim();
+  }
+
+  const names = urls.map(url => decode(new URL(url).pathname.split('/').pop()));
+  return names.find(name => name.includes('.')) || names[0] || null;
+}
+
+function decode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * URLs of a config to check: every installer, `homepage` and `fallback`,
+ * once per channel that uses them
+ *
+ * Returns: [{ kind: 'installer' | 'homepage' | 'fallback', url, channels,
+ * platform, arch, format }], `channels` listing the channels (none without
+ * channels)
+ */
+function listCheckTargets(config) {
+  const channels = core.listChannels(config);
+  const configs = channels.length
+    ? channels.map(name => [name, core.selectChannel(config, name)])
+    : [[null, config]];
+  const targets = new Map();
+
+  const add = (channel, target) => {
+    const key = JSON.stringify([target.kind, target.url, target.platform, target.arch, target.format]);
+    if (!targets.has(key)) targets.set(key, { ...target, channels: [] });
+    if (channel) targets.get(key).channels.push(channel);
+  };
+
+  configs.forEach(([channel, selected]) => {
+    core.listInstallers(selected.installers).forEach(installer => {
+      add(channel, {
+        kind: 'installer',
+        url: installer.url,
+        platform: installer.platform,
+        arch: installer.arch,
+        format: installer.format || null
+      });
+    });
+
+    ['homepage', 'fallback'].forEach(kind => {
+      if (selected[kind]) {
+        add(channel, { kind, url: selected[kind], platform: null, arch: null, format: null });
+      }
+    });
+  });
+
+  return Array.from(targets.values());
+}
+
+/**
+ * Warnings about a reachable URL: installers served as web pages or under
+ * a file name that does not suit their platform
+ */
+function listWarnings(target, result) {
+  if (target.kind !== 'installer') return [];
+
+  const extensions = core.getInstallerExtensions(target);
+  if (extensions.length === 0) return [];
+
+  const warnings = [];
+  const name = (result.fileName || '').toLowerCase();
+
+  if (/^text\/html\b/i.test(result.contentType || '')) {
+    warnings.push('served as text/html, not a download');
+  }
+
+  if (!extensions.some(ext => name.endsWith(ext))) {
+    const platform = core.getPlatformName(target.platform);
+    const expected = target.format ? `${platform} ${target.format}` : platform;
+    warnings.push(
+      `${result.fileName || 'the download'} does not look like a ${expected} installer (expected ${extensions.join(', ')})`
+    );
+  }
+
+  return warnings;
+}
+
+/**
+ * Check every URL of a config (see listCheckTargets())
+ * Each distinct URL is requested once, a few at a time.
+ *
+ * Options:
+ *   client        (url, method) => Promise<{ status, headers }>  (default: createHttpClient())
+ *   concurrency   requests in flight at once  (default: 4)
+ *
+ * Returns: Promise<{ ok, checked, failed, warnings, results }>, one result
+ * per target: the target plus status, finalURL, redirects, contentType,
+ * contentLength, fileName, error, ok and warnings. A result is ok when
+ * the final response is 2xx; warnings do not fail it.
+ */
+async function checkConfigURLs(config, options = {}) {
+  const client = options.client || createHttpClient();
+  const concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+  const targets = listCheckTargets(config);
+  const checks = new Map();
+  const queue = Array.from(new Set(targets.map(target => target.url)));
+
+  async function worker() {
+    while (queue.length) {
+      const url = queue.shift();
+      checks.set(url, await checkURL(url, { client }));
+    }
+  }
+
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, queue.length) }, worker)
+  );
+
+  const results = targets.map(target => {
+    const check = checks.get(target.url);
+    const ok = !check.error && check.status >= 200 && check.status < 300;
+
+    return {
+      ...target,
+      ...check,
+      ok,
+      warnings: ok ? listWarnings(target, check) : []
+    };
+  });
+
+  const failed = results.filter(result => !result.ok).length;
+
+  return {
+    ok: failed === 0,
+    checked: results.length,
+    failed,
+    warnings: results.reduce((sum, result) => sum + result.warnings.length, 0),
+    results
+  };
+}
+
+module.exports = {
+  createHttpClient,
+  checkURL,
+  listCheckTargets,
+  checkConfigURLs
+};
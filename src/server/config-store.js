@@ -0,0 +1,189 @@
+// ============================================================================
+// INSTALL BRIDGE - CONFIG STORE
+// Read-only named configs for short links (/p/<slug>/...)
+// Loaded from a directory or a JSON registry file, reloaded on change
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const core = require('../core/core');
+const { findConfigFile, loadConfigFile } = require('../node/config-loader');
+
+const SLUG = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+const RELOAD_DELAY = 100; // ms, coalesces bursts of file events
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Find configs in a directory
+ * `<dir>/<slug>.json` (or .yaml, .yml, .toml) and a config file in
+ * `<dir>/<slug>/` both work.
+ * Returns: [{ slug, file }]
+ */
+function scanDirectory(dir) {
+  const entries = [];
+
+  fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+    const format = entry.isFile() && core.getConfigFormat(entry.name);
+
+    if (format) {
+      entries.push({
+        slug: entry.name.slice(0, -path.extname(entry.name).length),
+        file: path.join(dir, entry.name)
+      });
+    } else if (entry.isDirectory()) {
+      let file = null;
+      try {
+        file = findConfigFile(path.join(dir, entry.name));
+      } catch (err) {
+        entries.push({ slug: entry.name, error: err.message });
+      }
+      if (file) entries.push({ slug: entry.name, file });
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Read a registry file mapping slugs to inline configs or config paths
+ * Paths are relative to the registry file.
+ * Returns: [{ slug, file } | { slug, config }]
+ */
+function readRegistry(registryFile) {
+  const registry = JSON.parse(fs.readFileSync(registryFile, 'utf8'));
+
+  if (!registry || typeof registry !== 'object' || Array.isArray(registry)) {
+    throw new Error('registry must map slugs to configs or config paths');
+  }
+
+  return Object.keys(registry).map(slug => {
+    const value = registry[slug];
+    return typeof value === 'string'
+      ? { slug, file: path.resolve(path.dirname(registryFile), value) }
+      : { slug, config: value };
+  });
+}
+
+/**
+ * Load an entry, resolving `extends`
+ * Inline registry configs extend paths relative to the registry file.
+ * Sets `entry.files` to the files it was read from, so those get watched.
+ */
+function loadEntry(entry, registryFile) {
+  if (entry.error) {
+    throw new Error(entry.error);
+  }
+
+  const result = entry.file
+    ? loadConfigFile(entry.file)
+    : loadConfigFile(registryFile, { config: entry.config });
+
+  entry.files = result.files;
+
+  if (!result.success) {
+    throw new Error(result.errors.map(core.formatIssue).join(', '));
+  }
+
+  return result.config;
+}
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+/**
+ * Create a config store from a directory or registry file
+ *
+ * Options:
+ *   watch   reload when files change  (default: true)
+ *   log     warning sink              (default: console.warn)
+ *
+ * A config that fails to load keeps serving its last good version.
+ */
+function createConfigStore(source, options = {}) {
+  const root = path.resolve(source);
+  const isRegistry = fs.statSync(root).isFile();
+  const watch = options.watch !== false;
+  const log = options.log || (message => console.warn(`⚠ ${message}`));
+
+  let configs = new Map();
+  let watchers = [];
+  let timer = null;
+
+  function reload() {
+    let entries;
+
+    try {
+      entries = isRegistry ? readRegistry(root) : scanDirectory(root);
+    } catch (err) {
+      log(`Could not read ${root}: ${err.message}`);
+      return;
+    }
+
+    const next = new Map();
+
+    entries.forEach(entry => {
+      if (!SLUG.test(entry.slug)) {
+        log(`Skipping invalid slug: ${entry.slug}`);
+        return;
+      }
+
+      try {
+        next.set(entry.slug, loadEntry(entry, root));
+      } catch (err) {
+        log(`Invalid config for ${entry.slug}: ${err.message}`);
+        if (configs.has(entry.slug)) next.set(entry.slug, configs.get(entry.slug));
+      }
+    });
+
+    configs = next;
+
+    if (watch) rewatch(entries);
+  }
+
+  // Watch directories rather than files so editors that save by rename
+  // are still picked up
+  function rewatch(entries) {
+    const dirs = new Set([isRegistry ? path.dirname(root) : root]);
+    entries.forEach(entry => {
+      (entry.files || []).forEach(file => dirs.add(path.dirname(file)));
+    });
+
+    close();
+
+    dirs.forEach(dir => {
+      try {
+        const watcher = fs.watch(dir, scheduleReload);
+        watcher.on('error', () => {});
+        watchers.push(watcher);
+      } catch (err) {
+        log(`Could not watch ${dir}: ${err.message}`);
+      }
+    });
+  }
+
+  function scheduleReload() {
+    clearTimeout(timer);
+    timer = setTimeout(reload, RELOAD_DELAY);
+  }
+
+  function close() {
+    clearTimeout(timer);
+    watchers.forEach(watcher => watcher.close());
+    watchers = [];
+  }
+
+  reload();
+
+  return {
+    get: slug => configs.get(slug) || null,
+    slugs: () => Array.from(configs.keys()).sort(),
+    reload,
+    close
+  };
+}
+
+module.exports = { createConfigStore };
@@ -1,16 +1,24 @@
 // ============================================================================
 // INSTALL BRIDGE - HTTP SERVER
-// Thin, stateless HTTP wrapper around core logic
+// Thin HTTP wrapper around core logic; stateless apart from an optional
+// read-only store of named configs
 // Production-ready: defensive parsing, safe headers, correct status handling
 // ============================================================================
 
 const http = require('http');
 const url = require('url');
-const core = require('./core');
+const core = require('../core/core');
+const { generateInstallPage } = require('../core/page');
+const { createHttpFetcher, createReleaseResolver } = require('../node/release-resolver');
+const { createConfigStore } = require('./config-store');
+const { verifySignature } = require('../node/signing');
 
 const PORT = Number(process.env.PORT) || 3000;
 const MAX_CONFIG_SIZE = 8 * 1024; // 8KB safety limit
 
+// Client Hints requested from browsers for architecture detection
+const ARCH_HINTS = 'Sec-CH-UA-Arch, Sec-CH-UA-Bitness';
+
 // ============================================================================
 // UTILITIES
 // ============================================================================
@@ -37,54 +45,228 @@ function decodeConfig(param) {
   return buf.toString('utf8');
 }
 
-function parseConfigFromRequest(req) {
-  const params = url.parse(req.url, true).query;
-  const json = decodeConfig(params.config);
+function decodeAndParseConfig(context, param, sig) {
+  if (context.secret && !verifySignature(param, sig, context.secret)) {
+    const err = new Error('Invalid or missing signature');
+    err.status = 403;
+    throw err;
+  }
+
+  const json = decodeConfig(param);
   const result = core.parseConfig(json);
 
   if (!result.success) {
-    throw new Error(`Invalid config: ${result.errors.join(', ')}`);
+    throw new Error(`Invalid config: ${result.errors.map(core.formatIssue).join(', ')}`);
+  }
+
+  // The server never reads files on a URL's behalf
+  if (result.config.extends !== undefined) {
+    throw new Error('Invalid config: extends is only resolved from config files; send the merged config');
   }
 
   return result.config;
 }
 
+function loadStoredConfig(context, slug) {
+  const config = context.store && context.store.get(slug);
+
+  if (!config) {
+    const err = new Error(`Unknown project: ${slug}`);
+    err.status = 404;
+    throw err;
+  }
+
+  return config;
+}
+
+/**
+ * Host allowlist entries match exactly; `*.example.com` matches subdomains
+ */
+function isAllowedHost(host, patterns) {
+  return patterns.some(pattern =>
+    pattern.startsWith('*.')
+      ? host.endsWith(pattern.slice(1))
+      : host === pattern
+  );
+}
+
+function assertAllowedHosts(context, config) {
+  if (!context.allowedHosts) return;
+
+  core.listConfigURLs(config).forEach(link => {
+    const { hostname } = new URL(link);
+
+    if (!isAllowedHost(hostname.toLowerCase(), context.allowedHosts)) {
+      const err = new Error(`Host not allowed: ${hostname}`);
+      err.status = 403;
+      throw err;
+    }
+  });
+}
+
+/**
+ * Load the config for a request: a named config when `slug` is given,
+ * otherwise the base64 `?config=` parameter
+ */
+function parseConfigFromRequest(context, req, slug = null) {
+  const params = url.parse(req.url, true).query;
+  const base = slug
+    ? loadStoredConfig(context, slug)
+    : decodeAndParseConfig(context, params.config, params.sig);
+
+  const config = core.selectChannel(base, params.channel || null);
+
+  if (!config) {
+    throw new Error(`Unknown channel: ${params.channel}`);
+  }
+
+  return config;
+}
+
 // ============================================================================
 // HANDLERS
 // ============================================================================
 
-function handleBadge(req, res) {
+/**
+ * Serve a badge as SVG or, with `format` 'png', as a PNG (`?scale=1..4`)
+ */
+function handleBadge(context, req, res, slug = null, format = 'svg') {
   try {
-    const config = parseConfigFromRequest(req);
-    const svg = core.generateBadge(config);
+    const config = parseConfigFromRequest(context, req, slug);
+
+    const { lang, scale } = url.parse(req.url, true).query;
+
+    // `logo: "auto"` and {size} badges depend on the visitor's platform
+    const perPlatform = core.isPlatformBadge(config);
+    const os = perPlatform ? core.detectOS(req.headers['user-agent']) : 'unknown';
+    // Accept-Language only applies to configs with `i18n`, so plain badges
+    // stay cacheable regardless of the visitor's language. A `?lang=` that
+    // picks no locale is ignored, leaving the badge to Accept-Language.
+    const chosen = core.matchLocale(config, lang);
+    const negotiate = !chosen && config.i18n !== undefined;
+    const locale = chosen || (negotiate
+      ? getRequestLocale(req, config)
+      : core.resolveLocale(config));
+    const vary = [
+      ...(perPlatform ? ['User-Agent'] : []),
+      ...(negotiate ? ['Accept-Language'] : [])
+    ];
+    const headers = {
+      'Cache-Control': 'public, max-age=3600',
+      ...(vary.length ? { Vary: vary.join(', ') } : {})
+    };
+
+    if (format === 'png') {
+      const png = core.generateBadgePNG(config, { os, locale, scale: Number(scale) || 1 });
+
+      send(res, 200, Buffer.from(png), { ...headers, 'Content-Type': 'image/png' });
+      return;
+    }
 
-    send(res, 200, svg, {
+    send(res, 200, core.generateBadge(config, { os, locale }), {
+      ...headers,
       'Content-Type': 'image/svg+xml; charset=utf-8',
-      'Cache-Control': 'public, max-age=3600'
+      // Badges never need scripts, even when opened directly
+      'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; img-src data:"
     });
   } catch (err) {
-    send(res, 400, err.message, { 'Content-Type': 'text/plain' });
+    send(res, err.status || 400, err.message, { 'Content-Type': 'text/plain' });
   }
 }
 
-function handleInstall(req, res) {
+/**
+ * Redirect to the visitor's installer, or show the install page
+ * `platform` comes from /install/<platform>; `?os=`, `?arch=` and
+ * `?distro=` override detection the same way. Detected visitors wait out
+ * `page.countdown` first, so they can switch platforms.
+ */
+async function handleInstall(context, req, res, slug = null, platform = null) {
+  let config;
+
   try {
-    const config = parseConfigFromRequest(req);
-    const ua = req.headers['user-agent'] || '';
-    const os = core.detectOS(ua);
-    const target = core.getInstallTarget(config, os);
+    config = parseConfigFromRequest(context, req, slug);
+  } catch (err) {
+    send(res, err.status || 400, err.message, { 'Content-Type': 'text/plain' });
+    return;
+  }
+
+  // Release lookups spend the operator's API quota and GITHUB_TOKEN, so
+  // only configs the operator vouches for may ask for them
+  if (config.source && !slug && !context.secret) {
+    send(res, 403, 'source is only resolved for named or signed configs', {
+      'Content-Type': 'text/plain'
+    });
+    return;
+  }
+
+  try {
+    config = (await context.resolver.resolve(config)).config;
+  } catch (err) {
+    send(res, 502, `Could not resolve release: ${err.message}`, {
+      'Content-Type': 'text/plain'
+    });
+    return;
+  }
 
-    if (target.available) {
-      send(res, 302, '', { Location: target.url });
+  try {
+    assertAllowedHosts(context, config);
+  } catch (err) {
+    send(res, err.status || 400, err.message, { 'Content-Type': 'text/plain' });
+    return;
+  }
+
+  try {
+    const query = url.parse(req.url, true).query;
+    const ua = req.headers['user-agent'] || '';
+    const detected = {
+      os: core.detectOS(ua),
+      arch: core.detectArch(ua, {
+        arch: req.headers['sec-ch-ua-arch'],
+        bitness: req.headers['sec-ch-ua-bitness']
+      }),
+      distro: core.detectDistro(ua)
+    };
+    const overrides = { os: platform || query.os, arch: query.arch, distro: query.distro };
+    const { client, errors } = core.applyClientOverrides(detected, overrides);
+
+    if (errors.length) {
+      send(res, 400, errors.join('\n'), { 'Content-Type': 'text/plain' });
       return;
     }
 
-    if (target.fallback) {
-      send(res, 302, '', { Location: target.fallback });
+    const result = core.resolveInstallAction(config, client);
+    const chosen = Object.values(overrides).some(Boolean);
+    const seconds = config.page && config.page.countdown;
+
+    // `?page=1` shows the landing page instead of redirecting
+    const forcePage = ['1', 'true'].includes(query.page);
+
+    // Critical-CH lets Chromium retry the first visit with hints attached
+    const hintHeaders = {
+      'Accept-CH': ARCH_HINTS,
+      'Critical-CH': ARCH_HINTS,
+      Vary: `User-Agent, ${ARCH_HINTS}`
+    };
+
+    if (!forcePage && result.action === 'redirect' && (chosen || !seconds)) {
+      send(res, 302, '', { ...hintHeaders, Location: result.url });
       return;
     }
 
-    send(res, 200, generateFallbackPage(config, os), {
+    const messages = core.getMessages(config, getRequestLocale(req, config));
+    const page = generateInstallPage(config, {
+      client,
+      messages,
+      platformURL: os => getPlatformURL(req, os, platform !== null),
+      countdown: !forcePage && result.action === 'redirect'
+        ? { url: result.url, seconds }
+        : null
+    });
+
+    send(res, 200, page, {
+      ...hintHeaders,
+      Vary: `${hintHeaders.Vary}, Accept-Language`,
+      'Content-Language': messages.locale,
       'Content-Type': 'text/html; charset=utf-8'
     });
 
@@ -93,86 +275,33 @@ function handleInstall(req, res) {
   }
 }
 
-function generateFallbackPage(config, detectedOS) {
-  const platformNames = {
-    darwin: 'macOS',
-    linux: 'Linux',
-    win32: 'Windows'
-  };
+/**
+ * Relative link from an install page to /install/<os>
+ * Keeps the config, channel and language; drops the visitor overrides.
+ */
+function getPlatformURL(req, os, fromPlatformPage) {
+  const query = url.parse(req.url, true).query;
+  const params = new URLSearchParams();
 
-  const installers = config.installers || {};
-  const platforms = Object.keys(installers);
+  ['config', 'sig', 'channel', 'lang'].forEach(key => {
+    if (typeof query[key] === 'string' && query[key]) params.set(key, query[key]);
+  });
 
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-<meta charset="UTF-8">
-<meta name="viewport" content="width=device-width, initial-scale=1.0">
-<title>Install ${config.name}</title>
-<style>
-body {
-  font-family: -apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;
-  background:#f5f5f5;
-  display:flex;
-  align-items:center;
-  justify-content:center;
-  min-height:100vh;
-  margin:0;
-  padding:20px;
-}
-.container {
-  background:white;
-  border-radius:8px;
-  box-shadow:0 4px 12px rgba(0,0,0,0.1);
-  max-width:520px;
-  width:100%;
-  padding:40px;
-  text-align:center;
-}
-h1 { margin-bottom:10px; }
-.notice {
-  color:#d73a49;
-  margin-bottom:20px;
-}
-a.btn {
-  display:block;
-  margin:10px 0;
-  padding:14px 20px;
-  background:#0366d6;
-  color:white;
-  text-decoration:none;
-  border-radius:6px;
-  font-weight:500;
-}
-a.btn:hover { background:#0256c1; }
-.footer {
-  margin-top:30px;
-  font-size:14px;
-  color:#666;
+  const search = params.toString();
+  return `${fromPlatformPage ? '' : 'install/'}${os}${search ? `?${search}` : ''}`;
 }
-</style>
-</head>
-<body>
-<div class="container">
-<h1>Install ${config.name}</h1>
-${detectedOS !== 'unknown'
-  ? `<p>Detected OS: ${platformNames[detectedOS] || detectedOS}</p>`
-  : ''}
-${detectedOS !== 'unknown' && !installers[detectedOS]
-  ? `<p class="notice">No installer available for your platform</p>`
-  : ''}
-${platforms.map(p =>
-  `<a class="btn" href="${installers[p]}">Download for ${platformNames[p] || p}</a>`
-).join('')}
-${config.homepage
-  ? `<div class="footer"><a href="${config.homepage}">Learn more →</a></div>`
-  : ''}
-</div>
-</body>
-</html>`;
+
+/**
+ * Locale from `?lang=`, then Accept-Language, then the config default
+ */
+function getRequestLocale(req, config) {
+  return core.resolveLocale(config, {
+    lang: url.parse(req.url, true).query.lang,
+    acceptLanguage: req.headers['accept-language']
+  });
 }
 
-function handleRoot(req, res) {
+function handleRoot(context, req, res) {
   send(res, 200, `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -195,8 +324,20 @@ code { background:#f5f5f5; padding:2px 6px; border-radius:4px; }
 <p>Stateless HTTP interface for Install Bridge.</p>
 <ul>
 <li><code>GET /badge.svg?config=&lt;base64&gt;</code></li>
-<li><code>GET /install?config=&lt;base64&gt;</code></li>
+<li><code>GET /badge.png?config=&lt;base64&gt;&amp;scale=&lt;1-4&gt;</code></li>
+<li><code>GET /install?config=&lt;base64&gt;</code> (add <code>&amp;page=1</code> to show the landing page instead of redirecting)</li>
+<li><code>GET /install/&lt;platform&gt;?config=&lt;base64&gt;</code> for one platform: ${core.listPlatforms().join(', ')}</li>
 </ul>
+<p>Add <code>&amp;channel=&lt;name&gt;</code> to either route to select a release channel.</p>
+<p>Add <code>&amp;lang=&lt;tag&gt;</code> to pick the language; otherwise <code>Accept-Language</code> decides.</p>
+<p>Add <code>&amp;os=</code>, <code>&amp;arch=</code> or <code>&amp;distro=</code> to <code>/install</code> to override detection.</p>
+${context.secret ? '<p>This server only accepts signed configs (<code>&amp;sig=&lt;hmac&gt;</code>).</p>' : ''}
+${context.store ? `<h2>Named projects</h2>
+<ul>
+${context.store.slugs().map(slug =>
+  `<li><code>/p/${slug}/badge.svg</code> · <code>/p/${slug}/badge.png</code> · <code>/p/${slug}/install</code> · <code>/p/${slug}/install/&lt;platform&gt;</code></li>`
+).join('\n')}
+</ul>` : ''}
 </body>
 </html>`, {
     'Content-Type': 'text/html; charset=utf-8'
@@ -207,7 +348,7 @@ code { background:#f5f5f5; padding:2px 6px; border-radius:4px; }
 // ROUTER
 // ============================================================================
 
-function handleRequest(req, res) {
+function handleRequest(context, req, res) {
   const { pathname } = url.parse(req.url);
 
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -219,9 +360,23 @@ function handleRequest(req, res) {
     return;
   }
 
-  if (pathname === '/badge.svg') return handleBadge(req, res);
-  if (pathname === '/install') return handleInstall(req, res);
-  if (pathname === '/') return handleRoot(req, res);
+  if (pathname === '/badge.svg') return handleBadge(context, req, res);
+  if (pathname === '/badge.png') return handleBadge(context, req, res, null, 'png');
+  if (pathname === '/install') return handleInstall(context, req, res);
+  if (pathname === '/') return handleRoot(context, req, res);
+
+  const named = pathname && pathname.match(/^\/p\/([^/]+)\/(badge\.(svg|png)|install)$/);
+  if (named) {
+    return named[2] === 'install'
+      ? handleInstall(context, req, res, named[1])
+      : handleBadge(context, req, res, named[1], named[3]);
+  }
+
+  // /install/<platform> and /p/<slug>/install/<platform>
+  const chosen = pathname && pathname.match(/^(?:\/p\/([^/]+))?\/install\/([^/]+)$/);
+  if (chosen && core.listPlatforms().includes(chosen[2])) {
+    return handleInstall(context, req, res, chosen[1] || null, chosen[2]);
+  }
 
   send(res, 404, 'Not Found', { 'Content-Type': 'text/plain' });
 }
@@ -230,10 +385,56 @@ function handleRequest(req, res) {
 // SERVER
 // ============================================================================
 
-function startServer() {
-  const server = http.createServer(handleRequest);
-  server.listen(PORT, () => {
-    console.log(`🚀 Install Bridge server running on http://localhost:${PORT}`);
+/**
+ * Start a server
+ * Each server keeps its settings and named configs in its own context, so
+ * servers started in one process do not affect each other.
+ *
+ * Options (environment variable in brackets):
+ *   configs       directory or registry file of named configs
+ *                 served under /p/<slug>/  [INSTALL_BRIDGE_CONFIGS]
+ *   secret        HMAC key; base64 configs then need a valid `sig`
+ *                 [INSTALL_BRIDGE_SECRET]
+ *   allowedHosts  hosts /install may redirect to, comma-separated in
+ *                 the environment  [INSTALL_BRIDGE_ALLOWED_HOSTS]
+ *   resolver      release resolver for `source`  (default: GitHub, with
+ *                 GITHUB_TOKEN if set)
+ */
+function startServer(options = {}) {
+  const configs = options.configs || process.env.INSTALL_BRIDGE_CONFIGS;
+  const hosts = options.allowedHosts || process.env.INSTALL_BRIDGE_ALLOWED_HOSTS;
+
+  const context = {
+    // Named configs for /p/<slug>/... routes
+    store: configs ? createConfigStore(configs) : null,
+    // Signed mode: base64 configs need an HMAC `sig`
+    secret: options.secret || process.env.INSTALL_BRIDGE_SECRET || null,
+    // Hosts /install may send visitors to; null allows any
+    allowedHosts: hosts
+      ? (Array.isArray(hosts) ? hosts : hosts.split(','))
+        .map(host => host.trim().toLowerCase())
+        .filter(Boolean)
+      : null,
+    // Only named and signed configs reach it (see handleInstall)
+    resolver: options.resolver || createReleaseResolver({
+      fetcher: createHttpFetcher({ token: process.env.GITHUB_TOKEN })
+    })
+  };
+
+  if (context.store) {
+    console.log(`📁 Serving ${context.store.slugs().length} named config(s) from ${configs}`);
+  }
+
+  if (context.secret) {
+    console.log('🔏 Signed mode: base64 configs require a valid sig');
+  }
+
+  const server = http.createServer((req, res) => handleRequest(context, req, res));
+  server.on('close', () => {
+    if (context.store) context.store.close();
+  });
+  server.listen(options.port !== undefined ? options.port : PORT, () => {
+    console.log(`🚀 Install Bridge server running on http://localhost:${server.address().port}`);
   });
   return server;
 }
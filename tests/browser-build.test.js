@@ -0,0 +1,156 @@
+// ============================================================================
+// INSTALL BRIDGE - BROWSER BUILD TESTS
+// Checks the UMD and ESM bundles behave exactly like the Node core
+// Production-ready: exits non-zero on failure (CI-friendly)
+// ============================================================================
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { pathToFileURL } = require('url');
+const core = require('../src/core/core');
+const { collectModules, buildBrowser } = require('../scripts/build-browser');
+
+// Track failures so CI can fail properly
+let HAS_FAILURES = false;
+const TESTS = [];
+
+// Async test runner: tests run in order, one at a time
+function test(name, fn) {
+  TESTS.push({ name, fn });
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+async function run() {
+  for (const { name, fn } of TESTS) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+    } catch (err) {
+      HAS_FAILURES = true;
+      console.error(`❌ ${name}`);
+      console.error(`   ${err && err.message ? err.message : String(err)}`);
+    }
+  }
+}
+
+// Ensure process exits non-zero if any test fails
+process.on('exit', () => {
+  if (HAS_FAILURES) {
+    console.error('\n❌ Some tests failed\n');
+    process.exitCode = 1;
+  }
+});
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+console.log('\n🧪 Running Install Bridge Browser Build Tests\n');
+
+const CONFIG = {
+  name: 'TestApp',
+  version: '1.0.0',
+  installers: {
+    darwin: 'https://example.com/app.dmg',
+    win32: { x64: 'https://example.com/app-x64.exe', arm64: 'https://example.com/app-arm64.exe' }
+  },
+  badge: { style: 'for-the-badge', logo: 'auto', message: '{version}' }
+};
+
+const files = buildBrowser();
+
+// Browser globals the core relies on; bare vm contexts lack them
+const BROWSER = { URL };
+
+/**
+ * The same calls against a build and the Node core must agree
+ */
+function assertMatchesCore(build) {
+  assert(
+    JSON.stringify(build.validateConfig({ name: 1 })) === JSON.stringify(core.validateConfig({ name: 1 })),
+    'validateConfig should match'
+  );
+  assert(
+    build.generateBadge(CONFIG, { os: 'darwin', locale: 'de' }) === core.generateBadge(CONFIG, { os: 'darwin', locale: 'de' }),
+    'generateBadge should match'
+  );
+  assert(
+    Buffer.from(build.generateBadgePNG(CONFIG)).equals(Buffer.from(core.generateBadgePNG(CONFIG))),
+    'generateBadgePNG should match'
+  );
+  assert(
+    JSON.stringify(build.generateSnippets(CONFIG)) === JSON.stringify(core.generateSnippets(CONFIG)),
+    'generateSnippets should match'
+  );
+}
+
+test('collectModules: bundles the core and its sibling modules', () => {
+  const ids = collectModules().map(m => m.id);
+  assert(ids[0] === './core', 'The core comes first');
+  ['./text-width', './colors', './icons', './raster', './bitmap-font', './i18n', './formats', './schema', './install-bridge.schema.json'].forEach(id => {
+    assert(ids.includes(id), `Should bundle ${id}`);
+  });
+  assert(!ids.includes('./page'), 'Should leave out modules the core does not use');
+});
+
+test('collectModules: rejects Node built-ins and packages', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ib-build-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'core.js'), "const fs = require('fs');\n");
+    let error = null;
+    try {
+      collectModules(dir);
+    } catch (err) {
+      error = err;
+    }
+    assert(error && error.message.includes('requires "fs"'), 'Should fail the build');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('UMD: registers window.InstallBridge from a script tag', () => {
+  const window = { ...BROWSER };
+  window.self = window;
+  vm.runInNewContext(files['install-bridge.js'], window);
+
+  assert(window.InstallBridge, 'Should set the global');
+  assertMatchesCore(window.InstallBridge);
+});
+
+test('UMD: exports through CommonJS and AMD', () => {
+  const module = { exports: {} };
+  vm.runInNewContext(files['install-bridge.js'], { ...BROWSER, module, exports: module.exports });
+  assertMatchesCore(module.exports);
+
+  let defined = null;
+  const define = (deps, factory) => { defined = factory(); };
+  define.amd = true;
+  vm.runInNewContext(files['install-bridge.js'], { ...BROWSER, define });
+  assert(defined && typeof defined.generateBadge === 'function', 'Should define an AMD module');
+});
+
+test('ESM: exports the core as default and named exports', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ib-build-'));
+  try {
+    const file = path.join(dir, 'install-bridge.mjs');
+    fs.writeFileSync(file, files['install-bridge.mjs']);
+    const build = await import(pathToFileURL(file).href);
+
+    assertMatchesCore(build.default);
+    Object.keys(core).forEach(name => {
+      assert(typeof build[name] === typeof core[name], `Should export ${name}`);
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+run().then(() => console.log('\n✨ All tests completed\n'));
@@ -0,0 +1,104 @@
+// ============================================================================
+// INSTALL BRIDGE - CLI ARGUMENT TESTS
+// Production-ready: exits non-zero on failure (CI-friendly)
+// ============================================================================
+
+const { parseArgs } = require('../src/node/cli-args');
+
+// Track failures so CI can fail properly
+let HAS_FAILURES = false;
+
+// Simple test runner
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (err) {
+    HAS_FAILURES = true;
+    console.error(`❌ ${name}`);
+    console.error(`   ${err && err.message ? err.message : String(err)}`);
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function throws(fn, expected) {
+  try {
+    fn();
+  } catch (err) {
+    assert(err.message === expected, `Expected "${expected}", got "${err.message}"`);
+    return;
+  }
+  throw new Error(`Expected "${expected}"`);
+}
+
+// Ensure process exits non-zero if any test fails
+process.on('exit', () => {
+  if (HAS_FAILURES) {
+    console.error('\n❌ Some tests failed\n');
+    process.exitCode = 1;
+  }
+});
+
+const SPEC = {
+  options: {
+    config: { type: 'string', short: 'c' },
+    out: { type: 'string', short: 'o' },
+    json: { type: 'boolean' },
+    quiet: { type: 'boolean', short: 'q' }
+  },
+  positionals: 1
+};
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+console.log('\n🧪 Running Install Bridge CLI Argument Tests\n');
+
+test('parseArgs: defaults booleans to false and strings to null', () => {
+  const { options, positionals } = parseArgs([], SPEC);
+  assert(options.json === false && options.quiet === false, 'Booleans');
+  assert(options.config === null && options.out === null, 'Strings');
+  assert(positionals.length === 0, 'No positionals');
+});
+
+test('parseArgs: reads every spelling of an option', () => {
+  const { options, positionals } = parseArgs(
+    ['MyApp', '--config', 'a.json', '--out=dist/badge.svg', '-q', '--json'],
+    SPEC
+  );
+  assert(options.config === 'a.json', '--name value');
+  assert(options.out === 'dist/badge.svg', '--name=value');
+  assert(options.quiet && options.json, 'Flags and short flags');
+  assert(positionals.join() === 'MyApp', 'Positionals around options');
+
+  assert(parseArgs(['-c', 'b.yaml'], SPEC).options.config === 'b.yaml', 'Short string options');
+  assert(parseArgs(['-c', 'a', '-c', 'b'], SPEC).options.config === 'b', 'Later values win');
+  assert(parseArgs(['--out=a=b'], SPEC).options.out === 'a=b', 'Only the first = splits');
+});
+
+test('parseArgs: treats everything after -- as positionals', () => {
+  const { options, positionals } = parseArgs(['--', '--json'], SPEC);
+  assert(!options.json && positionals.join() === '--json', 'Should not parse after --');
+});
+
+test('parseArgs: rejects unknown options and extra arguments', () => {
+  throws(() => parseArgs(['--conifg', 'a.json'], SPEC), 'Unknown option: --conifg');
+  throws(() => parseArgs(['-x'], SPEC), 'Unknown option: -x');
+  throws(() => parseArgs(['a', 'b'], SPEC), 'Unexpected argument: b');
+  throws(() => parseArgs(['a'], { options: {} }), 'Unexpected argument: a');
+});
+
+test('parseArgs: rejects missing and unexpected values', () => {
+  throws(() => parseArgs(['--config'], SPEC), '--config needs a value');
+  throws(() => parseArgs(['--config', '--json'], SPEC), '--config needs a value');
+  throws(() => parseArgs(['--config='], SPEC), '--config needs a value');
+  throws(() => parseArgs(['--json=false'], SPEC), '--json does not take a value');
+});
+
+console.log('\n✨ All tests completed\n');
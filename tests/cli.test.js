@@ -0,0 +1,253 @@
+// ============================================================================
+// INSTALL BRIDGE - CLI TESTS
+// Runs bin/install-bridge.js in a temporary directory and checks exit
+// codes, JSON output and path options
+// Production-ready: exits non-zero on failure (CI-friendly)
+// ============================================================================
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'bin', 'install-bridge.js');
+
+// Track failures so CI can fail properly
+let HAS_FAILURES = false;
+const TESTS = [];
+
+// Async test runner: tests run in order, one at a time
+function test(name, fn) {
+  TESTS.push({ name, fn });
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+async function run() {
+  for (const { name, fn } of TESTS) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+    } catch (err) {
+      HAS_FAILURES = true;
+      console.error(`❌ ${name}`);
+      console.error(`   ${err && err.message ? err.message : String(err)}`);
+    }
+  }
+}
+
+// Ensure process exits non-zero if any test fails
+process.on('exit', () => {
+  if (HAS_FAILURES) {
+    console.error('\n❌ Some tests failed\n');
+    process.exitCode = 1;
+  }
+});
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'install-bridge-cli-'));
+
+function write(file, value) {
+  const full = path.join(root, file);
+  fs.mkdirSync(path.dirname(full), { recursive: true });
+  fs.writeFileSync(full, typeof value === 'string' ? value : JSON.stringify(value));
+  return full;
+}
+
+/**
+ * Run the CLI in `root`
+ * Resolves with { code, stdout, stderr }; `json` is stdout parsed, if it
+ * parses.
+ */
+function cli(...args) {
+  return cliWithEnv({}, ...args);
+}
+
+/**
+ * cli() with extra environment variables
+ */
+function cliWithEnv(env, ...args) {
+  const options = { cwd: root, timeout: 30000, env: { ...process.env, ...env } };
+
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args], options, (err, stdout, stderr) => {
+      let json = null;
+      try {
+        json = JSON.parse(stdout);
+      } catch (e) {
+        // Not every command prints JSON
+      }
+      resolve({ code: err ? err.code : 0, stdout, stderr, json });
+    });
+  });
+}
+
+write('packages/app/install-bridge.json', {
+  name: 'App',
+  installers: { darwin: 'https://example.com/app.dmg' }
+});
+
+write('packages/tool/install-bridge.yaml', [
+  'name: Tool',
+  'installers:',
+  '  ios: https://example.com/not-a-store',
+  'badge:',
+  '  colour: red'
+].join('\n'));
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+console.log('\n🧪 Running Install Bridge CLI Tests\n');
+
+test('exit codes: 0 on success, 1 on failure, 2 on usage errors', async () => {
+  const valid = await cli('validate', '--cwd', 'packages/app');
+  assert(valid.code === 0, `Valid config exits 0, got ${valid.code}: ${valid.stderr}`);
+  assert(valid.stdout.includes('✔ Config is valid'), 'Should say so');
+
+  const invalid = await cli('validate', '--cwd', 'packages/tool');
+  assert(invalid.code === 1, `Invalid config exits 1, got ${invalid.code}`);
+  assert(
+    invalid.stderr.includes('- install-bridge.yaml: /installers/ios: must be an App Store URL'),
+    `Should list the errors: ${invalid.stderr}`
+  );
+
+  const none = await cli('validate');
+  assert(none.code === 1 && none.stderr.includes('No config in current directory'), 'Missing config exits 1');
+
+  for (const args of [['frob'], ['validate', '--bogus'], ['validate', 'extra'], ['verify'], ['generate', '--format', 'gif']]) {
+    const result = await cli(...args);
+    assert(result.code === 2, `${args.join(' ')} exits 2, got ${result.code}`);
+  }
+
+  const help = await cli('generate', '--help');
+  assert(help.code === 0 && help.stdout.includes('--out <path>'), 'Help exits 0');
+});
+
+test('--json: prints one result object on stdout', async () => {
+  const valid = await cli('validate', '--cwd', 'packages/app', '--json');
+  assert(valid.json && valid.json.ok === true, `Should print ok: ${valid.stdout}`);
+  assert(valid.json.file === 'install-bridge.json' && Array.isArray(valid.json.warnings), 'Should name the file');
+  assert(valid.stderr.includes('✔ Config is valid'), 'Progress goes to stderr');
+
+  const invalid = await cli('validate', '--config', 'packages/tool', '--json');
+  assert(invalid.code === 1 && invalid.json.ok === false, 'Failures print ok: false');
+  assert(invalid.json.error === 'Invalid config', `Unexpected error: ${invalid.json.error}`);
+  assert(
+    invalid.json.errors.some(e => e.file === 'packages/tool/install-bridge.yaml' && e.path === '/installers/ios'),
+    'Errors are { file, path, message } issues'
+  );
+  assert(invalid.json.warnings.some(w => w.path === '/badge/colour'), 'Warnings come along');
+
+  const usage = await cli('validate', '--bogus', '--json');
+  assert(usage.code === 2 && usage.json.ok === false && usage.json.error.startsWith('Unknown option: --bogus'), 'Usage errors are JSON too');
+
+  const generated = await cli('generate', '--cwd', 'packages/app', '--out', 'docs/badge.svg', '--json');
+  assert(generated.code === 0, `generate exits 0: ${generated.stdout}${generated.stderr}`);
+  assert(generated.json.files.join() === 'docs/badge.svg', `Should list the badge: ${generated.json.files}`);
+  assert(generated.json.snippets.markdown.includes('(./docs/badge.svg)'), 'Snippets link the badge');
+  assert(fs.existsSync(path.join(root, 'packages/app/docs/badge.svg')), 'Should write under --cwd');
+});
+
+test('init: refuses to overwrite a config without --force', async () => {
+  const created = await cli('init', 'Fresh', '--cwd', 'packages/new', '--json');
+  assert(created.code === 1 && created.json.error.startsWith('Not a directory'), '--cwd must exist');
+
+  fs.mkdirSync(path.join(root, 'packages/new'));
+  const first = await cli('init', 'Fresh', '--cwd', 'packages/new');
+  const file = path.join(root, 'packages/new/install-bridge.json');
+  assert(first.code === 0 && JSON.parse(fs.readFileSync(file, 'utf8')).name === 'Fresh', 'Should create the config');
+
+  fs.writeFileSync(file, '{ "name": "Edited" }');
+  const again = await cli('init', 'Fresh', '--cwd', 'packages/new');
+  assert(again.code === 1 && again.stderr.includes('already exists; pass --force'), `Should refuse: ${again.stderr}`);
+  assert(fs.readFileSync(file, 'utf8') === '{ "name": "Edited" }', 'Should leave the file alone');
+
+  const forced = await cli('init', 'Fresh', '--cwd', 'packages/new', '--force');
+  assert(forced.code === 0 && JSON.parse(fs.readFileSync(file, 'utf8')).name === 'Fresh', 'Should overwrite with --force');
+
+  const beside = await cli('init', '--cwd', 'packages/tool', '--force');
+  assert(beside.code === 1 && beside.stderr.includes('install-bridge.yaml already holds a config'), 'Never writes a second config');
+});
+
+test('--cwd and --config: find configs from the right directory', async () => {
+  const byDirectory = await cli('validate', '--config', 'packages/app', '--json');
+  assert(byDirectory.json.file === 'packages/app/install-bridge.json', `A directory is searched: ${byDirectory.stdout}`);
+
+  const byFile = await cli('--cwd', 'packages', 'validate', '--config', 'app/install-bridge.json', '--json');
+  assert(byFile.code === 0 && byFile.json.file === 'app/install-bridge.json', `--config starts from --cwd: ${byFile.stdout}`);
+
+  const short = await cli('validate', '-c', 'packages/app/install-bridge.json', '-q');
+  assert(short.code === 0 && short.stdout === '' && short.stderr === '', '--quiet prints nothing on success');
+
+  const missing = await cli('validate', '--config', 'packages/nope.json');
+  assert(missing.code === 1 && missing.stderr.includes('Config not found: packages/nope.json'), 'Missing --config exits 1');
+});
+
+test('verify: --channel checks a build from another channel', async () => {
+  const file = write('downloads/App-beta.bin', 'beta build');
+  const digest = require('crypto').createHash('sha256').update('beta build').digest('hex');
+  const artifact = sha256 => ({ [process.platform]: { url: 'https://example.com/App-beta.bin', sha256 } });
+
+  write('packages/channels/install-bridge.json', {
+    name: 'App',
+    channels: {
+      stable: { installers: artifact('0'.repeat(64)) },
+      beta: { installers: artifact(digest) }
+    }
+  });
+
+  const stable = await cli('verify', file, '--cwd', 'packages/channels');
+  assert(stable.code === 1 && stable.stderr.includes('does not match the config'), `The default channel has another digest: ${stable.stderr}`);
+
+  const beta = await cli('verify', file, '--cwd', 'packages/channels', '--channel', 'beta', '--json');
+  assert(beta.code === 0 && beta.json.sha256 === digest, `Should match the beta digest: ${beta.stdout}${beta.stderr}`);
+  assert(beta.json.installer.url === 'https://example.com/App-beta.bin', 'Should name the installer');
+
+  const unknown = await cli('verify', file, '--cwd', 'packages/channels', '--channel', 'nightly');
+  assert(unknown.code === 1 && unknown.stderr.includes('Unknown channel: nightly'), 'Unknown channels fail');
+});
+
+test('generate: --scale takes 1 to 4', async () => {
+  for (const scale of ['abc', '0', '-2', '1.5', '5']) {
+    const result = await cli('generate', '--cwd', 'packages/app', `--scale=${scale}`);
+    assert(result.code === 2, `--scale ${scale} exits 2, got ${result.code}`);
+    assert(result.stderr.includes(`--scale must be 1, 2, 3 or 4: ${scale}`), `Should say why: ${result.stderr}`);
+  }
+
+  const png = await cli('generate', '--cwd', 'packages/app', '--format', 'png', '--scale', '2', '--json');
+  assert(png.code === 0 && png.json.files.join() === 'install-badge.png', `--scale 2 renders: ${png.stderr}`);
+});
+
+test('generate: INSTALL_BRIDGE_SECRET only signs server URLs', async () => {
+  const env = { INSTALL_BRIDGE_SECRET: 'server-secret' };
+
+  const local = await cliWithEnv(env, 'generate', '--cwd', 'packages/app', '--json');
+  assert(local.code === 0, `Should generate a local badge, got ${local.code}: ${local.stderr}`);
+  assert(local.json.urls === null, 'Should not build server URLs');
+
+  const signed = await cliWithEnv(env, 'generate', '--cwd', 'packages/app', '--server', 'https://ib.example.com', '--json');
+  assert(signed.code === 0 && signed.json.urls.badge.includes('sig='), `Should sign server URLs: ${signed.stdout}`);
+
+  const key = await cli('generate', '--cwd', 'packages/app', '--key', 'secret');
+  assert(key.code === 2 && key.stderr.includes('Signing needs a server'), '--key still needs --server');
+});
+
+run().then(() => {
+  // fs.rmSync needs Node 14.14; older releases only have recursive rmdir
+  if (fs.rmSync) {
+    fs.rmSync(root, { recursive: true, force: true });
+  } else {
+    fs.rmdirSync(root, { recursive: true });
+  }
+
+  console.log('\n✨ All tests completed\n');
+});
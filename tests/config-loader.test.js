@@ -0,0 +1,235 @@
+// ============================================================================
+// INSTALL BRIDGE - CONFIG LOADER TESTS
+// Finds, reads and merges config files in a temporary directory
+// Production-ready: exits non-zero on failure (CI-friendly)
+// ============================================================================
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { formatIssue } = require('../src/core/core');
+const { findConfigFile, loadConfigFile } = require('../src/node/config-loader');
+
+// Track failures so CI can fail properly
+let HAS_FAILURES = false;
+
+// Simple test runner
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (err) {
+    HAS_FAILURES = true;
+    console.error(`❌ ${name}`);
+    console.error(`   ${err && err.message ? err.message : String(err)}`);
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// Ensure process exits non-zero if any test fails
+process.on('exit', () => {
+  if (HAS_FAILURES) {
+    console.error('\n❌ Some tests failed\n');
+    process.exitCode = 1;
+  }
+});
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'install-bridge-loader-'));
+
+function write(file, value) {
+  const full = path.join(root, file);
+  fs.mkdirSync(path.dirname(full), { recursive: true });
+  fs.writeFileSync(full, typeof value === 'string' ? value : JSON.stringify(value));
+  return full;
+}
+
+function load(file) {
+  const result = loadConfigFile(path.join(root, file), { cwd: root });
+  // Compare issues as the CLI prints them
+  return { ...result, errors: result.errors.map(formatIssue), warnings: result.warnings.map(formatIssue) };
+}
+
+write('shared/base.yaml', [
+  'homepage: https://example.com',
+  'badge:',
+  '  style: flat',
+  "  color: '#0366d6'",
+  '  label: Install',
+  'page:',
+  '  theme: dark'
+].join('\n'));
+
+write('shared/windows.toml', [
+  '[badge]',
+  'label = "Get"',
+  '',
+  '[commands.win32]',
+  'winget = "Acme.App"'
+].join('\n'));
+
+write('node_modules/@acme/install-config/package.json', {
+  name: '@acme/install-config',
+  installBridge: { fallback: 'https://example.com/releases' }
+});
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+console.log('\n🧪 Running Install Bridge Config Loader Tests\n');
+
+test('findConfigFile: finds each format and package.json', () => {
+  write('find/json/install-bridge.json', { name: 'App' });
+  write('find/yaml/install-bridge.yml', 'name: App');
+  write('find/toml/install-bridge.toml', 'name = "App"');
+  write('find/pkg/package.json', { name: 'app', installBridge: { name: 'App' } });
+  write('find/plain/package.json', { name: 'app' });
+
+  assert(path.basename(findConfigFile(path.join(root, 'find/json'))) === 'install-bridge.json', 'JSON');
+  assert(path.basename(findConfigFile(path.join(root, 'find/yaml'))) === 'install-bridge.yml', 'YAML');
+  assert(path.basename(findConfigFile(path.join(root, 'find/toml'))) === 'install-bridge.toml', 'TOML');
+  assert(path.basename(findConfigFile(path.join(root, 'find/pkg'))) === 'package.json', 'package.json');
+  assert(findConfigFile(path.join(root, 'find/plain')) === null, 'package.json without installBridge');
+});
+
+test('findConfigFile: refuses to pick between two configs', () => {
+  write('find/both/install-bridge.json', { name: 'App' });
+  write('find/both/package.json', { installBridge: { name: 'App' } });
+
+  let error = null;
+  try {
+    findConfigFile(path.join(root, 'find/both'));
+  } catch (err) {
+    error = err;
+  }
+  assert(error && error.message.includes('install-bridge.json and package.json "installBridge"'), 'Should name both');
+});
+
+test('loadConfigFile: merges bases in order, the file last', () => {
+  write('app/install-bridge.toml', [
+    'extends = ["../shared/base.yaml", "../shared/windows.toml"]',
+    'name = "App"',
+    '',
+    '[installers]',
+    'darwin = "https://example.com/app.dmg"',
+    '',
+    '[badge]',
+    'color = "#e36209"'
+  ].join('\n'));
+
+  const result = load('app/install-bridge.toml');
+  assert(result.success, `Should load: ${result.errors.join(', ')}`);
+  assert(result.config.homepage === 'https://example.com', 'Inherits from the first base');
+  assert(result.config.badge.label === 'Get', 'Later bases override earlier ones');
+  assert(result.config.badge.color === '#e36209', 'The file overrides its bases');
+  assert(result.config.badge.style === 'flat', 'Objects merge key by key');
+  assert(result.config.commands.win32.winget === 'Acme.App', 'Takes values only a base sets');
+  assert(!('extends' in result.config), 'extends is resolved away');
+  assert(result.files.map(f => path.relative(root, f)).join() === 'app/install-bridge.toml,shared/base.yaml,shared/windows.toml', 'Lists every file');
+});
+
+test('loadConfigFile: reads package.json and package bases', () => {
+  write('pkg/package.json', {
+    name: 'app',
+    installBridge: {
+      extends: '@acme/install-config',
+      name: 'App',
+      installers: { darwin: 'https://example.com/app.dmg' }
+    }
+  });
+
+  const result = load('pkg/package.json');
+  assert(result.success, `Should load: ${result.errors.join(', ')}`);
+  assert(result.config.fallback === 'https://example.com/releases', 'Should use the package config');
+  assert(!('dependencies' in result.config) && result.config.name === 'App', 'Only reads installBridge');
+});
+
+test('loadConfigFile: reports validation errors against the file that set the value', () => {
+  write('shared/bad-theme.yaml', 'page:\n  theme: neon\nbadge:\n  style: flat\n  colour: red');
+  write('blame/install-bridge.json', {
+    extends: '../shared/bad-theme.yaml',
+    installers: { darwin: 'ftp://example.com/app.dmg' },
+    badge: { color: 'nope' }
+  });
+
+  const { success, errors, warnings } = load('blame/install-bridge.json');
+  assert(!success, 'Should fail');
+  [
+    'shared/bad-theme.yaml: /page/theme: must be one of: light, dark, auto',
+    'blame/install-bridge.json: /badge/color: must be',
+    'blame/install-bridge.json: /installers/darwin: must be an HTTP(S) URL',
+    'blame/install-bridge.json: /name: is required'
+  ].forEach(message => {
+    assert(errors.some(e => e.startsWith(message)), `Should report "${message}": ${errors.join(' | ')}`);
+  });
+  assert(
+    warnings.join() === 'shared/bad-theme.yaml: /badge/colour: unknown field',
+    `Warnings name their file too: ${warnings.join(' | ')}`
+  );
+});
+
+test('loadConfigFile: reports parse errors with file and line', () => {
+  write('parse/base.yaml', 'badge:\n  style: flat\n  style: plastic');
+  write('parse/install-bridge.json', { extends: './base.yaml', name: 'App' });
+
+  const { success, errors, config } = load('parse/install-bridge.json');
+  assert(!success && config === null, 'Should fail');
+  assert(errors[0] === 'parse/base.yaml: Invalid YAML: line 3: duplicate key style', `Unexpected: ${errors}`);
+});
+
+test('loadConfigFile: reports missing bases and cycles', () => {
+  write('missing/install-bridge.json', { extends: ['./nope.json'], name: 'App' });
+  const missing = load('missing/install-bridge.json');
+  assert(missing.errors[0].startsWith('missing/install-bridge.json: /extends: cannot extend ./nope.json:'), `Unexpected: ${missing.errors}`);
+
+  write('cycle/a.json', { extends: './b.yaml' });
+  write('cycle/b.yaml', 'extends: ./a.json');
+  const cycle = load('cycle/a.json');
+  assert(cycle.errors[0] === 'cycle/b.yaml: /extends: forms a cycle: cycle/a.json → cycle/b.yaml → cycle/a.json', `Unexpected: ${cycle.errors}`);
+
+  write('shape/install-bridge.yaml', 'extends: 3\nname: App');
+  const shape = load('shape/install-bridge.yaml');
+  assert(shape.errors[0] === 'shape/install-bridge.yaml: /extends: must be a config path or a list of config paths', `Unexpected: ${shape.errors}`);
+});
+
+test('loadConfigFile: extends a bare file name next to the config', () => {
+  write('bare/install-bridge.json', { extends: 'base.json', name: 'App' });
+  write('bare/base.json', { installers: { darwin: 'https://example.com/app.dmg' } });
+
+  const result = load('bare/install-bridge.json');
+  assert(result.success && result.config.installers.darwin === 'https://example.com/app.dmg', `Should load: ${result.errors}`);
+
+  write('nested/install-bridge.json', { extends: 'shared/base.yaml', name: 'App' });
+  write('nested/shared/base.yaml', 'installers:\n  darwin: https://example.com/app.dmg');
+  const nested = load('nested/install-bridge.json');
+  assert(
+    nested.errors[0] === 'nested/install-bridge.json: /extends: cannot extend shared/base.yaml: no package shared; write ./shared/base.yaml for a relative path',
+    `Unexpected: ${nested.errors}`
+  );
+});
+
+test('loadConfigFile: extends a directory through its config file', () => {
+  write('dir/install-bridge.yaml', 'extends: ../shared\nname: App\ninstallers:\n  darwin: https://example.com/app.dmg');
+  write('shared/install-bridge.json', { homepage: 'https://example.org' });
+
+  const result = load('dir/install-bridge.yaml');
+  assert(result.success && result.config.homepage === 'https://example.org', `Should load: ${result.errors}`);
+});
+
+// fs.rmSync needs Node 14.14; older releases only have recursive rmdir
+if (fs.rmSync) {
+  fs.rmSync(root, { recursive: true, force: true });
+} else {
+  fs.rmdirSync(root, { recursive: true });
+}
+
+console.log('\n✨ All tests completed\n');
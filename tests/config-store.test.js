@@ -0,0 +1,136 @@
+// ============================================================================
+// INSTALL BRIDGE - CONFIG STORE TESTS
+// Loads named configs from a temporary directory and registry file
+// Production-ready: exits non-zero on failure (CI-friendly)
+// ============================================================================
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createConfigStore } = require('../src/server/config-store');
+
+// Track failures so CI can fail properly
+let HAS_FAILURES = false;
+
+// Simple test runner
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (err) {
+    HAS_FAILURES = true;
+    console.error(`❌ ${name}`);
+    console.error(`   ${err && err.message ? err.message : String(err)}`);
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// Ensure process exits non-zero if any test fails
+process.on('exit', () => {
+  if (HAS_FAILURES) {
+    console.error('\n❌ Some tests failed\n');
+    process.exitCode = 1;
+  }
+});
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'install-bridge-store-'));
+
+function write(file, value) {
+  const full = path.join(root, file);
+  fs.mkdirSync(path.dirname(full), { recursive: true });
+  fs.writeFileSync(full, typeof value === 'string' ? value : JSON.stringify(value));
+}
+
+function config(name) {
+  return {
+    name,
+    installers: { darwin: `https://example.com/${name}.dmg` }
+  };
+}
+
+write('configs/alpha.json', config('Alpha'));
+write('configs/beta/install-bridge.json', config('Beta'));
+write('configs/broken.json', '{ "name": ');
+write('configs/bad slug.json', config('Bad'));
+write('registry/projects.json', {
+  inline: config('Inline'),
+  linked: '../configs/alpha.json'
+});
+
+const warnings = [];
+const log = message => warnings.push(message);
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+console.log('\n🧪 Running Install Bridge Config Store Tests\n');
+
+test('directory: loads <slug>.json and <slug>/install-bridge.json', () => {
+  const store = createConfigStore(path.join(root, 'configs'), { watch: false, log });
+  assert(store.get('alpha').name === 'Alpha', 'Should load alpha.json');
+  assert(store.get('beta').name === 'Beta', 'Should load beta/install-bridge.json');
+  assert(store.slugs().join() === 'alpha,beta', 'Should skip broken and invalid slugs');
+  assert(store.get('missing') === null, 'Unknown slugs return null');
+});
+
+test('directory: reports broken configs and invalid slugs', () => {
+  assert(warnings.some(w => w.includes('broken')), 'Should warn about broken.json');
+  assert(warnings.some(w => w.includes('bad slug')), 'Should warn about the slug');
+});
+
+test('directory: keeps the last good config when a file breaks', () => {
+  const store = createConfigStore(path.join(root, 'configs'), { watch: false, log });
+  write('configs/alpha.json', '{ "name": "Alpha" }');
+  store.reload();
+  assert(store.get('alpha').name === 'Alpha', 'Should keep serving alpha');
+
+  write('configs/alpha.json', config('Alpha2'));
+  store.reload();
+  assert(store.get('alpha').name === 'Alpha2', 'Should pick up the fixed config');
+  write('configs/alpha.json', config('Alpha'));
+});
+
+test('registry: loads inline configs and relative paths', () => {
+  const store = createConfigStore(path.join(root, 'registry', 'projects.json'), { watch: false, log });
+  assert(store.get('inline').name === 'Inline', 'Should load inline config');
+  assert(store.get('linked').name === 'Alpha', 'Should resolve path relative to registry');
+});
+
+test('directory: loads YAML and TOML configs that extend a base', () => {
+  write('shared/base.yaml', "homepage: https://example.com\nbadge:\n  color: '#e36209'");
+  write('formats/gamma.yaml', 'extends: ../shared/base.yaml\nname: Gamma\ninstallers:\n  darwin: https://example.com/gamma.dmg');
+  write('formats/delta/install-bridge.toml', 'extends = "../../shared/base.yaml"\nname = "Delta"\n\n[installers]\nlinux = "https://example.com/delta.AppImage"');
+
+  const store = createConfigStore(path.join(root, 'formats'), { watch: false, log });
+  assert(store.slugs().join() === 'delta,gamma', 'Should load both formats');
+  assert(store.get('gamma').badge.color === '#e36209', 'Should merge the base');
+  assert(store.get('delta').homepage === 'https://example.com', 'Should resolve paths from the config file');
+});
+
+test('registry: inline configs extend paths relative to the registry', () => {
+  write('registry/extended.json', {
+    app: { extends: '../shared/base.yaml', name: 'App', installers: { darwin: 'https://example.com/app.dmg' } }
+  });
+
+  const store = createConfigStore(path.join(root, 'registry', 'extended.json'), { watch: false, log });
+  assert(store.get('app').homepage === 'https://example.com', 'Should merge the base');
+});
+
+// fs.rmSync needs Node 14.14; older releases only have recursive rmdir
+if (fs.rmSync) {
+  fs.rmSync(root, { recursive: true, force: true });
+} else {
+  fs.rmdirSync(root, { recursive: true });
+}
+
+console.log('\n✨ All tests completed\n');
@@ -27,6 +27,15 @@ function assert(condition, message) {
   }
 }
 
+// Validation issues as text, for assertion messages
+function describe(issues) {
+  return issues.map(core.formatIssue).join(', ');
+}
+
+function hasIssue(issues, path, message = '') {
+  return issues.some(issue => issue.path === path && issue.message.startsWith(message));
+}
+
 // Ensure process exits non-zero if any test fails
 process.on('exit', () => {
   if (HAS_FAILURES) {
@@ -67,14 +76,14 @@ test('validateConfig: rejects missing name', () => {
   };
   const result = core.validateConfig(config);
   assert(result.valid === false, 'Should be invalid');
-  assert(result.errors.some(e => e.includes('name')), 'Should mention name error');
+  assert(hasIssue(result.errors, '/name', 'is required'), 'Should mention name error');
 });
 
 test('validateConfig: rejects missing installers', () => {
   const config = { name: 'TestApp' };
   const result = core.validateConfig(config);
   assert(result.valid === false, 'Should be invalid');
-  assert(result.errors.some(e => e.includes('installers')), 'Should mention installers error');
+  assert(hasIssue(result.errors, '/installers', 'is required'), 'Should mention installers error');
 });
 
 test('validateConfig: rejects empty installers', () => {
@@ -85,7 +94,7 @@ test('validateConfig: rejects empty installers', () => {
   const result = core.validateConfig(config);
   assert(result.valid === false, 'Should be invalid');
   assert(
-    result.errors.some(e => e.toLowerCase().includes('at least one')),
+    hasIssue(result.errors, '/installers', 'must map at least one platform'),
     'Should mention platform requirement'
   );
 });
@@ -99,18 +108,318 @@ test('validateConfig: rejects invalid platform', () => {
   };
   const result = core.validateConfig(config);
   assert(result.valid === false, 'Should be invalid');
-  assert(result.errors.some(e => e.includes('invalid platform')), 'Should mention invalid platform');
+  assert(hasIssue(result.errors, '/installers/windows', 'unknown platform'), 'Should mention invalid platform');
+});
+
+test('validateConfig: rejects non-HTTP(S) URLs', () => {
+  ['file:///path/to/app.dmg', 'javascript:alert(1)', 'ftp://example.com/app.dmg'].forEach(url => {
+    const result = core.validateConfig({ name: 'TestApp', installers: { darwin: url } });
+    assert(result.valid === false, `${url} should be rejected`);
+  });
+});
+
+test('validateConfig: checks homepage, fallback and badge color', () => {
+  const result = core.validateConfig({
+    name: 'TestApp',
+    homepage: 'javascript:alert(1)',
+    fallback: 'data:text/html,hi',
+    badge: { color: 'red;stroke:blue' },
+    installers: { darwin: 'https://example.com/app.dmg' }
+  });
+  assert(hasIssue(result.errors, '/homepage', 'must be an HTTP(S) URL'), 'Should reject homepage');
+  assert(hasIssue(result.errors, '/fallback', 'must be an HTTP(S) URL'), 'Should reject fallback');
+  assert(hasIssue(result.errors, '/badge/color'), 'Should reject badge.color');
+});
+
+test('isValidColor: accepts hex and CSS color names only', () => {
+  ['#fff', '#0366D6', '#0366d680', 'rebeccapurple', 'Red'].forEach(color => {
+    assert(core.isValidColor(color), `${color} should be valid`);
+  });
+  ['#ggg', '0366d6', 'rgb(0,0,0)', 'notacolor', 'red"', ''].forEach(color => {
+    assert(!core.isValidColor(color), `${color} should be invalid`);
+  });
+});
+
+test('hostile configs: validation matches the corpus', () => {
+  require('./fixtures/hostile-configs.json').forEach(({ description, valid, config }) => {
+    const result = core.validateConfig(config);
+    assert(result.valid === valid, `${description}: expected valid=${valid}`);
+  });
+});
+
+test('validateConfig: accepts per-architecture installers', () => {
+  const config = {
+    name: 'TestApp',
+    installers: {
+      darwin: {
+        arm64: 'https://example.com/app-arm64.dmg',
+        x64: 'https://example.com/app-x64.dmg'
+      },
+      win32: { universal: 'https://example.com/app.exe' },
+      linux: 'https://example.com/app.AppImage'
+    }
+  };
+  const result = core.validateConfig(config);
+  assert(result.valid === true, `Should be valid: ${describe(result.errors)}`);
+});
+
+test('validateConfig: rejects unknown architecture', () => {
+  const config = {
+    name: 'TestApp',
+    installers: {
+      darwin: { ppc: 'https://example.com/app-ppc.dmg' }
+    }
+  };
+  const result = core.validateConfig(config);
+  assert(result.valid === false, 'Should be invalid');
+  assert(hasIssue(result.errors, '/installers/darwin/ppc', 'unknown architecture'), 'Should mention architecture');
+});
+
+test('validateConfig: rejects invalid per-architecture URL', () => {
+  const config = {
+    name: 'TestApp',
+    installers: {
+      win32: { arm64: 'not a url' }
+    }
+  };
+  const result = core.validateConfig(config);
+  assert(result.valid === false, 'Should be invalid');
+  assert(hasIssue(result.errors, '/installers/win32/arm64'), 'Should name platform and architecture');
+});
+
+test('validateConfig: accepts Linux package format maps', () => {
+  const config = {
+    name: 'TestApp',
+    installers: {
+      linux: {
+        x64: {
+          deb: 'https://example.com/app_amd64.deb',
+          rpm: 'https://example.com/app.x86_64.rpm'
+        },
+        universal: {
+          flatpak: 'https://example.com/app.flatpakref'
+        }
+      }
+    }
+  };
+  const result = core.validateConfig(config);
+  assert(result.valid === true, `Should be valid: ${describe(result.errors)}`);
+});
+
+test('validateConfig: rejects unknown Linux package format', () => {
+  const config = {
+    name: 'TestApp',
+    installers: {
+      linux: { deb: 'https://example.com/app.deb', snapcraft: 'https://example.com/app.snap' }
+    }
+  };
+  const result = core.validateConfig(config);
+  assert(result.valid === false, 'Should be invalid');
+  assert(hasIssue(result.errors, '/installers/linux/snapcraft', 'unknown package format'), 'Should mention format');
+});
+
+test('validateConfig: rejects package formats outside Linux', () => {
+  const config = {
+    name: 'TestApp',
+    installers: {
+      darwin: { x64: { deb: 'https://example.com/app.deb' } }
+    }
+  };
+  const result = core.validateConfig(config);
+  assert(result.valid === false, 'Should be invalid');
+});
+
+test('validateConfig: accepts mobile store and APK URLs', () => {
+  const config = {
+    name: 'TestApp',
+    installers: {
+      ios: 'https://apps.apple.com/app/testapp/id123456789',
+      android: {
+        play: 'https://play.google.com/store/apps/details?id=com.example.app',
+        fdroid: 'https://f-droid.org/packages/com.example.app/',
+        apk: 'https://example.com/downloads/app-release.apk'
+      }
+    }
+  };
+  const result = core.validateConfig(config);
+  assert(result.valid === true, `Should be valid: ${describe(result.errors)}`);
+});
+
+test('validateConfig: rejects desktop downloads for mobile platforms', () => {
+  const config = {
+    name: 'TestApp',
+    installers: {
+      ios: 'https://example.com/app.dmg',
+      android: 'https://example.com/app.AppImage'
+    }
+  };
+  const result = core.validateConfig(config);
+  assert(result.valid === false, 'Should be invalid');
+  assert(hasIssue(result.errors, '/installers/ios', 'must be an App Store URL'), 'Should require App Store for ios');
+  assert(hasIssue(result.errors, '/installers/android', 'must be a Play Store, F-Droid, or APK URL'), 'Should require store or APK for android');
+});
+
+test('validateConfig: checks Android store keys match their host', () => {
+  const config = {
+    name: 'TestApp',
+    installers: {
+      android: { play: 'https://f-droid.org/packages/com.example.app/' }
+    }
+  };
+  const result = core.validateConfig(config);
+  assert(result.valid === false, 'Should be invalid');
+  assert(hasIssue(result.errors, '/installers/android/play', 'must be a Play Store URL'), 'Should name the key');
+});
+
+test('validateConfig: accepts a release source instead of installers', () => {
+  const config = {
+    name: 'TestApp',
+    source: {
+      type: 'github-release',
+      repo: 'user/testapp',
+      assets: {
+        darwin: '*-macOS.dmg',
+        linux: { x64: { deb: '/_amd64\\.deb$/' } }
+      }
+    }
+  };
+  const result = core.validateConfig(config);
+  assert(result.valid === true, `Should be valid: ${describe(result.errors)}`);
+});
+
+test('validateConfig: rejects malformed release source', () => {
+  const config = {
+    name: 'TestApp',
+    source: {
+      type: 'gitlab-release',
+      repo: 'not-a-repo',
+      assets: { darwin: '/[unclosed/' }
+    }
+  };
+  const result = core.validateConfig(config);
+  assert(result.valid === false, 'Should be invalid');
+  assert(hasIssue(result.errors, '/source/type'), 'Should mention type');
+  assert(hasIssue(result.errors, '/source/repo'), 'Should mention repo');
+  assert(hasIssue(result.errors, '/source/assets/darwin', 'must be a glob or /regex/'), 'Should mention pattern');
+});
+
+test('validateConfig: rejects dot segments in source.repo', () => {
+  ['../..', './app', 'user/..', 'user/.'].forEach(repo => {
+    const result = core.validateConfig({
+      name: 'TestApp',
+      source: { type: 'github-release', repo, assets: { darwin: '*.dmg' } }
+    });
+    assert(hasIssue(result.errors, '/source/repo'), `Should reject ${repo}`);
+  });
+
+  const dotted = core.validateConfig({
+    name: 'TestApp',
+    source: { type: 'github-release', repo: 'user/.github', assets: { darwin: '*.dmg' } }
+  });
+  assert(dotted.valid, 'Names may still start with a dot');
+});
+
+test('validateConfig: accepts artifact objects with integrity metadata', () => {
+  const config = {
+    name: 'TestApp',
+    installers: {
+      darwin: {
+        arm64: {
+          url: 'https://example.com/app-arm64.dmg',
+          sha256: 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855',
+          size: 88293376,
+          signature: 'https://example.com/app-arm64.dmg.minisig',
+          publicKey: 'https://example.com/minisign.pub'
+        }
+      },
+      linux: {
+        deb: { url: 'https://example.com/app.deb', sha256: 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855' }
+      }
+    }
+  };
+  const result = core.validateConfig(config);
+  assert(result.valid === true, `Should be valid: ${describe(result.errors)}`);
 });
 
-test('validateConfig: accepts file URLs (current behavior)', () => {
+test('validateConfig: rejects malformed integrity metadata', () => {
   const config = {
     name: 'TestApp',
     installers: {
-      darwin: 'file:///path/to/app.dmg'
+      win32: {
+        url: 'https://example.com/app.exe',
+        sha256: 'abc123',
+        size: -1,
+        signature: 'not a url',
+        md5: 'd41d8cd98f00b204e9800998ecf8427e'
+      }
     }
   };
   const result = core.validateConfig(config);
-  assert(result.valid === true, 'file:// URLs are currently allowed');
+  assert(result.valid === false, 'Should be invalid');
+  assert(hasIssue(result.errors, '/installers/win32/sha256'), 'Should check sha256');
+  assert(hasIssue(result.errors, '/installers/win32/size'), 'Should check size');
+  assert(hasIssue(result.errors, '/installers/win32/signature'), 'Should check signature');
+  assert(hasIssue(result.warnings, '/installers/win32/md5', 'unknown field'), 'Should warn about unknown fields');
+});
+
+test('validateConfig: reports JSON Pointer paths and warns about unknown fields', () => {
+  const result = core.validateConfig({
+    name: 'TestApp',
+    nmae: 'Typo',
+    installers: { darwin: 'ftp://example.com/app.dmg' },
+    badge: { colour: 'red' },
+    channels: { 'a/b': { installers: { darwin: 'https://example.com/app.dmg' } } }
+  });
+  assert(result.valid === false, 'Should be invalid');
+  assert(hasIssue(result.errors, '/installers/darwin', 'must be an HTTP(S) URL'), 'Should point at the installer');
+  assert(hasIssue(result.errors, '/channels/a~1b', 'invalid channel name'), 'Should escape "/" in keys');
+  assert(hasIssue(result.warnings, '/nmae', 'unknown field'), 'Should warn about unknown top-level fields');
+  assert(hasIssue(result.warnings, '/badge/colour', 'unknown field'), 'Should warn about unknown nested fields');
+  assert(result.errors.length === 2, `Unknown fields are not errors: ${describe(result.errors)}`);
+
+  const warned = core.validateConfig({ name: 'TestApp', installers: { darwin: 'https://example.com/app.dmg' }, extra: true });
+  assert(warned.valid === true && warned.warnings.length === 1, 'Warnings alone leave the config valid');
+});
+
+test('formatIssue: joins file, path and message', () => {
+  assert(core.formatIssue({ path: '/badge/color', message: 'must be a color' }) === '/badge/color: must be a color', 'Path and message');
+  assert(core.formatIssue({ file: 'install-bridge.yaml', path: '/name', message: 'is required' }) === 'install-bridge.yaml: /name: is required', 'With a file');
+  assert(core.formatIssue({ path: '', message: 'Config must be an object' }) === 'Config must be an object', 'Without a path');
+});
+
+test('install-bridge.schema.json: lists what the core supports', () => {
+  const schema = require('../src/core/install-bridge.schema.json');
+  const { MESSAGES, DEFAULT_LOCALE } = require('../src/core/i18n');
+  const { ICONS } = require('../src/core/icons');
+  const defs = schema.definitions;
+
+  assert(JSON.stringify(defs.platform.enum) === JSON.stringify(core.listPlatforms()), 'Platforms');
+  assert(
+    JSON.stringify(Object.keys(defs.translation.properties.strings.properties)) === JSON.stringify(Object.keys(MESSAGES[DEFAULT_LOCALE])),
+    'Page strings'
+  );
+  assert(
+    JSON.stringify(defs.badge.properties.logo.anyOf[0].enum) === JSON.stringify(['auto', ...Object.keys(ICONS)]),
+    'Logos'
+  );
+
+  Object.keys(defs.commands.properties).forEach(platform => {
+    const managers = defs.commands.properties[platform].propertyNames.enum;
+    const commands = core.listInstallCommands({
+      commands: { [platform]: Object.fromEntries(managers.map(manager => [manager, 'myapp'])) }
+    });
+    assert(commands.length === managers.length, `Package managers for ${platform}`);
+  });
+
+  // The schema lists each package manager again; both lists must agree
+  const managerPlatforms = core.listPlatforms().filter(platform => core.listPackageManagers(platform).length);
+  assert(JSON.stringify(defs.commands.propertyNames.enum) === JSON.stringify(managerPlatforms), 'Platforms with package managers');
+  managerPlatforms.forEach(platform => {
+    assert(
+      JSON.stringify(defs.commands.properties[platform].propertyNames.enum) === JSON.stringify(core.listPackageManagers(platform)),
+      `Schema and core list the same package managers for ${platform}`
+    );
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -122,11 +431,16 @@ test('detectOS: detects macOS', () => {
   assert(core.detectOS(ua) === 'darwin', 'Should detect darwin');
 });
 
-test('detectOS: detects iPhone/iPad as darwin', () => {
+test('detectOS: detects iPhone/iPad as ios', () => {
   const ua1 = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X)';
   const ua2 = 'Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X)';
-  assert(core.detectOS(ua1) === 'darwin', 'Should detect darwin for iPhone');
-  assert(core.detectOS(ua2) === 'darwin', 'Should detect darwin for iPad');
+  assert(core.detectOS(ua1) === 'ios', 'Should detect ios for iPhone');
+  assert(core.detectOS(ua2) === 'ios', 'Should detect ios for iPad');
+});
+
+test('detectOS: detects Android before Linux', () => {
+  const ua = 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36';
+  assert(core.detectOS(ua) === 'android', 'Should detect android');
 });
 
 test('detectOS: detects Linux', () => {
@@ -149,10 +463,72 @@ test('detectOS: handles empty user agent', () => {
   assert(core.detectOS(null) === 'unknown', 'Should return unknown for null');
 });
 
+// ---------------------------------------------------------------------------
+// Architecture Detection
+// ---------------------------------------------------------------------------
+
+test('detectArch: detects x64 from User-Agent', () => {
+  assert(core.detectArch('Mozilla/5.0 (Windows NT 10.0; Win64; x64)') === 'x64', 'Windows x64');
+  assert(core.detectArch('Mozilla/5.0 (X11; Linux x86_64)') === 'x64', 'Linux x86_64');
+});
+
+test('detectArch: detects arm64 from User-Agent', () => {
+  assert(core.detectArch('Mozilla/5.0 (X11; Linux aarch64)') === 'arm64', 'Linux aarch64');
+  assert(core.detectArch('Mozilla/5.0 (Windows NT 10.0; ARM64)') === 'arm64', 'Windows ARM64');
+});
+
+test('detectArch: Client Hints override the User-Agent', () => {
+  const ua = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7)';
+  assert(core.detectArch(ua) === 'unknown', 'macOS UA alone does not reveal arch');
+  assert(core.detectArch(ua, { arch: '"arm"', bitness: '"64"' }) === 'arm64', 'Should use arm hint');
+  assert(core.detectArch(ua, { arch: '"x86"', bitness: '"64"' }) === 'x64', 'Should use x86 hint');
+  assert(core.detectArch(ua, { arch: '"x86"', bitness: '"32"' }) === 'unknown', '32-bit is unsupported');
+});
+
+test('detectArch: handles empty input', () => {
+  assert(core.detectArch('') === 'unknown', 'Should return unknown for empty string');
+  assert(core.detectArch(null) === 'unknown', 'Should return unknown for null');
+});
+
+// ---------------------------------------------------------------------------
+// Distro Detection
+// ---------------------------------------------------------------------------
+
+test('detectDistro: detects distro families from User-Agent', () => {
+  assert(core.detectDistro('Mozilla/5.0 (X11; Ubuntu; Linux x86_64; rv:120.0)') === 'debian', 'Ubuntu');
+  assert(core.detectDistro('Mozilla/5.0 (X11; Fedora; Linux x86_64; rv:120.0)') === 'fedora', 'Fedora');
+  assert(core.detectDistro('Mozilla/5.0 (X11; openSUSE; Linux x86_64)') === 'suse', 'openSUSE');
+  assert(core.detectDistro('Mozilla/5.0 (X11; Manjaro; Linux x86_64)') === 'arch', 'Manjaro');
+});
+
+test('detectDistro: returns unknown when the UA has no distro', () => {
+  assert(core.detectDistro('Mozilla/5.0 (X11; Linux x86_64) Chrome/120') === 'unknown', 'Chrome on Linux');
+  assert(core.detectDistro(null) === 'unknown', 'null');
+});
+
 // ---------------------------------------------------------------------------
 // Install Target Resolution
 // ---------------------------------------------------------------------------
 
+test('applyClientOverrides: replaces detected values the visitor picked', () => {
+  const detected = { os: 'linux', arch: 'x64', distro: 'debian' };
+
+  const chosen = core.applyClientOverrides(detected, { os: 'win32', arch: 'arm64', distro: '' });
+  assert(chosen.errors.length === 0, 'Valid overrides pass');
+  assert(
+    JSON.stringify(chosen.client) === JSON.stringify({ os: 'win32', arch: 'arm64', distro: 'debian' }),
+    'Should keep values that were not overridden'
+  );
+
+  const invalid = core.applyClientOverrides(detected, { os: 'beos', arch: ['x64'], distro: 'gentoo' });
+  assert(invalid.errors.join('\n') === [
+    'os must be one of: darwin, win32, linux, ios, android',
+    'arch must be one of: x64, arm64',
+    'distro must be one of: debian, fedora, suse, arch'
+  ].join('\n'), 'Should report each invalid value');
+  assert(invalid.client.os === 'linux', 'Invalid values are ignored');
+});
+
 test('getInstallTarget: returns URL for available platform', () => {
   const config = {
     name: 'TestApp',
@@ -190,102 +566,1170 @@ test('getInstallTarget: falls back to homepage when installers missing', () => {
   assert(target.fallback === 'https://example.com', 'Should fall back to homepage');
 });
 
-// ---------------------------------------------------------------------------
-// Badge Generation
-// ---------------------------------------------------------------------------
-
-test('generateBadge: creates valid SVG', () => {
+test('getInstallTarget: prefers exact architecture', () => {
   const config = {
     name: 'TestApp',
-    installers: { darwin: 'https://example.com/app.dmg' }
+    installers: {
+      darwin: {
+        x64: 'https://example.com/app-x64.dmg',
+        arm64: 'https://example.com/app-arm64.dmg',
+        universal: 'https://example.com/app.dmg'
+      }
+    }
   };
-  const svg = core.generateBadge(config);
-  assert(svg.includes('<svg'), 'Should contain SVG tag');
-  assert(svg.includes('TestApp'), 'Should contain app name');
-  assert(svg.includes('Install'), 'Should contain default label');
+  const target = core.getInstallTarget(config, 'darwin', 'arm64');
+  assert(target.available === true, 'Should be available');
+  assert(target.arch === 'arm64', 'Should report arm64');
+  assert(target.url === 'https://example.com/app-arm64.dmg', 'Should pick arm64 build');
 });
 
-test('generateBadge: respects custom label and color', () => {
+test('getInstallTarget: falls back from architecture to universal', () => {
   const config = {
     name: 'TestApp',
-    installers: { darwin: 'https://example.com/app.dmg' },
-    badge: {
-      label: 'Download',
-      color: '#ff0000'
+    installers: {
+      win32: {
+        x64: 'https://example.com/app-x64.exe',
+        universal: 'https://example.com/app.exe'
+      }
     }
   };
-  const svg = core.generateBadge(config);
-  assert(svg.includes('Download'), 'Should contain custom label');
-  assert(svg.includes('#ff0000'), 'Should contain custom color');
+  const target = core.getInstallTarget(config, 'win32', 'arm64');
+  assert(target.arch === 'universal', 'Should report universal');
+  assert(target.url === 'https://example.com/app.exe', 'Should pick universal build');
 });
 
-// ---------------------------------------------------------------------------
-// Snippet Generation
-// ---------------------------------------------------------------------------
-
-test('generateSnippets: creates markdown and HTML', () => {
+test('getInstallTarget: falls back to config fallback when architecture missing', () => {
   const config = {
     name: 'TestApp',
-    installers: { darwin: 'https://example.com/app.dmg' },
-    homepage: 'https://example.com'
+    installers: {
+      linux: { x64: 'https://example.com/app-x64.AppImage' }
+    },
+    fallback: 'https://example.com/releases'
   };
-  const snippets = core.generateSnippets(config);
-  assert(snippets.markdown.includes('[![Install TestApp]'), 'Markdown should have image syntax');
-  assert(snippets.markdown.includes('(https://example.com)'), 'Markdown should have link');
-  assert(snippets.html.includes('<a href="https://example.com">'), 'HTML should have link');
-  assert(snippets.html.includes('<img'), 'HTML should have image');
+  const target = core.getInstallTarget(config, 'linux', 'arm64');
+  assert(target.available === false, 'Should not be available');
+  assert(target.fallback === 'https://example.com/releases', 'Should use fallback');
 });
 
-test('generateSnippets: uses installer fallback when homepage absent', () => {
+test('getInstallTarget: unknown architecture picks first build in order', () => {
   const config = {
     name: 'TestApp',
     installers: {
-      linux: 'https://example.com/linux',
-      darwin: 'https://example.com/mac'
+      linux: {
+        arm64: 'https://example.com/app-arm64.AppImage',
+        x64: 'https://example.com/app-x64.AppImage'
+      }
     }
   };
-  const snippets = core.generateSnippets(config);
-  assert(
-    snippets.markdown.includes('https://example.com/mac'),
-    'Should prefer darwin installer when homepage not provided'
-  );
+  const target = core.getInstallTarget(config, 'linux');
+  assert(target.arch === 'x64', 'Should prefer x64 when arch is unknown');
 });
 
-// ---------------------------------------------------------------------------
-// Config Parsing
-// ---------------------------------------------------------------------------
+test('getInstallTarget: picks package format for distro', () => {
+  const config = {
+    name: 'TestApp',
+    installers: {
+      linux: {
+        appimage: 'https://example.com/app.AppImage',
+        deb: 'https://example.com/app.deb',
+        rpm: 'https://example.com/app.rpm'
+      }
+    }
+  };
+  const debian = core.getInstallTarget(config, 'linux', 'x64', 'debian');
+  const fedora = core.getInstallTarget(config, 'linux', 'x64', 'fedora');
+  const unknown = core.getInstallTarget(config, 'linux', 'x64');
+  assert(debian.format === 'deb', 'Debian should get .deb');
+  assert(fedora.url === 'https://example.com/app.rpm', 'Fedora should get .rpm');
+  assert(unknown.format === 'appimage', 'Unknown distro should get AppImage');
+});
 
-test('parseConfig: parses valid JSON', () => {
-  const json = JSON.stringify({
+test('getInstallTarget: combines architecture and format', () => {
+  const config = {
     name: 'TestApp',
     installers: {
-      darwin: 'https://example.com/app.dmg'
+      linux: {
+        arm64: { deb: 'https://example.com/app_arm64.deb' },
+        x64: { deb: 'https://example.com/app_amd64.deb' }
+      }
     }
-  });
-  const result = core.parseConfig(json);
-  assert(result.success === true, 'Should succeed');
-  assert(result.config.name === 'TestApp', 'Should have correct name');
+  };
+  const target = core.getInstallTarget(config, 'linux', 'arm64', 'debian');
+  assert(target.url === 'https://example.com/app_arm64.deb', 'Should pick arm64 .deb');
 });
 
-test('parseConfig: rejects invalid JSON', () => {
-  const json = '{ invalid json }';
-  const result = core.parseConfig(json);
-  assert(result.success === false, 'Should fail');
-  assert(result.errors.length > 0, 'Should have errors');
+test('getInstallTarget: prefers Play Store for Android', () => {
+  const config = {
+    name: 'TestApp',
+    installers: {
+      android: {
+        apk: 'https://example.com/app.apk',
+        play: 'https://play.google.com/store/apps/details?id=com.example.app'
+      }
+    }
+  };
+  const target = core.getInstallTarget(config, 'android');
+  assert(target.format === 'play', 'Should pick Play Store first');
 });
 
-test('parseConfig: validates config after parsing', () => {
-  const json = JSON.stringify({
-    name: 'TestApp'
-  });
-  const result = core.parseConfig(json);
-  assert(result.success === false, 'Should fail validation');
-  assert(result.errors.some(e => e.includes('installers')), 'Should mention installers');
+test('classifyStoreURL: recognizes stores and APKs', () => {
+  assert(core.classifyStoreURL('https://apps.apple.com/us/app/x/id1') === 'appstore', 'App Store');
+  assert(core.classifyStoreURL('https://play.google.com/store/apps/details?id=x') === 'play', 'Play');
+  assert(core.classifyStoreURL('https://www.f-droid.org/packages/x/') === 'fdroid', 'F-Droid');
+  assert(core.classifyStoreURL('https://example.com/x.APK') === 'apk', 'APK');
+  assert(core.classifyStoreURL('https://example.com/x.dmg') === null, 'Other');
 });
 
-// ---------------------------------------------------------------------------
-// Template Creation
-// ---------------------------------------------------------------------------
+test('getInstallTarget: carries artifact metadata', () => {
+  const config = {
+    name: 'TestApp',
+    installers: {
+      win32: { url: 'https://example.com/app.exe', sha256: 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855', size: 1024 }
+    }
+  };
+  const target = core.getInstallTarget(config, 'win32');
+  assert(target.url === 'https://example.com/app.exe', 'Should expose the URL');
+  assert(target.sha256 === 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855', 'Should expose sha256');
+  assert(target.size === 1024, 'Should expose size');
+});
+
+test('listConfigURLs: collects installer, integrity and fallback URLs', () => {
+  const urls = core.listConfigURLs({
+    name: 'TestApp',
+    installers: {
+      darwin: { url: 'https://example.com/app.dmg', signature: 'https://example.com/app.dmg.sig' },
+      linux: { deb: 'https://example.com/app.deb' }
+    },
+    fallback: 'https://example.com/releases',
+    homepage: 'https://example.com'
+  });
+  assert(urls.length === 5, 'Should list five URLs');
+  assert(urls.includes('https://example.com/app.dmg.sig'), 'Should include signature URL');
+  assert(urls.includes('https://example.com/releases'), 'Should include fallback');
+});
+
+test('getInstallerExtensions: expects files that suit the platform', () => {
+  assert(core.getInstallerExtensions({ platform: 'darwin' }).includes('.dmg'), 'macOS disk images');
+  assert(core.getInstallerExtensions({ platform: 'linux', format: 'deb' }).join() === '.deb', 'Linux formats narrow the list');
+  assert(core.getInstallerExtensions({ platform: 'linux' }).includes('.rpm'), 'Plain Linux installers may be any format');
+  assert(core.getInstallerExtensions({ platform: 'android', format: 'apk' }).join() === '.apk', 'APKs');
+  assert(core.getInstallerExtensions({ platform: 'ios' }).length === 0, 'Store listings are not files');
+  assert(core.getInstallerExtensions({ platform: 'android', format: 'play' }).length === 0, 'Play listings are not files');
+});
+
+test('formatSize: formats bytes for display', () => {
+  assert(core.formatSize(512) === '512 B', 'Bytes');
+  assert(core.formatSize(2048) === '2.0 KB', 'Kilobytes');
+  assert(core.formatSize(88293376) === '84.2 MB', 'Megabytes');
+});
+
+test('listInstallers: orders Linux formats by distro preference', () => {
+  const installers = {
+    linux: {
+      deb: 'https://example.com/app.deb',
+      rpm: 'https://example.com/app.rpm'
+    }
+  };
+  const fedora = core.listInstallers(installers, 'fedora');
+  assert(fedora[0].format === 'rpm', 'Fedora lists .rpm first');
+  assert(fedora[1].format === 'deb', 'Other formats follow');
+});
+
+test('listInstallers: flattens platforms and architectures in order', () => {
+  const list = core.listInstallers({
+    linux: 'https://example.com/app.AppImage',
+    darwin: {
+      universal: 'https://example.com/app.dmg',
+      arm64: 'https://example.com/app-arm64.dmg'
+    }
+  });
+  assert(list.length === 3, 'Should list three installers');
+  assert(list[0].platform === 'darwin' && list[0].arch === 'arm64', 'darwin/arm64 first');
+  assert(list[1].arch === 'universal', 'universal after specific builds');
+  assert(list[2].platform === 'linux', 'linux last');
+});
+
+// ---------------------------------------------------------------------------
+// Release Asset Resolution
+// ---------------------------------------------------------------------------
+
+test('resolveReleaseAssets: matches globs and regexes against asset names', () => {
+  const source = {
+    assets: {
+      darwin: '*-macOS.dmg',
+      win32: '/setup-.*\\.exe$/i',
+      linux: { x64: { deb: '*_amd64.deb' } }
+    }
+  };
+  const release = {
+    assets: [
+      { name: 'App-1.0-macOS.dmg', browser_download_url: 'https://example.com/mac.dmg' },
+      { name: 'App-Setup-1.0.EXE', browser_download_url: 'https://example.com/win.exe' },
+      { name: 'app_1.0_amd64.deb', browser_download_url: 'https://example.com/app.deb' }
+    ]
+  };
+  const { installers, missing } = core.resolveReleaseAssets(source, release);
+  assert(installers.darwin === 'https://example.com/mac.dmg', 'Should match glob');
+  assert(installers.win32 === 'https://example.com/win.exe', 'Should match case-insensitive regex');
+  assert(installers.linux.x64.deb === 'https://example.com/app.deb', 'Should keep nesting');
+  assert(missing.length === 0, 'Nothing missing');
+});
+
+test('resolveReleaseAssets: keeps asset digest and size', () => {
+  const source = { assets: { darwin: '*.dmg' } };
+  const release = {
+    assets: [{
+      name: 'App.dmg',
+      browser_download_url: 'https://example.com/App.dmg',
+      size: 1024,
+      digest: 'sha256:' + 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'.toUpperCase()
+    }]
+  };
+  const { installers } = core.resolveReleaseAssets(source, release);
+  assert(installers.darwin.url === 'https://example.com/App.dmg', 'Should keep URL');
+  assert(installers.darwin.sha256 === 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855', 'Should normalize digest');
+  assert(installers.darwin.size === 1024, 'Should keep size');
+});
+
+test('resolveReleaseAssets: glob characters are anchored and literal', () => {
+  const source = { assets: { darwin: 'App.dmg' } };
+  const release = {
+    assets: [{ name: 'AppXdmg.zip', browser_download_url: 'https://example.com/x' }]
+  };
+  const { installers, missing } = core.resolveReleaseAssets(source, release);
+  assert(!installers.darwin, 'Dot should not match any character');
+  assert(missing[0] === 'darwin', 'Should report darwin missing');
+});
+
+// ---------------------------------------------------------------------------
+// Badge Generation
+// ---------------------------------------------------------------------------
+
+test('generateBadge: creates valid SVG', () => {
+  const config = {
+    name: 'TestApp',
+    installers: { darwin: 'https://example.com/app.dmg' }
+  };
+  const svg = core.generateBadge(config);
+  assert(svg.includes('<svg'), 'Should contain SVG tag');
+  assert(svg.includes('TestApp'), 'Should contain app name');
+  assert(svg.includes('Install'), 'Should contain default label');
+});
+
+test('generateBadge: respects custom label and color', () => {
+  const config = {
+    name: 'TestApp',
+    installers: { darwin: 'https://example.com/app.dmg' },
+    badge: {
+      label: 'Download',
+      color: '#ff0000'
+    }
+  };
+  const svg = core.generateBadge(config);
+  assert(svg.includes('Download'), 'Should contain custom label');
+  assert(svg.includes('#ff0000'), 'Should contain custom color');
+});
+
+test('measureText: uses per-character Verdana widths', () => {
+  assert(core.measureText('build') === 26.7, 'Should match the width table');
+  assert(core.measureText('iiii') < core.measureText('WWWW'), 'Narrow letters are narrower');
+  assert(core.measureText('') === 0, 'Empty text has no width');
+});
+
+test('measureText: handles accents, CJK and emoji', () => {
+  assert(core.measureText('café') === core.measureText('cafe'), 'Accents measure as base letters');
+  assert(core.measureText('日本') === 22, 'CJK characters are 1em wide');
+  assert(
+    core.measureText('👨\u200d👩\u200d👧') === core.measureText('👨'),
+    'ZWJ sequences render as one emoji'
+  );
+  assert(core.measureText('🇺🇸') === core.measureText('👨'), 'Flags render as one emoji');
+});
+
+test('generateBadge: sizes segments from measured text', () => {
+  const svg = core.generateBadge({ name: 'WWWWWWWW', installers: {} });
+  const narrow = core.generateBadge({ name: 'iiiiiiii', installers: {} });
+  const width = s => Number(s.match(/width="([\d.]+)"/)[1]);
+
+  assert(width(svg) === 45 + Math.ceil(core.measureText('WWWWWWWW')) + 10, 'Should fit wide names');
+  assert(width(narrow) < width(svg), 'Narrow names should give narrower badges');
+  assert(svg.includes(`textLength="${core.measureText('WWWWWWWW')}"`), 'Should set textLength');
+});
+
+test('generateBadge: renders every style', () => {
+  const heights = { flat: 20, 'flat-square': 20, plastic: 18, 'for-the-badge': 28, social: 20 };
+
+  Object.keys(heights).forEach(style => {
+    const svg = core.generateBadge({ name: 'TestApp', badge: { style }, installers: {} });
+    assert(svg.includes(`height="${heights[style]}"`), `${style} should be ${heights[style]}px tall`);
+  });
+
+  const square = core.generateBadge({ name: 'TestApp', badge: { style: 'flat-square' }, installers: {} });
+  assert(square.includes('rx="0"') && !square.includes('linearGradient'), 'flat-square has no rounding or gradient');
+
+  const loud = core.generateBadge({ name: 'TestApp', badge: { style: 'for-the-badge' }, installers: {} });
+  assert(loud.includes('>INSTALL<') && loud.includes('>TESTAPP<'), 'for-the-badge is uppercase');
+  assert(loud.includes('font-weight="bold"'), 'for-the-badge message is bold');
+
+  const social = core.generateBadge({ name: 'TestApp', badge: { style: 'social' }, installers: {} });
+  assert(social.includes('l-3 3v1l3 3'), 'social has a speech bubble arrow');
+});
+
+test('generateBadge: applies labelColor and rounded', () => {
+  const svg = core.generateBadge({
+    name: 'TestApp',
+    badge: { labelColor: '#222', rounded: false },
+    installers: {}
+  });
+  assert(svg.includes('<path fill="#222"'), 'Should use labelColor');
+  assert(svg.includes('rx="0"'), 'rounded: false should square the corners');
+
+  const pill = core.generateBadge({ name: 'TestApp', badge: { rounded: 10 }, installers: {} });
+  assert(pill.includes('rx="10"'), 'Numeric rounded sets the radius');
+});
+
+test('validateConfig: checks badge style and options', () => {
+  const result = core.validateConfig({
+    name: 'TestApp',
+    badge: { style: 'fancy', labelColor: 'nope', logoColor: '#12', rounded: 'yes' },
+    installers: { darwin: 'https://example.com/app.dmg' }
+  });
+  assert(hasIssue(result.errors, '/badge/style', 'must be one of: flat, flat-square'), 'Should reject unknown style');
+  assert(hasIssue(result.errors, '/badge/labelColor'), 'Should reject labelColor');
+  assert(hasIssue(result.errors, '/badge/logoColor'), 'Should reject logoColor');
+  assert(hasIssue(result.errors, '/badge/rounded'), 'Should reject rounded');
+
+  const ok = core.validateConfig({
+    name: 'TestApp',
+    badge: { style: 'plastic', labelColor: 'black', logoColor: '#fff', rounded: true },
+    installers: { darwin: 'https://example.com/app.dmg' }
+  });
+  assert(ok.valid, 'Known styles and options should pass');
+});
+
+test('generateBadge: draws built-in and data URI logos', () => {
+  const icon = core.generateBadge({ name: 'TestApp', badge: { logo: 'windows', logoColor: 'gold' }, installers: {} });
+  const plain = core.generateBadge({ name: 'TestApp', installers: {} });
+  const width = svg => Number(svg.match(/width="([\d.]+)"/)[1]);
+
+  assert(icon.includes('<svg x="5" y="3" width="14" height="14"'), 'Should place the icon left of the label');
+  assert(icon.includes('fill="gold"'), 'Should use logoColor');
+  assert(width(icon) === width(plain) + 17, 'Should widen the label by the icon and gap');
+
+  const uri = 'data:image/svg+xml;base64,PHN2Zy8+';
+  const image = core.generateBadge({ name: 'TestApp', badge: { logo: uri }, installers: {} });
+  assert(image.includes(`<image x="5" y="3" width="14" height="14" href="${uri}"/>`), 'Should embed the data URI');
+});
+
+test('generateBadge: auto logo follows the visitor platform', () => {
+  const config = {
+    name: 'TestApp',
+    badge: { logo: 'auto' },
+    installers: { darwin: 'https://example.com/app.dmg' }
+  };
+
+  const mac = core.generateBadge(config, { os: 'darwin' });
+  assert(mac.includes('>Install for macOS<'), 'Should name the platform');
+
+  const linux = core.generateBadge(config, { os: 'linux' });
+  assert(linux.includes('>Install<'), 'Platforms without installers keep the plain label');
+
+  const unknown = core.generateBadge(config);
+  assert(unknown.includes('>Install<') && unknown.includes('<path fill="#fff"'), 'Unknown visitors get the download icon');
+});
+
+test('validateConfig: checks badge logo', () => {
+  ['auto', 'apple', 'download', 'data:image/svg+xml,<svg/>'].forEach(logo => {
+    const result = core.validateConfig({ name: 'TestApp', badge: { logo }, installers: { darwin: 'https://example.com/app.dmg' } });
+    assert(result.valid, `${logo} should be accepted`);
+  });
+  ['github', 'data:text/html,hi', 'https://example.com/logo.svg'].forEach(logo => {
+    const result = core.validateConfig({ name: 'TestApp', badge: { logo }, installers: { darwin: 'https://example.com/app.dmg' } });
+    assert(hasIssue(result.errors, '/badge/logo', 'must be'), `${logo} should be rejected`);
+  });
+});
+
+const TEMPLATE_CONFIG = {
+  name: 'TestApp',
+  version: '2.1.0',
+  badge: { label: 'Install v{version}', message: '{name} · {size}' },
+  installers: {
+    darwin: { url: 'https://example.com/app.dmg', size: 88293376 },
+    win32: { url: 'https://example.com/app.exe', size: 1536 }
+  }
+};
+
+test('generateBadge: fills text templates from the config', () => {
+  const svg = core.generateBadge(TEMPLATE_CONFIG);
+  assert(svg.includes('>Install v2.1.0<'), 'Should fill {version}');
+  assert(svg.includes('>TestApp · 84.2 MB<'), 'Should default {size} to the first sized installer');
+
+  const windows = core.generateBadge(TEMPLATE_CONFIG, { os: 'win32' });
+  assert(windows.includes('>TestApp · 1.5 KB<'), 'Should use the visitor platform size');
+});
+
+test('generateBadge: drops empty placeholders with their separator', () => {
+  const text = core.getBadgeText({
+    name: 'TestApp',
+    badge: { label: 'Get {version}', message: '{size} | {name} · {size}', detail: '{version}' },
+    installers: { linux: 'https://example.com/app.AppImage' }
+  });
+  assert(text.label === 'Get', 'Missing version should vanish');
+  assert(text.message === 'TestApp', 'Separators next to empty values should go');
+  assert(text.detail === '', 'Empty detail means no third segment');
+
+  const counted = core.getBadgeText({
+    name: 'TestApp',
+    badge: { message: '{platforms} platforms' },
+    installers: { linux: 'https://example.com/app.AppImage', darwin: 'https://example.com/app.dmg' }
+  });
+  assert(counted.message === '2 platforms', 'Should count platforms');
+});
+
+test('generateBadge: renders a three-segment badge', () => {
+  const config = {
+    ...TEMPLATE_CONFIG,
+    badge: { label: 'Install', detail: 'v{version}', detailColor: 'teal' }
+  };
+  const svg = core.generateBadge(config);
+  const two = core.generateBadge({ ...config, badge: { label: 'Install' } });
+  const width = image => Number(image.match(/width="([\d.]+)"/)[1]);
+
+  assert(svg.includes('>v2.1.0<'), 'Should draw the detail text');
+  assert(svg.includes('<path fill="teal"'), 'Should use detailColor');
+  assert(width(svg) > width(two), 'Should widen the badge');
+
+  const social = core.generateBadge({ ...config, badge: { ...config.badge, style: 'social' } });
+  assert(social.includes('>TestApp v2.1.0<'), 'Social badges put the detail in the bubble');
+
+  const png = decodePNG(core.generateBadgePNG(config));
+  const plain = decodePNG(core.generateBadgePNG({ ...config, badge: { label: 'Install' } }));
+  assert(png.width > plain.width, 'PNG badges get the third segment too');
+});
+
+test('validateConfig: reports unknown badge placeholders', () => {
+  const result = core.validateConfig({
+    name: 'TestApp',
+    badge: { label: 'Install {verison}', detail: 42 },
+    installers: { darwin: 'https://example.com/app.dmg' },
+    channels: { beta: { badge: { message: '{name} {tag}' } } }
+  });
+  assert(hasIssue(result.errors, '/badge/label', 'has unknown placeholder {verison}'), 'Should name the placeholder');
+  assert(hasIssue(result.errors, '/badge/detail', 'must be a string'), 'Should type-check detail');
+  assert(hasIssue(result.errors, '/channels/beta/badge/message', 'has unknown placeholder {tag}'), 'Should check channel badges');
+
+  assert(core.validateConfig(TEMPLATE_CONFIG).valid, 'Known placeholders should pass');
+});
+
+test('generateSnippets: alt text uses the badge templates', () => {
+  const snippets = core.generateSnippets(TEMPLATE_CONFIG);
+  assert(snippets.markdown.startsWith('[![Install v2.1.0 TestApp · 84.2 MB]'), 'Alt text should match the badge');
+});
+
+/**
+ * Decode an 8-bit RGBA PNG from generateBadgePNG()
+ * Checks chunk CRCs and returns { width, height, pixel(x, y) }
+ */
+function decodePNG(png) {
+  const buf = Buffer.from(png);
+  assert(buf.slice(0, 8).toString('hex') === '89504e470d0a1a0a', 'Should start with the PNG signature');
+
+  const zlib = require('zlib');
+  const chunks = {};
+  for (let i = 8; i < buf.length;) {
+    const length = buf.readUInt32BE(i);
+    const type = buf.slice(i + 4, i + 8).toString('ascii');
+    const body = buf.slice(i + 8, i + 8 + length);
+    // zlib.crc32 needs Node 20.15+
+    if (zlib.crc32) {
+      assert(zlib.crc32(buf.slice(i + 4, i + 8 + length)) === buf.readUInt32BE(i + 8 + length), `${type} CRC`);
+    }
+    chunks[type] = Buffer.concat([chunks[type] || Buffer.alloc(0), body]);
+    i += 12 + length;
+  }
+
+  const width = chunks.IHDR.readUInt32BE(0);
+  const height = chunks.IHDR.readUInt32BE(4);
+  const raw = zlib.inflateSync(chunks.IDAT);
+  assert(raw.length === (width * 4 + 1) * height, 'Should hold every row');
+
+  return {
+    width,
+    height,
+    pixel: (x, y) => Array.from(raw.slice(y * (width * 4 + 1) + 1 + x * 4).slice(0, 4))
+  };
+}
+
+test('generateBadgePNG: encodes a decodable RGBA image', () => {
+  const image = decodePNG(core.generateBadgePNG({ name: 'TestApp', installers: {} }));
+  const square = decodePNG(core.generateBadgePNG({ name: 'TestApp', badge: { style: 'flat-square' }, installers: {} }));
+
+  assert(image.height === 20, 'Should be 20px tall');
+  assert(image.pixel(0, 0)[3] < 255, 'Rounded corners should be transparent');
+  assert(image.pixel(2, 18)[0] < image.pixel(2, 1)[0], 'Flat gradient should darken the bottom');
+  assert(square.pixel(2, 10).join() === '85,85,85,255', 'Label should be #555');
+  assert(square.pixel(square.width - 2, 2).join() === '3,102,214,255', 'Message should use the badge color');
+});
+
+test('generateBadgePNG: honors scale and style', () => {
+  const base = decodePNG(core.generateBadgePNG({ name: 'TestApp', installers: {} }));
+  const double = decodePNG(core.generateBadgePNG({ name: 'TestApp', installers: {} }, { scale: 2 }));
+  assert(double.width === base.width * 2 && double.height === 40, 'Scale 2 doubles both sides');
+
+  const capped = decodePNG(core.generateBadgePNG({ name: 'TestApp', installers: {} }, { scale: 50 }));
+  assert(capped.height === 80, 'Scale is capped at 4');
+
+  const tall = decodePNG(core.generateBadgePNG({ name: 'TestApp', badge: { style: 'for-the-badge' }, installers: {} }));
+  assert(tall.height === 28, 'for-the-badge should be 28px tall');
+  assert(tall.pixel(0, 0)[3] === 255, 'for-the-badge has square corners');
+});
+
+test('generateBadgePNG: lowers the scale of wide badges and rejects huge ones', () => {
+  const wide = { name: 'W'.repeat(1500), badge: { style: 'for-the-badge' }, installers: {} };
+  const image = decodePNG(core.generateBadgePNG(wide, { scale: 4 }));
+  assert(image.width * image.height <= 1024 * 1024, `Should stay within the pixel cap: ${image.width}x${image.height}`);
+  assert(image.height === 28 || image.height === 56, `Should fall back to a lower scale: ${image.height}`);
+
+  let error = null;
+  try {
+    core.generateBadgePNG({ ...wide, name: 'W'.repeat(7000) }, { scale: 4 });
+  } catch (err) {
+    error = err;
+  }
+  assert(error && error.message.startsWith('Badge is too wide for a PNG'), 'Should refuse badges over the cap at scale 1');
+});
+
+test('generateBadgePNG: draws text and logos', () => {
+  const plain = decodePNG(core.generateBadgePNG({ name: 'TestApp', badge: { style: 'flat-square' }, installers: {} }));
+  const logo = decodePNG(core.generateBadgePNG({ name: 'TestApp', badge: { style: 'flat-square', logo: 'windows' }, installers: {} }));
+  const white = image => {
+    let count = 0;
+    for (let x = 0; x < image.width; x++) {
+      for (let y = 0; y < image.height; y++) {
+        if (image.pixel(x, y).join() === '255,255,255,255') count++;
+      }
+    }
+    return count;
+  };
+
+  assert(white(plain) > 50, 'Should draw white text');
+  assert(logo.width === plain.width + 17, 'Should make room for the logo');
+  assert(white(logo) > white(plain) + 50, 'Should draw the logo');
+});
+
+// ---------------------------------------------------------------------------
+// Escaping
+// ---------------------------------------------------------------------------
+
+test('escapeHTML: escapes markup and drops control characters', () => {
+  assert(
+    core.escapeHTML(`<a href="x" title='y'>&\u0000</a>`) ===
+      '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;',
+    'Should escape all five characters'
+  );
+});
+
+test('safeURL: only passes HTTP(S) URLs through', () => {
+  assert(core.safeURL('https://example.com/a') === 'https://example.com/a', 'Should keep https');
+  assert(core.safeURL('javascript:alert(1)') === '#', 'Should replace javascript:');
+  assert(core.safeURL(undefined, null) === null, 'Should use the fallback');
+});
+
+test('generateBadge: escapes text and ignores invalid colors', () => {
+  const svg = core.generateBadge({
+    name: '</text><script>alert(1)</script>',
+    badge: { label: 'a"b', color: 'red"/><script>' },
+    installers: {}
+  });
+  assert(!svg.includes('<script'), 'Should escape the name');
+  assert(svg.includes('a&quot;b'), 'Should escape the label');
+  assert(svg.includes('fill="#0366d6"'), 'Should fall back to the default color');
+});
+
+test('generateSnippets: escapes alt text and link targets', () => {
+  const snippets = core.generateSnippets({
+    name: 'App](https://evil.example) <b>',
+    installers: { darwin: 'https://example.com/a b(1).dmg' }
+  }, './badge.svg', null);
+  assert(
+    snippets.markdown ===
+      '[![Install App\\](https://evil.example) \\<b\\>](./badge.svg)](https://example.com/a%20b%281%29.dmg)',
+    'Should escape Markdown'
+  );
+  assert(snippets.html.includes('alt="Install App](https://evil.example) &lt;b&gt;"'), 'Should escape HTML');
+});
+
+// ---------------------------------------------------------------------------
+// Localization
+// ---------------------------------------------------------------------------
+
+const I18N_CONFIG = {
+  name: 'TestApp',
+  installers: { darwin: 'https://example.com/app.dmg' },
+  i18n: {
+    translations: {
+      de: { label: 'Jetzt laden', strings: { learnMore: 'Zur Website' } },
+      'pt-BR': { strings: { downloadFor: 'Baixar para {platform}' } },
+      eo: { platforms: { darwin: 'macOS-o' } }
+    }
+  }
+};
+
+test('resolveLocale: prefers lang, then Accept-Language, then the default', () => {
+  assert(core.resolveLocale(I18N_CONFIG, { lang: 'fr', acceptLanguage: 'de' }) === 'fr', 'lang should win');
+  assert(core.resolveLocale(I18N_CONFIG, { acceptLanguage: 'xx, de-AT;q=0.8, fr;q=0.9' }) === 'fr', 'Should honor q values');
+  assert(core.resolveLocale(I18N_CONFIG, { acceptLanguage: 'de-AT' }) === 'de', 'Should match the primary language');
+  assert(core.resolveLocale(I18N_CONFIG, { acceptLanguage: 'pt-br' }) === 'pt-BR', 'Should match config tags case-insensitively');
+  assert(core.resolveLocale(I18N_CONFIG, { acceptLanguage: 'eo' }) === 'eo', 'Config translations add languages');
+  assert(core.resolveLocale(I18N_CONFIG, { lang: 'xx', acceptLanguage: 'fr;q=0' }) === 'en', 'Should fall back to English');
+  assert(
+    core.resolveLocale({ ...I18N_CONFIG, i18n: { defaultLocale: 'ja' } }) === 'ja',
+    'Should fall back to defaultLocale'
+  );
+});
+
+test('matchLocale: only the locale lang alone picks', () => {
+  assert(core.matchLocale(I18N_CONFIG, 'de-AT') === 'de', 'Should match the primary language');
+  assert(core.matchLocale(I18N_CONFIG, 'eo') === 'eo', 'Config translations add languages');
+  assert(core.matchLocale(I18N_CONFIG, 'xx') === null, 'Unknown languages match nothing');
+  assert(core.matchLocale(I18N_CONFIG, 'not a tag') === null, 'Malformed tags match nothing');
+  assert(core.matchLocale(I18N_CONFIG) === null, 'No lang matches nothing');
+});
+
+test('getMessages: layers config translations over built-in strings', () => {
+  const de = core.getMessages(I18N_CONFIG, 'de');
+  assert(de.t('learnMore') === 'Zur Website', 'Config strings should win');
+  assert(de.t('noInstaller').startsWith('Für Ihre Plattform'), 'Built-in strings fill the rest');
+
+  const br = core.getMessages(I18N_CONFIG, 'pt-BR');
+  assert(br.t('downloadFor', { platform: 'Linux' }) === 'Baixar para Linux', 'Should fill placeholders');
+  assert(br.t('learnMore') === 'Saiba mais', 'Regional tags inherit the language');
+
+  assert(core.getMessages(I18N_CONFIG, 'eo').platforms.darwin === 'macOS-o', 'Should translate platform names');
+  assert(core.getMessages(I18N_CONFIG, 'ar').dir === 'rtl', 'Should mark right-to-left languages');
+});
+
+test('getMessages: ships the page strings in at least a dozen languages', () => {
+  const english = core.getMessages({ name: 'TestApp' }, 'en');
+  const languages = ['de', 'es', 'fr', 'it', 'ja', 'ko', 'nl', 'pl', 'pt', 'ru', 'sv', 'tr', 'uk', 'zh'];
+
+  languages.forEach(locale => {
+    const messages = core.getMessages({ name: 'TestApp' }, locale);
+    ['detectedOS', 'noInstaller', 'downloadFor', 'learnMore', 'install'].forEach(key => {
+      assert(messages.t(key) !== english.t(key), `${locale} should translate ${key}`);
+    });
+  });
+});
+
+test('generateBadge: localizes the default label', () => {
+  const config = { name: 'TestApp', installers: { darwin: 'https://example.com/app.dmg' } };
+  assert(core.generateBadge(config, { locale: 'fr' }).includes('>Installer<'), 'Should translate Install');
+
+  const custom = core.generateBadge({ ...config, badge: { label: 'Get' } }, { locale: 'fr' });
+  assert(custom.includes('>Get<'), 'A custom label without a translation stays as written');
+
+  assert(core.generateBadge(I18N_CONFIG, { locale: 'de' }).includes('>Jetzt laden<'), 'Translated labels win');
+
+  const auto = core.generateBadge({ ...config, badge: { logo: 'auto' } }, { os: 'darwin', locale: 'de' });
+  assert(auto.includes('>Installieren für macOS<'), 'Platform labels should be translated');
+});
+
+test('validateConfig: checks i18n', () => {
+  assert(core.validateConfig(I18N_CONFIG).valid, 'Valid translations should pass');
+
+  const result = core.validateConfig({
+    name: 'TestApp',
+    installers: { darwin: 'https://example.com/app.dmg' },
+    i18n: {
+      defaultLocale: 'not a tag',
+      translations: {
+        'de_DE': {},
+        fr: {
+          label: 'Installer {foo}',
+          strings: { footer: 'x', downloadFor: 'Pour {os}' },
+          platforms: { beos: 'BeOS' }
+        }
+      }
+    }
+  });
+  [
+    ['/i18n/defaultLocale', 'must be a language tag'],
+    ['/i18n/translations/de_DE', 'must be a language tag'],
+    ['/i18n/translations/fr/label', 'has unknown placeholder {foo}'],
+    ['/i18n/translations/fr/strings/downloadFor', 'has unknown placeholder {os}'],
+    ['/i18n/translations/fr/platforms/beos', 'unknown platform']
+  ].forEach(([path, message]) => {
+    assert(hasIssue(result.errors, path, message), `Should report: ${path}: ${message}`);
+  });
+  assert(hasIssue(result.warnings, '/i18n/translations/fr/strings/footer', 'unknown field'), 'Should warn about unknown page strings');
+});
+
+// ---------------------------------------------------------------------------
+// Channels
+// ---------------------------------------------------------------------------
+
+const CHANNEL_CONFIG = {
+  name: 'TestApp',
+  homepage: 'https://example.com',
+  badge: { color: '#0366d6' },
+  channels: {
+    stable: {
+      version: '1.0.0',
+      installers: { darwin: 'https://example.com/stable.dmg' }
+    },
+    beta: {
+      version: '1.1.0-beta.1',
+      installers: { darwin: 'https://example.com/beta.dmg' },
+      badge: { color: '#e36209' }
+    }
+  }
+};
+
+test('validateConfig: accepts channels without top-level installers', () => {
+  const result = core.validateConfig(CHANNEL_CONFIG);
+  assert(result.valid === true, `Should be valid: ${describe(result.errors)}`);
+});
+
+test('validateConfig: reports channel errors with their channel', () => {
+  const config = {
+    name: 'TestApp',
+    defaultChannel: 'nightly',
+    channels: {
+      beta: { version: '', installers: { darwin: 'nope' } },
+      'bad name': { installers: { darwin: 'https://example.com/a.dmg' } },
+      empty: {}
+    }
+  };
+  const result = core.validateConfig(config);
+  assert(result.valid === false, 'Should be invalid');
+  assert(hasIssue(result.errors, '/channels/beta/version'), 'Should locate version error');
+  assert(hasIssue(result.errors, '/channels/beta/installers/darwin'), 'Should locate installer error');
+  assert(hasIssue(result.errors, '/channels/bad name', 'invalid channel name'), 'Should reject channel name');
+  assert(hasIssue(result.errors, '/channels/empty', 'installers or source is required'), 'Should require installers');
+  assert(hasIssue(result.errors, '/defaultChannel', 'must name one of: beta, bad name, empty'), 'Should check defaultChannel');
+});
+
+test('selectChannel: defaults to stable and keeps the base label', () => {
+  const config = core.selectChannel(CHANNEL_CONFIG);
+  assert(config.channel === 'stable', 'Should pick stable');
+  assert(config.version === '1.0.0', 'Should take channel version');
+  assert(!config.badge.label, 'Should not rename the default badge');
+  assert(!config.channels, 'Should drop the channels map');
+});
+
+test('selectChannel: merges channel fields and labels the badge', () => {
+  const config = core.selectChannel(CHANNEL_CONFIG, 'beta');
+  assert(config.installers.darwin === 'https://example.com/beta.dmg', 'Should use beta installers');
+  assert(config.badge.color === '#e36209', 'Should use beta color');
+  assert(config.badge.label === 'Install beta', 'Should label the badge with the channel');
+  assert(config.homepage === 'https://example.com', 'Should inherit homepage');
+});
+
+test('selectChannel: leaves {channel} labels alone', () => {
+  const config = { ...CHANNEL_CONFIG, badge: { label: 'Get {channel}' } };
+  const text = core.getBadgeText(core.selectChannel(config, 'beta'));
+  assert(text.label === 'Get beta', 'Should not append the channel twice');
+});
+
+test('selectChannel: returns null for unknown channels', () => {
+  assert(core.selectChannel(CHANNEL_CONFIG, 'nightly') === null, 'Unknown channel');
+  assert(core.selectChannel({ name: 'A', installers: {} }, 'beta') === null, 'No channels');
+});
+
+test('withChannel: suffixes files and adds query parameters to URLs', () => {
+  assert(core.withChannel('./install-badge.svg', 'beta') === './install-badge-beta.svg', 'File path');
+  assert(core.withChannel('https://ib.dev/badge.svg', 'beta') === 'https://ib.dev/badge.svg?channel=beta', 'URL');
+  assert(core.withChannel('/badge.svg?config=abc', 'beta') === '/badge.svg?config=abc&channel=beta', 'Query');
+});
+
+// ---------------------------------------------------------------------------
+// Snippet Generation
+// ---------------------------------------------------------------------------
+
+test('generateSnippets: creates markdown and HTML', () => {
+  const config = {
+    name: 'TestApp',
+    installers: { darwin: 'https://example.com/app.dmg' },
+    homepage: 'https://example.com'
+  };
+  const snippets = core.generateSnippets(config);
+  assert(snippets.markdown.includes('[![Install TestApp]'), 'Markdown should have image syntax');
+  assert(snippets.markdown.includes('(https://example.com)'), 'Markdown should have link');
+  assert(snippets.html.includes('<a href="https://example.com">'), 'HTML should have link');
+  assert(snippets.html.includes('<img'), 'HTML should have image');
+});
+
+test('generateSnippets: resolves nested installers for the fallback link', () => {
+  const config = {
+    name: 'TestApp',
+    installers: {
+      darwin: { arm64: 'https://example.com/mac-arm64' }
+    }
+  };
+  const snippets = core.generateSnippets(config);
+  assert(snippets.markdown.includes('(https://example.com/mac-arm64)'), 'Should link the nested URL');
+});
+
+test('generateSnippets: resolves an artifact entry outside the known platforms', () => {
+  const config = {
+    name: 'TestApp',
+    installers: {
+      freebsd: { url: 'https://example.com/app.pkg', sha256: 'a'.repeat(64) }
+    }
+  };
+  const snippets = core.generateSnippets(config);
+  assert(snippets.markdown.includes('(https://example.com/app.pkg)'), `Should link the artifact URL: ${snippets.markdown}`);
+  assert(!snippets.html.includes('[object Object]'), 'Should never link the entry itself');
+});
+
+test('generateSnippets: uses installer fallback when homepage absent', () => {
+  const config = {
+    name: 'TestApp',
+    installers: {
+      linux: 'https://example.com/linux',
+      darwin: 'https://example.com/mac'
+    }
+  };
+  const snippets = core.generateSnippets(config);
+  assert(
+    snippets.markdown.includes('https://example.com/mac'),
+    'Should prefer darwin installer when homepage not provided'
+  );
+});
+
+test('generateSnippets: emits one snippet per channel', () => {
+  const snippets = core.generateSnippets(CHANNEL_CONFIG);
+  assert(snippets.markdown.includes('./install-badge.svg'), 'Default snippet keeps badge path');
+  assert(Object.keys(snippets.channels).join() === 'stable,beta', 'Should list channels in order');
+  assert(
+    snippets.channels.beta.markdown ===
+      '[![Install beta TestApp](./install-badge-beta.svg)](https://example.com/beta.dmg)',
+    'Beta snippet should use beta badge and installer'
+  );
+});
+
+test('generateSnippets: channel snippets follow a custom install URL', () => {
+  const snippets = core.generateSnippets(
+    CHANNEL_CONFIG,
+    'https://ib.dev/badge.svg?config=abc',
+    'https://ib.dev/install?config=abc'
+  );
+  assert(
+    snippets.channels.beta.html.includes('href="https://ib.dev/install?config=abc&amp;channel=beta"'),
+    'Should add channel to install URL'
+  );
+});
+
+test('generateSnippets: renders every format with the same image and link', () => {
+  const snippets = core.generateSnippets(
+    { name: 'TestApp', installers: { darwin: 'https://example.com/app.dmg' } },
+    './install-badge.svg',
+    'https://ib.dev/install'
+  );
+  const expected = {
+    rst: '.. image:: ./install-badge.svg\n   :alt: Install TestApp\n   :target: https://ib.dev/install',
+    asciidoc: 'image:./install-badge.svg["Install TestApp",link="https://ib.dev/install"]',
+    bbcode: '[url=https://ib.dev/install][img]./install-badge.svg[/img][/url]',
+    org: '#+ATTR_HTML: :alt Install TestApp\n[[https://ib.dev/install][file:./install-badge.svg]]',
+    mediawiki: '[[File:install-badge.svg|link=https://ib.dev/install|alt=Install TestApp]]',
+    jsx: '<a href="https://ib.dev/install">\n  <img src="./install-badge.svg" alt="Install TestApp" />\n</a>'
+  };
+
+  assert(
+    core.listSnippetFormats().map(f => f.id).join() === 'markdown,html,rst,asciidoc,bbcode,org,mediawiki,jsx',
+    'Should list every format'
+  );
+  Object.keys(expected).forEach(format => {
+    assert(snippets[format] === expected[format], `Unexpected ${format}: ${snippets[format]}`);
+  });
+});
+
+test('generateSnippets: remote badges link directly in wiki and Org formats', () => {
+  const snippets = core.generateSnippets(
+    { name: 'TestApp', installers: { darwin: 'https://example.com/app.dmg' } },
+    'https://ib.dev/badge.svg?config=abc',
+    'https://ib.dev/install?config=abc'
+  );
+  assert(snippets.mediawiki === '[https://ib.dev/install?config=abc https://ib.dev/badge.svg?config=abc]', 'MediaWiki');
+  assert(snippets.org.endsWith('[[https://ib.dev/install?config=abc][https://ib.dev/badge.svg?config=abc]]'), 'Org');
+});
+
+test('generateSnippets: escapes every format', () => {
+  const snippets = core.generateSnippets({
+    name: 'App"]|[ <b>{x}\n:target: evil',
+    installers: { darwin: 'https://example.com/a b[1]|"x.dmg' }
+  }, './badge.svg', null);
+
+  assert(!snippets.rst.includes('\n:target: evil'), 'reStructuredText keeps options on one line');
+  assert(snippets.rst.includes(':target: https://example.com/a%20b[1]|"x.dmg'), 'reStructuredText encodes spaces');
+  assert(snippets.asciidoc.includes('["Install App\\"\\]|[ <b>{x} :target: evil",'), 'AsciiDoc escapes the alt text');
+  assert(snippets.asciidoc.includes('link="https://example.com/a%20b%5B1%5D|%22x.dmg"'), 'AsciiDoc encodes the link');
+  assert(snippets.bbcode.startsWith('[url=https://example.com/a%20b%5B1%5D|"x.dmg]'), 'BBCode encodes brackets');
+  assert(snippets.org.includes('[[https://example.com/a%20b%5B1%5D|"x.dmg]'), 'Org encodes brackets');
+  assert(
+    snippets.mediawiki.includes('|link=https://example.com/a%20b%5B1%5D%7C"x.dmg|alt=Install App&quot;&#93;&#124;&#91; &lt;b&gt;{x}'),
+    'MediaWiki escapes pipes and brackets'
+  );
+  assert(snippets.jsx.includes('alt={"Install App\\"]|[ <b>{x} :target: evil"}'), 'JSX uses a string expression');
+});
+
+test('validateConfig: checks package manager commands', () => {
+  const base = { name: 'TestApp', installers: { darwin: 'https://example.com/app.dmg' } };
+  const valid = core.validateConfig({
+    ...base,
+    commands: {
+      darwin: { brew: 'myapp' },
+      win32: { winget: 'Example.MyApp', npm: '@example/myapp' },
+      linux: { snap: 'myapp --classic', cargo: 'myapp --version=1.2.0' }
+    }
+  });
+  assert(valid.valid === true, `Should be valid: ${describe(valid.errors)}`);
+
+  const errors = core.validateConfig({
+    ...base,
+    commands: {
+      beos: { brew: 'myapp' },
+      ios: 'myapp',
+      darwin: { apt: 'myapp', pip: 'myapp' },
+      linux: { snap: 'myapp && reboot', flatpak: '$(id)', apt: 'myapp --opt="x"' }
+    }
+  }).errors;
+  [
+    ['/commands/beos', 'no package manager runs on this platform'],
+    ['/commands/ios', 'no package manager runs on this platform'],
+    ['/commands/darwin/apt', 'unknown macOS package manager (use brew, npm or cargo)'],
+    ['/commands/darwin/pip', 'unknown macOS package manager'],
+    ['/commands/linux/snap', 'must be a package name, optionally followed by --flags'],
+    ['/commands/linux/flatpak', 'must be a package name'],
+    ['/commands/linux/apt', 'must be a package name']
+  ].forEach(([path, message]) => {
+    assert(hasIssue(errors, path, message), `Should report "${path}: ${message}": ${describe(errors)}`);
+  });
+
+  const empty = core.validateConfig({ ...base, commands: { linux: {} } });
+  assert(hasIssue(empty.errors, '/commands/linux', 'must map package managers to package names'), 'Empty platforms are rejected');
+
+  const channel = core.validateConfig({ ...CHANNEL_CONFIG, channels: { ...CHANNEL_CONFIG.channels, beta: { ...CHANNEL_CONFIG.channels.beta, commands: { linux: { brew: 'a|b' } } } } });
+  assert(hasIssue(channel.errors, '/channels/beta/commands/linux/brew', 'must be a package name, optionally followed by --flags'), 'Channels are checked too');
+});
+
+test('listInstallCommands: orders platforms and skips invalid entries', () => {
+  const commands = core.listInstallCommands({
+    commands: {
+      linux: { flatpak: 'com.example.MyApp', apt: 'myapp; rm -rf /', snap: '  myapp   --classic ' },
+      darwin: { brew: 'myapp' },
+      win32: { brew: 'myapp', scoop: 'myapp' }
+    }
+  });
+  assert(
+    JSON.stringify(commands) === JSON.stringify([
+      { platform: 'darwin', manager: 'brew', command: 'brew install myapp' },
+      { platform: 'win32', manager: 'scoop', command: 'scoop install myapp' },
+      { platform: 'linux', manager: 'flatpak', command: 'flatpak install flathub com.example.MyApp' },
+      { platform: 'linux', manager: 'snap', command: 'sudo snap install myapp --classic' }
+    ]),
+    `Unexpected commands: ${JSON.stringify(commands)}`
+  );
+  assert(core.listInstallCommands({ name: 'TestApp' }).length === 0, 'No commands without the field');
+});
+
+test('generateSnippets: adds an Installation section for commands', () => {
+  const config = {
+    name: 'TestApp',
+    installers: { darwin: 'https://example.com/app.dmg' },
+    commands: { win32: { winget: 'Example.TestApp' }, darwin: { brew: 'testapp' } }
+  };
+  const snippets = core.generateSnippets(config);
+  assert(
+    snippets.installation === [
+      '## Installation',
+      '',
+      '### macOS',
+      '',
+      '```sh',
+      'brew install testapp',
+      '```',
+      '',
+      '### Windows',
+      '',
+      '```powershell',
+      'winget install -e --id Example.TestApp',
+      '```'
+    ].join('\n'),
+    `Unexpected section: ${snippets.installation}`
+  );
+  assert(core.generateSnippets({ ...config, i18n: { defaultLocale: 'es' } }).installation.startsWith('## Instalación\n\n### macOS'), 'Uses the config locale');
+  assert(!('installation' in core.generateSnippets({ ...config, commands: undefined })), 'Only with commands');
+});
+
+test('joinSnippets: puts channel snippets side by side', () => {
+  const snippets = core.generateSnippets(CHANNEL_CONFIG);
+  const channels = Object.values(snippets.channels);
+  const jsx = core.joinSnippets('jsx', channels.map(s => s.jsx));
+
+  assert(jsx.startsWith('<>\n<a ') && jsx.endsWith('</a>\n</>'), 'JSX needs a fragment');
+  assert(core.joinSnippets('bbcode', channels.map(s => s.bbcode)).split('[/url] [url=').length === 2, 'Inline formats share a line');
+  assert(core.joinSnippets('rst', channels.map(s => s.rst)).includes('\n\n.. image:: ./install-badge-beta.svg'), 'Directives need a blank line');
+  assert(core.joinSnippets('jsx', [channels[0].jsx]) === channels[0].jsx, 'A single snippet needs no fragment');
+});
+
+// ---------------------------------------------------------------------------
+// Config Parsing
+// ---------------------------------------------------------------------------
+
+test('parseConfig: parses valid JSON', () => {
+  const json = JSON.stringify({
+    name: 'TestApp',
+    installers: {
+      darwin: 'https://example.com/app.dmg'
+    }
+  });
+  const result = core.parseConfig(json);
+  assert(result.success === true, 'Should succeed');
+  assert(result.config.name === 'TestApp', 'Should have correct name');
+});
+
+test('parseConfig: rejects invalid JSON', () => {
+  const json = '{ invalid json }';
+  const result = core.parseConfig(json);
+  assert(result.success === false, 'Should fail');
+  assert(result.errors.length > 0, 'Should have errors');
+});
+
+test('parseConfig: validates config after parsing', () => {
+  const json = JSON.stringify({
+    name: 'TestApp'
+  });
+  const result = core.parseConfig(json);
+  assert(result.success === false, 'Should fail validation');
+  assert(hasIssue(result.errors, '/installers', 'is required'), 'Should mention installers');
+});
+
+test('parseConfig: reads YAML and TOML', () => {
+  const yaml = [
+    '# Install Bridge',
+    'name: TestApp',
+    "version: '1.2.0'",
+    'installers:',
+    '  darwin: https://example.com/app.dmg  # universal',
+    '  win32: { x64: "https://example.com/app.exe", arm64: https://example.com/arm.exe }',
+    'page:',
+    '  releaseNotes: |',
+    '    - Faster',
+    '',
+    '    - Smaller',
+    '  screenshots:',
+    '    - https://example.com/1.png',
+    '    - url: https://example.com/2.png',
+    '      alt: Settings'
+  ].join('\n');
+  const toml = [
+    'name = "TestApp"',
+    "version = '1.2.0'",
+    '',
+    '[installers]',
+    'darwin = "https://example.com/app.dmg" # universal',
+    'win32 = { x64 = "https://example.com/app.exe", arm64 = "https://example.com/arm.exe" }',
+    '',
+    '[page]',
+    'releaseNotes = """',
+    '- Faster',
+    '',
+    '- Smaller',
+    '"""',
+    'screenshots = [',
+    '  "https://example.com/1.png",',
+    '  { url = "https://example.com/2.png", alt = "Settings" },',
+    ']'
+  ].join('\n');
+
+  const fromYAML = core.parseConfig(yaml, 'yaml');
+  const fromTOML = core.parseConfig(toml, 'toml');
+  assert(fromYAML.success, `YAML should parse: ${describe(fromYAML.errors || [])}`);
+  assert(fromTOML.success, `TOML should parse: ${describe(fromTOML.errors || [])}`);
+  assert(JSON.stringify(fromYAML.config) === JSON.stringify(fromTOML.config), 'Both should give the same config');
+  assert(fromYAML.config.page.releaseNotes === '- Faster\n\n- Smaller\n', 'Block scalars keep line breaks');
+  assert(fromYAML.config.page.screenshots[1].alt === 'Settings', 'Lists of mappings');
+});
+
+test('parseConfig: reports format errors with line numbers', () => {
+  [
+    ['name: App\nname: Other', 'yaml', 'Invalid YAML: line 2: duplicate key name'],
+    ['badge:\n    style: flat\n  color: red', 'yaml', 'Invalid YAML: line 3: unexpected indentation'],
+    ['base: &base {}\nname: *base', 'yaml', 'Invalid YAML: line 1: anchors, aliases and tags are not supported'],
+    ['name = "App"\n[badge]\ncolor = red', 'toml', 'Invalid TOML: line 3: invalid value red'],
+    ['[badge]\nstyle = "flat"\n[badge]', 'toml', 'Invalid TOML: line 3: table badge is already defined'],
+    ['badge: style: flat', 'yaml', 'Invalid YAML: line 1: unexpected ":" in style: flat; quote values that contain ": "'],
+    ['name: App\nextends: - base.yaml', 'yaml', 'Invalid YAML: line 2: unexpected "-"; start nested lists and mappings on a new line'],
+    ['badge.style = "flat"\n[badge]', 'toml', 'Invalid TOML: line 2: table badge is already defined'],
+    ['[badge.colors]\nlabel = "red"\n[badge]\ncolors.message = "blue"', 'toml', 'Invalid TOML: line 4: colors.message reaches into a table that has its own [header]'],
+    ['- a\n- b', 'yaml', 'Config must be an object'],
+    ['name: App', 'ini', 'Unknown config format: ini (use json, yaml, toml)']
+  ].forEach(([content, format, message]) => {
+    const result = core.parseConfig(content, format);
+    assert(!result.success && hasIssue(result.errors, '', message), `Expected "${message}", got "${describe(result.errors)}"`);
+  });
+});
+
+test('parseConfig: YAML and TOML follow their own typing rules', () => {
+  const yaml = core.parseConfigSource('a: 1.0\nb: "1.0"\nc: yes\nd: ~\ne: 0x1F\nf: [true, null]', 'yaml').config;
+  assert(yaml.a === 1 && yaml.b === '1.0' && yaml.c === 'yes' && yaml.d === null && yaml.e === 31, 'YAML 1.2 core schema');
+  assert(yaml.f[0] === true && yaml.f[1] === null, 'Flow sequences resolve scalars');
+
+  const toml = core.parseConfigSource("a = 1_000\nb = 0o17\nc = 1979-05-27\nd.e = 'x'\n[[f]]\ng = 1\n[[f]]\ng = 2", 'toml').config;
+  assert(toml.a === 1000 && toml.b === 15 && toml.c === '1979-05-27', 'Numbers and dates');
+  assert(toml.d.e === 'x' && toml.f.map(f => f.g).join() === '1,2', 'Dotted keys and arrays of tables');
+
+  const proto = core.parseConfigSource('__proto__:\n  polluted: true', 'yaml').config;
+  assert(({}).polluted === undefined && Object.getPrototypeOf(proto) === Object.prototype, 'Keys never touch prototypes');
+});
+
+test('getConfigFormat: picks the format from the file name', () => {
+  assert(core.getConfigFormat('install-bridge.json') === 'json', 'JSON');
+  assert(core.getConfigFormat('a/install-bridge.YML') === 'yaml', 'YAML');
+  assert(core.getConfigFormat('base.toml') === 'toml', 'TOML');
+  assert(core.getConfigFormat('install-bridge.ini') === null, 'Unknown');
+});
+
+test('mergeConfigs: layers a config over its base', () => {
+  const base = {
+    name: 'Base',
+    homepage: 'https://example.com',
+    source: { type: 'github', repo: 'acme/app' },
+    badge: { style: 'flat', color: '#0366d6', label: 'Install' },
+    page: { screenshots: ['https://example.com/1.png', 'https://example.com/2.png'] },
+    extends: './other.json'
+  };
+  const merged = core.mergeConfigs(base, {
+    name: 'App',
+    installers: { darwin: 'https://example.com/app.dmg' },
+    badge: { color: '#e36209', label: null },
+    page: { screenshots: ['https://example.com/3.png'] }
+  });
+
+  assert(merged.name === 'App' && merged.homepage === 'https://example.com', 'Fields override or carry over');
+  assert(merged.badge.style === 'flat' && merged.badge.color === '#e36209', 'Objects merge key by key');
+  assert(!('label' in merged.badge), 'null removes an inherited value');
+  assert(merged.page.screenshots.length === 1, 'Lists replace');
+  assert(merged.installers && !merged.source, 'installers replaces an inherited source');
+  assert(!('extends' in merged), 'extends is not carried over');
+  assert(base.badge.color === '#0366d6', 'The base is left untouched');
+});
+
+test('validateConfig: checks extends', () => {
+  const base = { name: 'TestApp', installers: { darwin: 'https://example.com/app.dmg' } };
+  assert(core.validateConfig({ ...base, extends: ['./base.yaml', '@acme/config'] }).valid, 'Paths are accepted');
+  [1, [], [''], ['./a.json', 2]].forEach(value => {
+    assert(
+      hasIssue(core.validateConfig({ ...base, extends: value }).errors, '/extends', 'must be a config path or a list of config paths'),
+      `${JSON.stringify(value)} should be rejected`
+    );
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Template Creation
+// ---------------------------------------------------------------------------
 
 test('createTemplate: generates valid config', () => {
   const template = core.createTemplate('MyApp');
@@ -294,8 +1738,11 @@ test('createTemplate: generates valid config', () => {
   assert(template.installers.linux, 'Should have linux installer');
   assert(template.installers.win32, 'Should have win32 installer');
 
+  assert(template.$schema === require('../src/core/install-bridge.schema.json').$id, 'Should point editors at the schema');
+
   const validation = core.validateConfig(template);
   assert(validation.valid === true, 'Template should be valid');
+  assert(validation.warnings.length === 0, 'Template should have no unknown fields');
 });
 
 console.log('\n✨ All tests completed\n');
@@ -0,0 +1,236 @@
+// ============================================================================
+// INSTALL BRIDGE - INSTALL PAGE TESTS
+// Zero-dependency tests for the landing page renderer
+// Production-ready: exits non-zero on failure (CI-friendly)
+// ============================================================================
+
+const core = require('../src/core/core');
+const { generateInstallPage } = require('../src/core/page');
+
+// Track failures so CI can fail properly
+let HAS_FAILURES = false;
+
+// Simple test runner
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (err) {
+    HAS_FAILURES = true;
+    console.error(`❌ ${name}`);
+    console.error(`   ${err && err.message ? err.message : String(err)}`);
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// Ensure process exits non-zero if any test fails
+process.on('exit', () => {
+  if (HAS_FAILURES) {
+    console.error('\n❌ Some tests failed\n');
+    process.exitCode = 1;
+  }
+});
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+console.log('\n🧪 Running Install Bridge Install Page Tests\n');
+
+const CONFIG = {
+  name: 'TestApp',
+  version: '2.0.0',
+  homepage: 'https://example.com',
+  installers: {
+    darwin: 'https://example.com/app.dmg',
+    win32: 'https://example.com/app.exe'
+  },
+  page: {
+    releaseNotes: 'Faster startup.\n\n- New icon\n- Fixed `--help` output',
+    releaseNotesURL: 'https://example.com/changelog',
+    screenshots: ['https://example.com/1.png', { url: 'https://example.com/2.png', alt: 'Settings' }],
+    requirements: { win32: 'Windows 10 or later', darwin: 'macOS 12 or later' },
+    instructions: {
+      darwin: '1. Open the .dmg\n2. Drag TestApp to Applications',
+      win32: 'Run the installer.'
+    }
+  }
+};
+
+const MAC = { os: 'darwin', arch: 'unknown', distro: 'unknown' };
+
+test('generateInstallPage: renders downloads for the visitor first', () => {
+  const html = generateInstallPage(CONFIG, { client: MAC });
+  assert(html.startsWith('<!DOCTYPE html>'), 'Should be an HTML document');
+  assert(html.indexOf('app.dmg') < html.indexOf('app.exe'), 'macOS download should come first');
+  assert(html.includes('class="btn secondary" href="https://example.com/app.exe"'), 'Other platforms are secondary');
+});
+
+test('generateInstallPage: renders release notes as paragraphs and lists', () => {
+  const html = generateInstallPage(CONFIG, { client: MAC });
+  assert(html.includes('<h2>Release notes</h2>'), 'Should add a release notes section');
+  assert(html.includes('<p>Faster startup.</p>'), 'Should keep paragraphs');
+  assert(html.includes('<ul><li>New icon</li><li>Fixed <code>--help</code> output</li></ul>'), 'Should render lists and code');
+  assert(html.includes('<a href="https://example.com/changelog">Full release notes →</a>'), 'Should link the full notes');
+});
+
+test('generateInstallPage: renders screenshots, requirements and instructions', () => {
+  const html = generateInstallPage(CONFIG, { client: MAC });
+  assert(html.includes('<img src="https://example.com/1.png" alt="TestApp" loading="lazy">'), 'Should default alt to the name');
+  assert(html.includes('alt="Settings"'), 'Should use the screenshot alt');
+  assert(
+    html.indexOf('macOS 12 or later') < html.indexOf('Windows 10 or later'),
+    'Visitor requirements should come first'
+  );
+  assert(html.includes('<details open><summary>macOS</summary>'), 'Visitor instructions should be open');
+  assert(html.includes('<ol><li>Open the .dmg</li>'), 'Should render numbered steps');
+  assert(html.includes('<details><summary>Windows</summary>'), 'Other platforms stay collapsed');
+});
+
+test('generateInstallPage: leaves out empty sections', () => {
+  const html = generateInstallPage({ name: 'TestApp', installers: CONFIG.installers }, { client: MAC });
+  assert(!html.includes('<section>'), 'Should not render sections without content');
+});
+
+test('generateInstallPage: applies themes and the accent color', () => {
+  const light = generateInstallPage({ ...CONFIG, page: {} });
+  assert(light.includes('color-scheme:light') && light.includes('--accent:#0366d6'), 'Light is the default');
+
+  const dark = generateInstallPage({ ...CONFIG, page: { theme: 'dark', accentColor: 'gold' } });
+  assert(dark.includes('--background:#0d1117'), 'Should use the dark palette');
+  assert(dark.includes('--accent:gold;--on-accent:#111111'), 'Light accents get dark text');
+
+  const auto = generateInstallPage({ ...CONFIG, page: { theme: 'auto' } });
+  assert(auto.includes('@media (prefers-color-scheme: dark)'), 'Auto should follow the color scheme');
+
+  const hostile = generateInstallPage({ ...CONFIG, page: { theme: '</style>', accentColor: 'red;}</style>' } });
+  assert(!hostile.includes('</style>;') && hostile.includes('--accent:#0366d6'), 'Invalid options fall back');
+});
+
+test('generateInstallPage: escapes page content', () => {
+  const html = generateInstallPage({
+    ...CONFIG,
+    page: {
+      releaseNotes: '<script>alert(1)</script> `<b>`',
+      releaseNotesURL: 'javascript:alert(1)',
+      screenshots: ['javascript:alert(1)', { url: 'https://example.com/x.png', alt: '"><script>' }],
+      instructions: { darwin: '<img src=x onerror=alert(1)>' }
+    }
+  }, { client: MAC });
+
+  assert(!html.includes('<script>alert'), 'Should escape notes');
+  assert(html.includes('<code>&lt;b&gt;</code>'), 'Should escape code spans');
+  assert(!html.includes('javascript:'), 'Should drop unsafe links');
+  assert(html.includes('alt="&quot;&gt;&lt;script&gt;"'), 'Should escape alt text');
+  assert(html.includes('&lt;img src=x'), 'Should escape instructions');
+});
+
+test('generateInstallPage: uses the given messages', () => {
+  const html = generateInstallPage(CONFIG, { client: MAC, messages: core.getMessages(CONFIG, 'de') });
+  assert(html.includes('<html lang="de" dir="ltr">'), 'Should set the language');
+  assert(html.includes('<h2>Systemanforderungen</h2>'), 'Should translate section titles');
+});
+
+test('generateInstallPage: links the other platforms', () => {
+  const html = generateInstallPage(CONFIG, { client: MAC, platformURL: os => `/install/${os}?x=1&y=2` });
+  assert(
+    html.includes('<p class="platforms">Not on macOS? Choose your platform: <a href="/install/win32?x=1&amp;y=2">Windows</a></p>'),
+    'Should offer platforms with downloads'
+  );
+
+  const unknown = generateInstallPage(CONFIG, { platformURL: os => os });
+  assert(unknown.includes('Choose your platform: <a href="darwin">macOS</a> · <a href="win32">Windows</a>'), 'Unknown visitors pick any');
+
+  assert(!generateInstallPage(CONFIG, { client: MAC }).includes('class="platforms"'), 'Needs platformURL');
+});
+
+test('generateInstallPage: counts down to the download', () => {
+  const html = generateInstallPage(CONFIG, {
+    client: MAC,
+    countdown: { url: 'https://example.com/app.dmg?a=1&b=</script>', seconds: 3 }
+  });
+  assert(html.includes('Your download for macOS starts in <span id="seconds">3</span> s.'), 'Should show the countdown');
+  assert(html.includes('<noscript><meta http-equiv="refresh" content="3;url=https://example.com/app.dmg?a=1&amp;b=&lt;/script&gt;"></noscript>'), 'Should work without script');
+  assert(html.includes('var url = "https://example.com/app.dmg?a=1&b=\\u003c/script>";'), 'Should escape the script URL');
+  assert(html.includes('<button type="button" id="cancel">Cancel</button>'), 'Should offer to cancel');
+
+  const unsafe = generateInstallPage(CONFIG, { client: MAC, countdown: { url: 'javascript:alert(1)', seconds: 3 } });
+  assert(!unsafe.includes('id="countdown"'), 'Should ignore unsafe URLs');
+});
+
+test('generateInstallPage: shows package manager commands', () => {
+  const config = {
+    ...CONFIG,
+    commands: { darwin: { brew: 'testapp' }, linux: { snap: 'testapp --classic' } }
+  };
+  const html = generateInstallPage(config, { client: { os: 'linux', arch: 'x64', distro: 'unknown' } });
+  assert(html.includes('<h2>Install with a package manager</h2>'), 'Should add the section');
+  assert(
+    html.includes('<dt>Linux</dt><dd><div class="command"><code dir="ltr">sudo snap install testapp --classic</code> <button type="button" class="copy" data-copy="sudo snap install testapp --classic"'),
+    'Should render copyable commands'
+  );
+  assert(html.indexOf('<dt>Linux</dt>') < html.indexOf('<dt>macOS</dt>'), 'The visitor\'s platform comes first');
+  assert(html.includes("document.querySelectorAll('button.copy')"), 'Should include the copy script');
+  assert(!generateInstallPage(CONFIG).includes('class="command"'), 'Only with commands');
+});
+
+test('validateConfig: checks page options', () => {
+  assert(core.validateConfig(CONFIG).valid, 'A full page config should pass');
+
+  const result = core.validateConfig({
+    name: 'TestApp',
+    installers: CONFIG.installers,
+    page: {
+      theme: 'neon',
+      accentColor: 'url(x)',
+      releaseNotes: 42,
+      releaseNotesURL: 'javascript:alert(1)',
+      screenshots: ['ftp://example.com/1.png', { url: 'https://example.com/2.png', alt: 1 }],
+      requirements: { beos: 'Yes' },
+      instructions: 'Just run it',
+      countdown: 2.5
+    },
+    channels: { beta: { page: { theme: 'neon' } } }
+  });
+  [
+    ['/page/theme', 'must be one of: light, dark, auto'],
+    ['/page/accentColor', 'must be'],
+    ['/page/releaseNotes', 'must be a string'],
+    ['/page/releaseNotesURL', 'must be an HTTP(S) URL'],
+    ['/page/screenshots/0', 'must be an HTTP(S) URL'],
+    ['/page/screenshots/1/alt', 'must be a string'],
+    ['/page/requirements/beos', 'unknown platform'],
+    ['/page/instructions', 'must map platforms to text'],
+    ['/page/countdown', 'must be a whole number of seconds from 0 to 30'],
+    ['/channels/beta/page/theme', 'must be one of']
+  ].forEach(([path, message]) => {
+    assert(
+      result.errors.some(e => e.path === path && e.message.startsWith(message)),
+      `Should report: ${path}: ${message}`
+    );
+  });
+});
+
+test('selectChannel: merges channel page options', () => {
+  const config = {
+    ...CONFIG,
+    channels: { beta: { version: '3.0.0-beta.1', page: { releaseNotes: 'Beta notes' } } }
+  };
+  const beta = core.selectChannel(config, 'beta');
+  assert(beta.page.releaseNotes === 'Beta notes', 'Channel notes should win');
+  assert(beta.page.screenshots === CONFIG.page.screenshots, 'Other page fields are inherited');
+});
+
+test('listConfigURLs: includes page links and screenshots', () => {
+  const urls = core.listConfigURLs(CONFIG);
+  ['https://example.com/changelog', 'https://example.com/1.png', 'https://example.com/2.png'].forEach(link => {
+    assert(urls.includes(link), `Should list ${link}`);
+  });
+});
+
+console.log('\n✨ All tests completed\n');
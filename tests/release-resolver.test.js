@@ -0,0 +1,273 @@
+// ============================================================================
+// INSTALL BRIDGE - RELEASE RESOLVER TESTS
+// Runs against a local fixture server; no outside network access
+// Production-ready: exits non-zero on failure (CI-friendly)
+// ============================================================================
+
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const {
+  createHttpFetcher,
+  createReleaseResolver
+} = require('../src/node/release-resolver');
+
+const FIXTURE = fs.readFileSync(
+  path.join(__dirname, 'fixtures', 'github-release.json'),
+  'utf8'
+);
+
+// Track failures so CI can fail properly
+let HAS_FAILURES = false;
+const TESTS = [];
+
+// Async test runner: tests run in order, one at a time
+function test(name, fn) {
+  TESTS.push({ name, fn });
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+async function run() {
+  for (const { name, fn } of TESTS) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+    } catch (err) {
+      HAS_FAILURES = true;
+      console.error(`❌ ${name}`);
+      console.error(`   ${err && err.message ? err.message : String(err)}`);
+    }
+  }
+}
+
+// Ensure process exits non-zero if any test fails
+process.on('exit', () => {
+  if (HAS_FAILURES) {
+    console.error('\n❌ Some tests failed\n');
+    process.exitCode = 1;
+  }
+});
+
+// ============================================================================
+// FIXTURE SERVER
+// ============================================================================
+
+const requests = [];
+
+const server = http.createServer((req, res) => {
+  requests.push(req.url);
+
+  if (req.url === '/repos/user/testapp/releases/latest' ||
+      req.url === '/repos/user/testapp/releases/tags/v2.1.0') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(FIXTURE);
+    return;
+  }
+
+  if (req.url === '/repos/user/broken/releases/latest') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end('{ not json');
+    return;
+  }
+
+  res.writeHead(404, { 'Content-Type': 'application/json' });
+  res.end('{"message":"Not Found"}');
+});
+
+function config(source) {
+  return {
+    name: 'TestApp',
+    source: {
+      type: 'github-release',
+      repo: 'user/testapp',
+      assets: {
+        darwin: { arm64: '*-macOS-arm64.dmg', x64: '*-macOS-x64.dmg' },
+        win32: 'TestApp-Setup-*.exe',
+        linux: { deb: '/_amd64\\.deb$/', rpm: '*.x86_64.rpm' }
+      },
+      ...source
+    }
+  };
+}
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+console.log('\n🧪 Running Install Bridge Release Resolver Tests\n');
+
+let fetcher;
+
+test('resolve: fills installers from the latest release', async () => {
+  const resolver = createReleaseResolver({ fetcher });
+  const result = await resolver.resolve(config());
+
+  assert(result.tag === 'v2.1.0', 'Should report the release tag');
+  assert(result.missing.length === 0, 'Every pattern should match');
+  assert(
+    result.config.installers.darwin.arm64.endsWith('TestApp-2.1.0-macOS-arm64.dmg'),
+    'Should match darwin/arm64 glob'
+  );
+  assert(
+    result.config.installers.win32.url.endsWith('TestApp-Setup-2.1.0.exe'),
+    'Should match win32 glob'
+  );
+  assert(
+    result.config.installers.win32.sha256 ===
+      '9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08',
+    'Should carry the asset digest'
+  );
+  assert(result.config.installers.win32.size === 48234496, 'Should carry the asset size');
+  assert(
+    result.config.installers.linux.deb.endsWith('testapp_2.1.0_amd64.deb'),
+    'Should match regex pattern'
+  );
+});
+
+test('resolve: fetches a pinned tag', async () => {
+  const resolver = createReleaseResolver({ fetcher });
+  requests.length = 0;
+  await resolver.resolve(config({ tag: 'v2.1.0' }));
+  assert(requests[0] === '/repos/user/testapp/releases/tags/v2.1.0', 'Should request the tag');
+});
+
+test('resolve: reports unmatched patterns', async () => {
+  const resolver = createReleaseResolver({ fetcher });
+  const cfg = config();
+  cfg.source.assets.android = { apk: '*.apk' };
+  const result = await resolver.resolve(cfg);
+  assert(result.missing.includes('android/apk'), 'Should list android/apk as missing');
+  assert(!result.config.installers.android, 'Should omit unmatched platforms');
+});
+
+test('resolve: explicit installers win over resolved assets', async () => {
+  const resolver = createReleaseResolver({ fetcher });
+  const cfg = config();
+  cfg.installers = { win32: 'https://example.com/custom.exe' };
+  const result = await resolver.resolve(cfg);
+  assert(result.config.installers.win32 === 'https://example.com/custom.exe', 'Should keep explicit URL');
+});
+
+test('resolve: caches releases until the TTL expires', async () => {
+  let clock = 0;
+  const resolver = createReleaseResolver({ fetcher, ttl: 1000, now: () => clock });
+  requests.length = 0;
+
+  await resolver.resolve(config());
+  await resolver.resolve(config());
+  assert(requests.length === 1, 'Second resolve should hit the cache');
+
+  clock = 2000;
+  await resolver.resolve(config());
+  assert(requests.length === 2, 'Expired entries should refetch');
+});
+
+test('resolve: drops expired and least recently used releases', async () => {
+  let clock = 0;
+  const fetched = [];
+  const resolver = createReleaseResolver({
+    fetcher: path => {
+      fetched.push(path);
+      return fetcher('/repos/user/testapp/releases/latest');
+    },
+    ttl: 1000,
+    maxEntries: 2,
+    now: () => clock
+  });
+  const of = repo => config({ repo });
+
+  await resolver.resolve(of('a/one'));
+  await resolver.resolve(of('a/two'));
+  await resolver.resolve(of('a/one'));
+  await resolver.resolve(of('a/three'));
+  assert(resolver.size() === 2, `Should keep two releases, kept ${resolver.size()}`);
+
+  fetched.length = 0;
+  await resolver.resolve(of('a/one'));
+  await resolver.resolve(of('a/two'));
+  assert(fetched.join() === '/repos/a/two/releases/latest', `Should drop the least recently used: ${fetched}`);
+
+  clock = 5000;
+  await resolver.resolve(of('a/four'));
+  assert(resolver.size() === 1, 'Should drop expired releases');
+});
+
+test('resolve: keeps repo names inside /repos/', async () => {
+  requests.length = 0;
+  const resolver = createReleaseResolver({ fetcher });
+
+  let error = null;
+  try {
+    await resolver.resolve(config({ repo: '../..' }));
+  } catch (err) {
+    error = err;
+  }
+  assert(error && error.message === 'Invalid repo: ../..', `Should refuse dot segments: ${error}`);
+  assert(requests.length === 0, 'Should not send the request');
+
+  await resolver.resolve(config({ repo: 'user/a b' })).catch(() => {});
+  assert(requests[0] === '/repos/user/a%20b/releases/latest', `Should encode each part: ${requests[0]}`);
+});
+
+test('resolve: passes configs without a source through', async () => {
+  const resolver = createReleaseResolver({
+    fetcher: () => { throw new Error('should not fetch'); }
+  });
+  const cfg = { name: 'TestApp', installers: { darwin: 'https://example.com/app.dmg' } };
+  const result = await resolver.resolve(cfg);
+  assert(result.config === cfg, 'Should return the same config');
+});
+
+test('resolve: rejects when nothing matches', async () => {
+  const resolver = createReleaseResolver({ fetcher });
+  const cfg = config();
+  cfg.source.assets = { darwin: '*.pkg' };
+
+  let error = null;
+  try {
+    await resolver.resolve(cfg);
+  } catch (err) {
+    error = err;
+  }
+  assert(error && error.message.includes('No release assets'), 'Should explain the failure');
+});
+
+test('fetcher: rejects on HTTP errors and does not cache them', async () => {
+  const resolver = createReleaseResolver({ fetcher });
+  const cfg = config({ repo: 'user/missing' });
+
+  for (let i = 0; i < 2; i++) {
+    let error = null;
+    try {
+      await resolver.resolve(cfg);
+    } catch (err) {
+      error = err;
+    }
+    assert(error && error.message.includes('404'), 'Should surface the status code');
+  }
+});
+
+test('fetcher: rejects invalid JSON', async () => {
+  let error = null;
+  try {
+    await fetcher('/repos/user/broken/releases/latest');
+  } catch (err) {
+    error = err;
+  }
+  assert(error && error.message.includes('invalid JSON'), 'Should report invalid JSON');
+});
+
+server.listen(0, '127.0.0.1', async () => {
+  fetcher = createHttpFetcher({
+    baseURL: `http://127.0.0.1:${server.address().port}`
+  });
+
+  await run();
+  server.close();
+  console.log('\n✨ All tests completed\n');
+});
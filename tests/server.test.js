@@ -0,0 +1,420 @@
+// ============================================================================
+// INSTALL BRIDGE - SERVER TESTS
+// Serves the hostile config corpus and checks every response is inert
+// Production-ready: exits non-zero on failure (CI-friendly)
+// ============================================================================
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { startServer } = require('../src/server/server');
+const { createReleaseResolver } = require('../src/node/release-resolver');
+const { encodeConfig, signConfig } = require('../src/node/signing');
+const HOSTILE = require('./fixtures/hostile-configs.json');
+
+// Track failures so CI can fail properly
+let HAS_FAILURES = false;
+const TESTS = [];
+
+// Async test runner: tests run in order, one at a time
+function test(name, fn) {
+  TESTS.push({ name, fn });
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+async function run() {
+  for (const { name, fn } of TESTS) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+    } catch (err) {
+      HAS_FAILURES = true;
+      console.error(`❌ ${name}`);
+      console.error(`   ${err && err.message ? err.message : String(err)}`);
+    }
+  }
+}
+
+// Ensure process exits non-zero if any test fails
+process.on('exit', () => {
+  if (HAS_FAILURES) {
+    console.error('\n❌ Some tests failed\n');
+    process.exitCode = 1;
+  }
+});
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+let base;
+
+function get(path, headers = {}) {
+  return fetch(base + path, headers);
+}
+
+function fetch(target, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http.get(target, { headers }, res => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    }).on('error', reject);
+  });
+}
+
+/**
+ * Start another server for one test
+ * Resolves with its base URL and a close() that also removes `dir`.
+ */
+function listen(options, dir = null) {
+  return new Promise(resolve => {
+    const other = startServer({ port: 0, ...options });
+    other.on('listening', () => resolve({
+      url: `http://127.0.0.1:${other.address().port}`,
+      close: () => {
+        other.close();
+        if (dir) remove(dir);
+      }
+    }));
+  });
+}
+
+// fs.rmSync needs Node 14.14; older releases only have recursive rmdir
+function remove(dir) {
+  if (fs.rmSync) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  } else {
+    fs.rmdirSync(dir, { recursive: true });
+  }
+}
+
+/**
+ * A registry file of named configs in a new temporary directory
+ */
+function writeRegistry(registry) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'install-bridge-server-'));
+  const file = path.join(dir, 'projects.json');
+  fs.writeFileSync(file, JSON.stringify(registry));
+  return file;
+}
+
+/**
+ * Markup that would run script if the response were rendered
+ */
+function findActiveContent(body) {
+  const patterns = [
+    // The page's own scripts: copy buttons and the download countdown
+    /<script(?![^>]*>\s*(document\.querySelectorAll\('button\.copy'\)|\(function \(\) \{\s*var url = "(?:[^"\\<]|\\.)*";))/i,
+    // Screenshots are the only images, always with an HTTP(S) src
+    /<img(?! src="https?:\/\/)/i,
+    /javascript:/i,
+    /data:text\/html/i,
+    /[\u0000-\u0008]/
+  ];
+  const found = patterns.find(pattern => pattern.test(body));
+  if (found) return found;
+
+  // Event handlers only count as attribute names, not inside quoted values
+  const attributes = (body.match(/<[a-z][^>]*>/gi) || []).flatMap(tag =>
+    Array.from(tag.matchAll(/\s([\w:-]+)\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+)/g), m => m[1])
+  );
+  const handler = attributes.find(name => /^on/i.test(name));
+  return handler ? `${handler} attribute` : null;
+}
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+console.log('\n🧪 Running Install Bridge Server Tests\n');
+
+HOSTILE.forEach(({ description, valid, config }) => {
+  const query = `?config=${encodeConfig(config)}`;
+
+  test(`hostile config: ${description}`, async () => {
+    const badge = await get(`/badge.svg${query}`);
+    const page = await get(`/install${query}`);
+
+    if (!valid) {
+      assert(badge.status === 400, `Badge should be rejected, got ${badge.status}`);
+      assert(page.status === 400, `Install page should be rejected, got ${page.status}`);
+      assert(badge.headers['content-type'] === 'text/plain', 'Errors are plain text');
+      return;
+    }
+
+    assert(badge.status === 200, `Badge should render, got ${badge.status}`);
+    assert(page.status === 200, `Install page should render, got ${page.status}`);
+
+    const inBadge = findActiveContent(badge.body);
+    const inPage = findActiveContent(page.body);
+    assert(!inBadge, `Badge contains ${inBadge}`);
+    assert(!inPage, `Install page contains ${inPage}`);
+  });
+});
+
+test('badge: served with a script-blocking CSP', async () => {
+  const { body, ...res } = await get(`/badge.svg?config=${encodeConfig(HOSTILE[0].config)}`);
+  assert(
+    res.headers['content-security-policy'].includes("default-src 'none'"),
+    'Should send Content-Security-Policy'
+  );
+  assert(body.includes('&lt;script&gt;'), 'Should escape the name');
+});
+
+test('badge: auto logo names the visitor platform', async () => {
+  const config = {
+    name: 'TestApp',
+    badge: { logo: 'auto' },
+    installers: { win32: 'https://example.com/app.exe' }
+  };
+  const res = await get(`/badge.svg?config=${encodeConfig(config)}`, {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)'
+  });
+  assert(res.body.includes('>Install for Windows<'), 'Should show the Windows label');
+  assert(res.headers.vary === 'User-Agent', 'Should vary on User-Agent');
+});
+
+test('badge.png: serves a PNG', async () => {
+  const res = await get(`/badge.png?config=${encodeConfig(HOSTILE[0].config)}&scale=2`);
+  assert(res.status === 200, `Should render, got ${res.status}`);
+  assert(res.headers['content-type'] === 'image/png', 'Should be image/png');
+  assert(res.body.startsWith('\ufffdPNG'), 'Should start with the PNG signature');
+});
+
+test('badge.png: rejects badges too wide to rasterize', async () => {
+  const config = encodeConfig({
+    name: 'W'.repeat(5000),
+    badge: { style: 'for-the-badge' },
+    installers: { darwin: 'https://example.com/app.dmg' }
+  });
+  const res = await get(`/badge.png?config=${config}&scale=4`);
+  assert(res.status === 400, `Should reject, got ${res.status}`);
+  assert(res.body.startsWith('Badge is too wide for a PNG'), `Should say why: ${res.body}`);
+
+  const svg = await get(`/badge.svg?config=${config}`);
+  assert(svg.status === 200, 'The SVG badge still renders');
+});
+
+test('install: localizes the page from Accept-Language and ?lang', async () => {
+  const config = encodeConfig({
+    name: 'TestApp',
+    installers: { darwin: 'https://example.com/app.dmg' }
+  });
+  const linux = { 'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64)' };
+
+  const german = await get(`/install?config=${config}`, { ...linux, 'Accept-Language': 'de-DE,de;q=0.9' });
+  assert(german.body.includes('<html lang="de"'), 'Should set the page language');
+  assert(german.body.includes('Download für macOS'), 'Should translate the page');
+  assert(german.headers['content-language'] === 'de', 'Should send Content-Language');
+  assert(german.headers.vary.includes('Accept-Language'), 'Should vary on Accept-Language');
+
+  const spanish = await get(`/install?config=${config}&lang=es`, { ...linux, 'Accept-Language': 'de' });
+  assert(spanish.body.includes('No hay ningún instalador'), '?lang should win');
+});
+
+test('badge: ?lang localizes the label', async () => {
+  const config = encodeConfig({ name: 'TestApp', installers: { darwin: 'https://example.com/app.dmg' } });
+
+  const res = await get(`/badge.svg?config=${config}&lang=ja`);
+  assert(res.body.includes('>インストール<'), 'Should translate the label');
+
+  const plain = await get(`/badge.svg?config=${config}`, { 'Accept-Language': 'ja' });
+  assert(plain.body.includes('>Install<') && !plain.headers.vary, 'Configs without i18n ignore Accept-Language');
+});
+
+test('badge: an unusable ?lang falls back to Accept-Language and varies on it', async () => {
+  const config = encodeConfig({
+    name: 'TestApp',
+    installers: { darwin: 'https://example.com/app.dmg' },
+    i18n: { defaultLocale: 'en' }
+  });
+
+  const chosen = await get(`/badge.svg?config=${config}&lang=ja`, { 'Accept-Language': 'de' });
+  assert(chosen.body.includes('>インストール<') && !chosen.headers.vary, 'A valid ?lang decides alone');
+
+  for (const lang of ['invalid!', 'xx']) {
+    const res = await get(`/badge.svg?config=${config}&lang=${lang}`, { 'Accept-Language': 'ja' });
+    assert(res.body.includes('>インストール<'), `?lang=${lang} should leave it to Accept-Language`);
+    assert(res.headers.vary === 'Accept-Language', `?lang=${lang} should vary on Accept-Language, got ${res.headers.vary}`);
+  }
+
+  const plain = encodeConfig({ name: 'TestApp', installers: { darwin: 'https://example.com/app.dmg' } });
+  const ignored = await get(`/badge.svg?config=${plain}&lang=invalid!`, { 'Accept-Language': 'ja' });
+  assert(ignored.body.includes('>Install<') && !ignored.headers.vary, 'Configs without i18n still ignore Accept-Language');
+});
+
+test('install: ?page=1 shows the page instead of redirecting', async () => {
+  const config = encodeConfig({
+    name: 'TestApp',
+    installers: { darwin: 'https://example.com/app.dmg' },
+    page: { theme: 'dark', releaseNotes: 'New things' }
+  });
+  const mac = { 'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7)' };
+
+  const redirect = await get(`/install?config=${config}`, mac);
+  assert(redirect.status === 302, `Should redirect by default, got ${redirect.status}`);
+
+  const page = await get(`/install?config=${config}&page=1`, mac);
+  assert(page.status === 200, `Should render the page, got ${page.status}`);
+  assert(page.body.includes('<p>New things</p>'), 'Should show release notes');
+  assert(page.body.includes('--background:#0d1117'), 'Should apply the theme');
+});
+
+test('install: /install/<platform> and ?os= override detection', async () => {
+  const config = encodeConfig({
+    name: 'TestApp',
+    installers: {
+      darwin: 'https://example.com/app.dmg',
+      win32: { x64: 'https://example.com/app-x64.exe', arm64: 'https://example.com/app-arm64.exe' }
+    }
+  });
+  const linux = { 'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64)' };
+
+  const path = await get(`/install/win32?config=${config}`, linux);
+  assert(path.headers.location === 'https://example.com/app-x64.exe', 'Should use the path platform and detected arch');
+
+  const query = await get(`/install?config=${config}&os=win32&arch=arm64`, linux);
+  assert(query.headers.location === 'https://example.com/app-arm64.exe', 'Should use ?os and ?arch');
+
+  const invalid = await get(`/install?config=${config}&os=beos`);
+  assert(invalid.status === 400 && invalid.body.startsWith('os must be one of: darwin'), 'Should reject unknown platforms');
+
+  const unknown = await get(`/install/beos?config=${config}`);
+  assert(unknown.status === 404, `Unknown platform paths are not found, got ${unknown.status}`);
+});
+
+test('config: URL configs may not extend files', async () => {
+  const config = encodeConfig({
+    extends: '/etc/install-bridge.json',
+    name: 'TestApp',
+    installers: { darwin: 'https://example.com/app.dmg' }
+  });
+
+  const res = await get(`/badge.svg?config=${config}`);
+  assert(res.status === 400, `Should be rejected, got ${res.status}`);
+  assert(res.body.includes('extends is only resolved from config files'), 'Should explain why');
+});
+
+test('install: page.countdown shows an interstitial with other platforms', async () => {
+  const config = encodeConfig({
+    name: 'TestApp',
+    installers: {
+      darwin: 'https://example.com/app.dmg?"></script><script>alert(1)//',
+      win32: 'https://example.com/app.exe'
+    },
+    page: { countdown: 5 }
+  });
+  const mac = { 'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7)' };
+
+  const page = await get(`/install?config=${config}&channel=&lang=de`, mac);
+  assert(page.status === 200, `Should show the interstitial, got ${page.status}`);
+  assert(page.body.includes('<span id="seconds">5</span>'), 'Should count down');
+  assert(page.body.includes('<meta http-equiv="refresh" content="5;url=https://example.com/app.dmg?'), 'Should redirect without script');
+  assert(
+    page.body.includes(`Nicht macOS? Plattform wählen: <a href="install/win32?config=${config}&amp;lang=de">Windows</a>`),
+    'Should link the other platforms'
+  );
+  const active = findActiveContent(page.body);
+  assert(!active, `Page contains ${active}`);
+
+  const chosen = await get(`/install/darwin?config=${config}`, mac);
+  assert(chosen.status === 302, `A chosen platform redirects at once, got ${chosen.status}`);
+});
+
+test('servers: each keeps its own named configs', async () => {
+  const config = name => ({ name, installers: { darwin: `https://example.com/${name}.dmg` } });
+  const firstFile = writeRegistry({ alpha: config('Alpha') });
+  const secondFile = writeRegistry({ beta: config('Beta') });
+  const first = await listen({ configs: firstFile }, path.dirname(firstFile));
+  const second = await listen({ configs: secondFile }, path.dirname(secondFile));
+
+  try {
+    const alpha = await fetch(`${first.url}/p/alpha/install/darwin`);
+    assert(alpha.headers.location === 'https://example.com/Alpha.dmg', `First server keeps its configs, got ${alpha.status}`);
+    assert((await fetch(`${first.url}/p/beta/install/darwin`)).status === 404, 'First server does not see the second one\'s');
+    assert((await fetch(`${second.url}/p/beta/install/darwin`)).status === 302, 'Second server serves its own');
+    assert((await get('/p/alpha/install')).status === 404, 'Servers without configs have no named projects');
+  } finally {
+    first.close();
+    second.close();
+  }
+});
+
+test('servers: signing and the host allowlist stay with their server', async () => {
+  const first = await listen({ secret: 'k', allowedHosts: ['good.example'] });
+  const second = await listen({});
+
+  try {
+    const evil = encodeConfig({ name: 'Evil', installers: { darwin: 'https://evil.example/a.dmg' } });
+    const unsigned = await fetch(`${first.url}/install/darwin?config=${evil}`);
+    assert(unsigned.status === 403, `Signed mode survives a second server, got ${unsigned.status}`);
+
+    const forged = await fetch(`${first.url}/install/darwin?config=${evil}&sig=${signConfig(evil, 'k')}`);
+    assert(forged.status === 403 && forged.body === 'Host not allowed: evil.example', 'The allowlist survives too');
+
+    const good = encodeConfig({ name: 'Good', installers: { darwin: 'https://good.example/a.dmg' } });
+    const signed = await fetch(`${first.url}/install/darwin?config=${good}&sig=${signConfig(good, 'k')}`);
+    assert(signed.headers.location === 'https://good.example/a.dmg', `Signed configs still work, got ${signed.status}`);
+
+    const open = await fetch(`${second.url}/install/darwin?config=${evil}`);
+    assert(open.status === 302, `The second server has neither, got ${open.status}`);
+  } finally {
+    first.close();
+    second.close();
+  }
+});
+
+test('install: only named and signed configs resolve source', async () => {
+  const fetched = [];
+  const resolver = createReleaseResolver({
+    fetcher: path => {
+      fetched.push(path);
+      return Promise.resolve({
+        tag_name: 'v1.0.0',
+        assets: [{ name: 'App-1.0.0.dmg', browser_download_url: 'https://example.com/App-1.0.0.dmg' }]
+      });
+    }
+  });
+  const source = {
+    name: 'App',
+    source: { type: 'github-release', repo: 'user/app', assets: { darwin: '*.dmg' } }
+  };
+  const file = writeRegistry({ app: source });
+  const signing = await listen({ secret: 'k', resolver });
+  const named = await listen({ configs: file, resolver }, path.dirname(file));
+
+  try {
+    const param = encodeConfig(source);
+    const unsigned = await get(`/install/darwin?config=${param}`);
+    assert(unsigned.status === 403, `Unsigned configs may not use source, got ${unsigned.status}`);
+    assert(unsigned.body === 'source is only resolved for named or signed configs', 'Should explain why');
+
+    const signed = await fetch(`${signing.url}/install/darwin?config=${param}&sig=${signConfig(param, 'k')}`);
+    assert(signed.headers.location === 'https://example.com/App-1.0.0.dmg', `Signed configs resolve, got ${signed.status}`);
+
+    const stored = await fetch(`${named.url}/p/app/install/darwin`);
+    assert(stored.headers.location === 'https://example.com/App-1.0.0.dmg', `Named configs resolve, got ${stored.status}`);
+    assert(fetched.length === 1, 'Should share the cached release');
+  } finally {
+    signing.close();
+    named.close();
+  }
+});
+
+const server = startServer({ port: 0 });
+
+server.on('listening', async () => {
+  base = `http://127.0.0.1:${server.address().port}`;
+
+  await run();
+  server.close();
+  console.log('\n✨ All tests completed\n');
+});
@@ -0,0 +1,99 @@
+// ============================================================================
+// INSTALL BRIDGE - CONFIG SIGNING TESTS
+// Zero-dependency tests for signed config URLs
+// Production-ready: exits non-zero on failure (CI-friendly)
+// ============================================================================
+
+const {
+  encodeConfig,
+  signConfig,
+  verifySignature,
+  createConfigURLs
+} = require('../src/node/signing');
+
+// Track failures so CI can fail properly
+let HAS_FAILURES = false;
+
+// Simple test runner
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (err) {
+    HAS_FAILURES = true;
+    console.error(`❌ ${name}`);
+    console.error(`   ${err && err.message ? err.message : String(err)}`);
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// Ensure process exits non-zero if any test fails
+process.on('exit', () => {
+  if (HAS_FAILURES) {
+    console.error('\n❌ Some tests failed\n');
+    process.exitCode = 1;
+  }
+});
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+console.log('\n🧪 Running Install Bridge Config Signing Tests\n');
+
+const CONFIG = {
+  name: 'TestApp',
+  installers: { darwin: 'https://example.com/app.dmg?v=1&x=>' }
+};
+
+test('encodeConfig: produces URL-safe base64 the server can decode', () => {
+  const param = encodeConfig(CONFIG);
+  assert(/^[A-Za-z0-9_-]+$/.test(param), 'Should only use URL-safe characters');
+  const decoded = JSON.parse(Buffer.from(param, 'base64').toString('utf8'));
+  assert(decoded.installers.darwin === CONFIG.installers.darwin, 'Should round-trip');
+});
+
+test('verifySignature: accepts the matching signature', () => {
+  const param = encodeConfig(CONFIG);
+  assert(verifySignature(param, signConfig(param, 'secret'), 'secret'), 'Should verify');
+});
+
+test('verifySignature: rejects other keys, tampered configs and missing sigs', () => {
+  const param = encodeConfig(CONFIG);
+  const sig = signConfig(param, 'secret');
+  const tampered = encodeConfig({ ...CONFIG, name: 'Evil' });
+
+  assert(!verifySignature(param, sig, 'other'), 'Wrong key');
+  assert(!verifySignature(tampered, sig, 'secret'), 'Tampered config');
+  assert(!verifySignature(param, undefined, 'secret'), 'Missing sig');
+  assert(!verifySignature(param, sig.slice(1), 'secret'), 'Truncated sig');
+});
+
+test('createConfigURLs: builds signed badge and install URLs', () => {
+  const urls = createConfigURLs(CONFIG, 'https://ib.example.com/', 'secret');
+  const install = new URL(urls.install);
+
+  assert(urls.badge.startsWith('https://ib.example.com/badge.svg?config='), 'Badge URL');
+  assert(install.pathname === '/install', 'Install URL');
+  assert(
+    verifySignature(install.searchParams.get('config'), install.searchParams.get('sig'), 'secret'),
+    'Signature should survive URL parsing'
+  );
+});
+
+test('createConfigURLs: omits sig without a key', () => {
+  const urls = createConfigURLs(CONFIG, 'https://ib.example.com');
+  assert(!urls.install.includes('sig='), 'Should not sign');
+});
+
+test('createConfigURLs: points at badge.png for PNG badges', () => {
+  const urls = createConfigURLs(CONFIG, 'https://ib.example.com', null, 'png');
+  assert(urls.badge.startsWith('https://ib.example.com/badge.png?config='), 'Badge URL');
+});
+
+console.log('\n✨ All tests completed\n');
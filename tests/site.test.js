@@ -0,0 +1,177 @@
+// ============================================================================
+// INSTALL BRIDGE - STATIC SITE TESTS
+// Zero-dependency tests for static exports and their client-side router
+// Production-ready: exits non-zero on failure (CI-friendly)
+// ============================================================================
+
+const vm = require('vm');
+const core = require('../src/core/core');
+const { generateStaticSite } = require('../src/core/site');
+
+// Track failures so CI can fail properly
+let HAS_FAILURES = false;
+
+// Simple test runner
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (err) {
+    HAS_FAILURES = true;
+    console.error(`❌ ${name}`);
+    console.error(`   ${err && err.message ? err.message : String(err)}`);
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+// Ensure process exits non-zero if any test fails
+process.on('exit', () => {
+  if (HAS_FAILURES) {
+    console.error('\n❌ Some tests failed\n');
+    process.exitCode = 1;
+  }
+});
+
+/**
+ * Run the router script of install/index.html in a fake browser
+ * Returns the URL it navigated to, or null when it stayed on the page.
+ */
+function route(html, userAgent, { path = '/app/install/', search = '' } = {}) {
+  const script = html.match(/<script>\n([\s\S]*?)<\/script>/)[1];
+  let target = null;
+
+  vm.runInNewContext(script, {
+    navigator: { userAgent },
+    location: {
+      pathname: path,
+      search,
+      replace: url => { target = url; }
+    }
+  });
+
+  return target;
+}
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+console.log('\n🧪 Running Install Bridge Static Site Tests\n');
+
+const CONFIG = {
+  name: 'TestApp',
+  version: '1.0.0',
+  installers: {
+    darwin: 'https://example.com/app.dmg',
+    win32: { x64: 'https://example.com/app-x64.exe', arm64: 'https://example.com/app-arm64.exe' },
+    linux: { deb: 'https://example.com/app.deb', rpm: 'https://example.com/app.rpm' }
+  }
+};
+
+const UA = {
+  mac: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7)',
+  windowsArm: 'Mozilla/5.0 (Windows NT 10.0; ARM64)',
+  ubuntu: 'Mozilla/5.0 (X11; Ubuntu; Linux x86_64; rv:120.0) Gecko/20100101 Firefox/120.0',
+  linux: 'Mozilla/5.0 (X11; Linux x86_64)',
+  android: 'Mozilla/5.0 (Linux; Android 14; Pixel 8)',
+  bot: 'curl/8.0'
+};
+
+test('generateStaticSite: writes badge, pages and manifest', () => {
+  const files = generateStaticSite(CONFIG);
+  [
+    'install-badge.svg',
+    'install/index.html',
+    'install/darwin/index.html',
+    'install/win32/index.html',
+    'install/linux/index.html',
+    'manifest.json'
+  ].forEach(file => assert(files[file], `Should write ${file}`));
+  assert(!files['install/ios/index.html'] && !files['install/android/index.html'], 'Platforms without installers get no page');
+
+  assert(files['install-badge.svg'].startsWith('<svg'), 'Badge should be SVG');
+
+  const manifest = JSON.parse(files['manifest.json']);
+  assert(manifest.name === 'TestApp' && manifest.version === '1.0.0', 'Manifest names the app');
+  assert(manifest.pages.linux === 'install/linux/', 'Manifest lists pages');
+  assert(Object.keys(manifest.pages).join() === 'darwin,win32,linux', 'Manifest lists only written pages');
+  assert(manifest.installers.length === 5, 'Manifest lists installers');
+  assert(manifest.routes['darwin/unknown/unknown'] === 'https://example.com/app.dmg', 'Manifest carries routes');
+});
+
+test('router: redirects like the server', () => {
+  const html = generateStaticSite(CONFIG)['install/index.html'];
+
+  assert(route(html, UA.mac) === 'https://example.com/app.dmg', 'macOS goes to the dmg');
+  assert(route(html, UA.windowsArm) === 'https://example.com/app-arm64.exe', 'Windows on ARM gets the ARM build');
+  assert(route(html, UA.ubuntu) === 'https://example.com/app.deb', 'Ubuntu gets the .deb');
+});
+
+test('router: sends visitors who need a choice to their platform page', () => {
+  const html = generateStaticSite(CONFIG)['install/index.html'];
+
+  assert(route(html, UA.linux) === '/app/install/linux/', 'Unknown distros pick a format');
+  assert(route(html, UA.android) === null, 'Platforms without a page stay on the full list');
+  assert(route(html, UA.linux, { path: '/app/install/index.html' }) === '/app/install/linux/', 'Works from index.html');
+  assert(route(html, UA.bot) === null, 'Unknown platforms stay on the full list');
+  assert(route(html, UA.mac, { search: '?page=1' }) === null, '?page=1 stays on the page');
+});
+
+test('router: follows the fallback', () => {
+  const html = generateStaticSite({ ...CONFIG, fallback: 'https://example.com/releases' })['install/index.html'];
+  assert(route(html, UA.android) === 'https://example.com/releases', 'Should redirect to the fallback');
+});
+
+test('router: matches the server for every route', () => {
+  const routes = core.listInstallRoutes(CONFIG);
+  Object.keys(routes).forEach(key => {
+    const [os, arch, distro] = key.split('/');
+    const result = core.resolveInstallAction(CONFIG, { os, arch, distro });
+    assert(
+      routes[key] === (result.action === 'redirect' ? result.url : null),
+      `Route ${key} should match resolveInstallAction`
+    );
+  });
+});
+
+test('generateStaticSite: platform pages show that platform', () => {
+  const files = generateStaticSite(CONFIG);
+  assert(files['install/linux/index.html'].includes('Detected OS: Linux'), 'Should name the platform');
+  assert(!files['install/linux/index.html'].includes('<script>\n(function'), 'Only the index routes');
+  assert(files['install/linux/index.html'].includes('<a href="../darwin/">macOS</a>'), 'Platform pages link each other');
+  assert(files['install/index.html'].includes('<a href="linux/">Linux</a>'), 'The index links platform pages');
+});
+
+test('generateStaticSite: package manager commands get a page', () => {
+  const files = generateStaticSite({
+    name: 'TestApp',
+    installers: { darwin: 'https://example.com/app.dmg' },
+    commands: { linux: { snap: 'app' } }
+  });
+  assert(files['install/linux/index.html'].includes('sudo snap install app'), 'Should show the command');
+  assert(!files['install/win32/index.html'], 'Platforms with nothing to install get no page');
+  assert(route(files['install/index.html'], UA.linux) === '/app/install/linux/', 'Should route to the command page');
+});
+
+test('generateStaticSite: escapes URLs inside the router script', () => {
+  const files = generateStaticSite({
+    name: 'TestApp',
+    installers: { darwin: 'https://example.com/app.dmg?</script><script>alert(1)//' }
+  });
+  const html = files['install/index.html'];
+  assert(!html.includes('</script><script>alert'), 'Should not close the script early');
+  assert(route(html, UA.mac) === 'https://example.com/app.dmg?</script><script>alert(1)//', 'Should still route');
+});
+
+test('generateStaticSite: uses the requested locale', () => {
+  const files = generateStaticSite(CONFIG, { locale: 'fr' });
+  assert(files['install/index.html'].includes('<html lang="fr"'), 'Pages should be in French');
+  assert(files['install-badge.svg'].includes('>Installer<'), 'Badge should be in French');
+});
+
+console.log('\n✨ All tests completed\n');
@@ -0,0 +1,201 @@
+// ============================================================================
+// INSTALL BRIDGE - URL CHECKER TESTS
+// Runs against a local fixture server; no outside network access
+// Production-ready: exits non-zero on failure (CI-friendly)
+// ============================================================================
+
+const http = require('http');
+const {
+  createHttpClient,
+  checkURL,
+  listCheckTargets,
+  checkConfigURLs
+} = require('../src/node/url-checker');
+
+// Track failures so CI can fail properly
+let HAS_FAILURES = false;
+const TESTS = [];
+
+// Async test runner: tests run in order, one at a time
+function test(name, fn) {
+  TESTS.push({ name, fn });
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+async function run() {
+  for (const { name, fn } of TESTS) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+    } catch (err) {
+      HAS_FAILURES = true;
+      console.error(`❌ ${name}`);
+      console.error(`   ${err && err.message ? err.message : String(err)}`);
+    }
+  }
+}
+
+// Ensure process exits non-zero if any test fails
+process.on('exit', () => {
+  if (HAS_FAILURES) {
+    console.error('\n❌ Some tests failed\n');
+    process.exitCode = 1;
+  }
+});
+
+// ============================================================================
+// FIXTURE SERVER
+// ============================================================================
+
+const requests = [];
+
+const ROUTES = {
+  '/files/app.dmg': { status: 200, headers: { 'Content-Type': 'application/x-apple-diskimage', 'Content-Length': '1048576' } },
+  '/latest/app.dmg': { status: 302, headers: { Location: '/blobs/7f3a?sig=x' } },
+  '/blobs/7f3a': {
+    status: 200,
+    headers: { 'Content-Type': 'application/octet-stream', 'Content-Disposition': 'attachment; filename=App-2.1.0.dmg' }
+  },
+  '/files/app.exe': { status: 200, headers: { 'Content-Type': 'application/octet-stream' } },
+  '/releases': { status: 200, headers: { 'Content-Type': 'text/html; charset=utf-8' } },
+  '/missing.deb': { status: 404, headers: { 'Content-Type': 'text/plain' } },
+  '/loop': { status: 301, headers: { Location: '/loop' } },
+  '/ftp': { status: 302, headers: { Location: 'ftp://example.com/app.dmg' } }
+};
+
+const server = http.createServer((req, res) => {
+  const pathname = new URL(req.url, 'http://localhost').pathname;
+  requests.push(`${req.method} ${pathname}`);
+
+  // Refuses HEAD, like some download hosts
+  if (pathname === '/no-head/app.AppImage') {
+    res.writeHead(req.method === 'HEAD' ? 405 : 200, { 'Content-Type': 'application/octet-stream' });
+    res.end(req.method === 'HEAD' ? '' : 'binary');
+    return;
+  }
+
+  const route = ROUTES[pathname] || { status: 404, headers: {} };
+  res.writeHead(route.status, route.headers);
+  res.end();
+});
+
+let base;
+let client;
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+console.log('\n🧪 Running Install Bridge URL Checker Tests\n');
+
+test('checkURL: reports status, content type and length', async () => {
+  const result = await checkURL(`${base}/files/app.dmg`, { client });
+  assert(result.status === 200 && !result.error, 'Should succeed');
+  assert(result.contentType === 'application/x-apple-diskimage', 'Should report the content type');
+  assert(result.contentLength === 1048576, 'Should report the content length');
+  assert(result.fileName === 'app.dmg' && result.redirects === 0, 'Should name the file');
+  assert(requests[requests.length - 1] === 'HEAD /files/app.dmg', 'Should send HEAD');
+});
+
+test('checkURL: follows redirects to the final URL', async () => {
+  const result = await checkURL(`${base}/latest/app.dmg`, { client });
+  assert(result.status === 200, 'Should end on the redirect target');
+  assert(result.finalURL === `${base}/blobs/7f3a?sig=x`, `Unexpected final URL: ${result.finalURL}`);
+  assert(result.redirects === 1, 'Should count redirects');
+  assert(result.fileName === 'App-2.1.0.dmg', 'Content-Disposition names the file');
+});
+
+test('checkURL: retries with GET when HEAD is refused', async () => {
+  const result = await checkURL(`${base}/no-head/app.AppImage`, { client });
+  assert(result.status === 200, `Should fall back to GET: ${result.status}`);
+  assert(requests.slice(-2).join() === 'HEAD /no-head/app.AppImage,GET /no-head/app.AppImage', 'Should try HEAD first');
+});
+
+test('checkURL: reports redirect loops, bad schemes and network errors', async () => {
+  const loop = await checkURL(`${base}/loop`, { client });
+  assert(loop.error === 'more than 10 redirects', `Unexpected: ${loop.error}`);
+
+  const ftp = await checkURL(`${base}/ftp`, { client });
+  assert(ftp.error && ftp.error.startsWith('redirects to a non-HTTP(S) URL'), `Unexpected: ${ftp.error}`);
+
+  const closed = await checkURL('http://127.0.0.1:1/app.dmg', { client });
+  assert(closed.error && closed.status === null, 'Should report unreachable hosts');
+});
+
+test('listCheckTargets: lists installers and links once per channel', () => {
+  const targets = listCheckTargets({
+    name: 'App',
+    homepage: 'https://example.com',
+    channels: {
+      stable: { installers: { darwin: 'https://example.com/app.dmg' } },
+      beta: {
+        installers: { darwin: 'https://example.com/app-beta.dmg' },
+        fallback: 'https://example.com/releases'
+      }
+    }
+  });
+
+  const homepage = targets.filter(t => t.kind === 'homepage');
+  assert(homepage.length === 1 && homepage[0].channels.join() === 'stable,beta', 'Shared links are listed once');
+  assert(targets.filter(t => t.kind === 'installer').length === 2, 'Each channel brings its installers');
+  assert(targets.find(t => t.kind === 'fallback').channels.join() === 'beta', 'Channel links name their channel');
+});
+
+test('checkConfigURLs: builds a report and warns about unexpected files', async () => {
+  requests.length = 0;
+  const report = await checkConfigURLs({
+    name: 'App',
+    homepage: `${base}/releases`,
+    fallback: `${base}/releases`,
+    installers: {
+      darwin: `${base}/latest/app.dmg`,
+      win32: { x64: `${base}/files/app.dmg`, arm64: `${base}/releases` },
+      linux: { deb: `${base}/missing.deb`, appimage: `${base}/no-head/app.AppImage` },
+      ios: 'https://apps.apple.com/app/id1'
+    }
+  }, {
+    // Store listings are checked like any URL; answer them locally
+    client: (url, method) => url.startsWith(base)
+      ? client(url, method)
+      : Promise.resolve({ status: 200, headers: { 'content-type': 'text/html' } })
+  });
+
+  assert(report.ok === false && report.failed === 1, `One URL is dead: ${JSON.stringify(report)}`);
+  assert(report.checked === 8, `Unexpected count: ${report.checked}`);
+  assert(JSON.parse(JSON.stringify(report)).results.length === 8, 'Report is plain JSON');
+
+  const find = (kind, platform, arch) => report.results.find(r =>
+    r.kind === kind && r.platform === platform && (!arch || r.arch === arch || r.format === arch)
+  );
+
+  const darwin = find('installer', 'darwin');
+  assert(darwin.ok && darwin.warnings.length === 0 && darwin.redirects === 1, 'Redirected dmg is fine');
+
+  const wrong = find('installer', 'win32', 'x64');
+  assert(wrong.ok && wrong.warnings.some(w => w.includes('app.dmg does not look like a Windows installer')), 'Should flag a dmg for Windows');
+
+  const page = find('installer', 'win32', 'arm64');
+  assert(page.warnings.includes('served as text/html, not a download'), 'Should flag web pages');
+
+  const dead = find('installer', 'linux', 'deb');
+  assert(!dead.ok && dead.status === 404 && dead.warnings.length === 0, 'Should fail 404s');
+
+  assert(find('installer', 'ios').warnings.length === 0, 'Store listings are pages, not files');
+  assert(find('homepage', null).ok && find('homepage', null).warnings.length === 0, 'Links are not checked for file names');
+
+  assert(requests.filter(r => r === 'HEAD /releases').length === 1, 'Each URL is requested once');
+});
+
+server.listen(0, '127.0.0.1', async () => {
+  base = `http://127.0.0.1:${server.address().port}`;
+  client = createHttpClient({ timeout: 2000 });
+
+  await run();
+  server.close();
+  console.log('\n✨ All tests completed\n');
+});